@@ -3,13 +3,20 @@
  *
  * Configure your edge endpoints and settings here.
  * Copy this file to config.js and update with your values.
+ *
+ * Every option is optional: anything left out keeps the default from
+ * js/config-loader.js. Values are validated on load and problems are
+ * reported in the console with the option name (e.g.
+ * "CX_CONFIG.requestTimeout: expected at least 500").
  */
 
 window.CX_CONFIG = {
     /**
-     * Edge Endpoints for Race Pattern
+     * Edge Endpoints (hedged submission)
      *
-     * Configure at least 2 edge endpoints for redundancy.
+     * Configure at least 2 edge endpoints for redundancy. Leads go to the
+     * healthiest endpoint first (latency and failures are remembered per
+     * browser); the next one is started only if it is slow or fails.
      * These should be hosted on different providers for maximum reliability.
      *
      * Examples:
@@ -29,20 +36,48 @@ window.CX_CONFIG = {
         // 'https://your-lambda-id.lambda-url.us-east-1.on.aws/lead'
     ],
 
+    /**
+     * Fallback Endpoint
+     *
+     * Third-party form backend (e.g. Formspree) used only when every edge
+     * endpoint failed, so leads are not duplicated there. Must be https,
+     * or '' to switch the fallback off.
+     */
+    fallbackEndpoint: 'https://formspree.io/f/your-form-id',
+
     /**
      * Request Timeout (milliseconds)
      *
      * How long to wait for each edge endpoint before considering it failed.
-     * Default: 5000ms (5 seconds)
+     * Range: 500-60000. Default: 5000ms (5 seconds)
      */
     requestTimeout: 5000,
 
+    /**
+     * Hedged Submission
+     *
+     * deadline is the whole budget for one lead; its last requestTimeout is
+     * kept for the fallback, so it must be at least twice requestTimeout
+     * (once without a fallback), or both fall back to their defaults.
+     * An endpoint that fails circuitFailureThreshold times in a row is
+     * skipped for circuitCooldown.
+     */
+    submission: {
+        hedgeDelay: 1500,              // start the next endpoint if no answer yet (ms)
+        deadline: 15000,               // overall budget per lead (ms)
+        maxRetries: 2,                 // extra rounds over the edge endpoints
+        retryBaseDelay: 500,           // backoff base, doubled per round, with jitter (ms)
+        retryMaxDelay: 4000,           // backoff cap (ms)
+        circuitFailureThreshold: 3,
+        circuitCooldown: 60000         // (ms)
+    },
+
     /**
      * Optimistic UI Delay (milliseconds)
      *
      * How quickly to show success state after form submission.
      * This should be <50ms for optimal user experience.
-     * Default: 40ms
+     * Range: 0-2000. Default: 40ms
      */
     optimisticDelay: 40,
 
@@ -69,9 +104,54 @@ window.CX_CONFIG = {
      * 5. Copy the Site Key here
      *
      * IMPORTANT: Replace 'YOUR_TURNSTILE_SITE_KEY' with your actual key
+     * (the placeholder fails validation and the default key is used)
      */
     turnstileSiteKey: 'YOUR_TURNSTILE_SITE_KEY',
 
+    /**
+     * Turnstile Theme
+     *
+     * 'auto', 'light' or 'dark'. Default: 'light'
+     */
+    turnstileTheme: 'light',
+
+    /**
+     * Turnstile Lifecycle
+     *
+     * mode:
+     *   'render'   challenge runs on page load; the submit button is enabled
+     *              once it passes (default)
+     *   'execute'  challenge runs when the form is submitted, so a slow
+     *              challenge never blocks the button
+     *
+     * Tokens are single-use: every submission attempt (and every replay from
+     * the offline outbox) gets a fresh one. Expired tokens are re-challenged,
+     * widget errors are retried with backoff before the visitor sees a message.
+     */
+    turnstile: {
+        mode: 'render',
+        maxRetries: 3,        // re-renders after an error
+        retryBaseDelay: 1000, // first retry delay, doubled each retry (ms)
+        tokenTimeout: 15000,  // longest wait for a token on submit (ms)
+        loadTimeout: 10000    // longest wait for the Turnstile script (ms)
+    },
+
+    /**
+     * Bot Defense
+     *
+     * Besides the honeypot (renamed on every page view) and Turnstile, the
+     * form notes how it was filled: time taken, typing versus pasting, focus
+     * order, mouse or touch activity and page visibility (js/bot-signals.js).
+     * These add up to a risk score from 0 to 100 that is sent with each lead
+     * (risk_score / risk_flags in Formspree). Leads scoring above
+     * riskThreshold are dropped silently, like a filled honeypot; 100 keeps
+     * every lead and only records the score.
+     */
+    botDefense: {
+        riskThreshold: 70,  // silently reject above this score (0-100)
+        minFillTime: 3000   // faster than this counts as a risk signal (ms)
+    },
+
     /**
      * Debug Mode
      *
@@ -80,6 +160,63 @@ window.CX_CONFIG = {
      */
     debug: false,
 
+    /**
+     * Languages
+     *
+     * The page follows the browser's languages, or ?lang=de for a link.
+     * Each locale except English needs locales/<locale>.json (copy a
+     * bundle and translate the values; missing keys fall back to English).
+     * Arabic and other right-to-left languages switch the layout to RTL.
+     */
+    i18n: {
+        locales: ['en', 'de', 'ja', 'ar'],
+        defaultLocale: 'en'
+    },
+
+    /**
+     * Email Domain Policy
+     *
+     * mode:
+     *   'allow-all'      any valid address (default)
+     *   'warn-free'      free mail (gmail.com, outlook.com, ...) gets a hint
+     *   'business-only'  free mail is rejected
+     *
+     * Domains match exactly or as a parent ('example.com' covers
+     * 'eu.example.com'). To switch one landing page, e.g. an enterprise
+     * campaign, without touching this file, add to its <head>:
+     *
+     *   <meta name="cx-config" content='{"emailPolicy": {"mode": "business-only"}}'>
+     *
+     * Refresh the disposable-domain list with:
+     *   node scripts/update-disposable-domains.mjs
+     */
+    emailPolicy: {
+        mode: 'allow-all',
+        blockDisposable: true,
+        allowDomains: ['bdtec.ai', 'lb-labs.com'], // always accepted (internal testing)
+        blockDomains: [],                          // always rejected
+        suggestTypos: true                         // "Did you mean ...@gmail.com?"
+    },
+
+    /**
+     * Attribution
+     *
+     * Campaign tags and ad click IDs from the landing URL, plus the referring
+     * site and landing page, of the first visit and of the latest campaign or
+     * referral visit. Sent with each lead (Worker: attribution field;
+     * Formspree: first_* and last_* fields). Not stored in the browser for
+     * visitors with Do Not Track or Global Privacy Control.
+     */
+    attribution: {
+        enabled: true,
+        // Only these landing URL parameters are kept (at most 20; letters, digits and _)
+        params: [
+            'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content',
+            'gclid', 'gbraid', 'wbraid', 'msclkid', 'fbclid', 'li_fat_id', 'ttclid'
+        ],
+        maxAge: 90 * 24 * 60 * 60 * 1000 // touches expire after 90 days
+    },
+
     /**
      * Analytics (Optional)
      *
@@ -88,34 +225,133 @@ window.CX_CONFIG = {
      */
     analytics: {
         enabled: false,
-        // Example: Plausible Analytics
+        // Example: Plausible Analytics (plausibleEndpoint for a self-hosted instance)
         plausibleDomain: 'ai-compute-exchange.com',
         // Example: Google Analytics 4
-        ga4MeasurementId: '' // 'G-XXXXXXXXXX'
+        ga4MeasurementId: '', // 'G-XXXXXXXXXX'
+        // Example: own collector, receives { sentAt, events } via sendBeacon
+        beaconEndpoint: '', // 'https://collect.example.com/cx'
+        // Ask before sending anything (a switch is shown under the form).
+        // Do Not Track and Global Privacy Control always disable sending.
+        requireConsent: true,
+        // Events per request batch, and max wait before sending (ms)
+        batchSize: 10,
+        flushInterval: 5000
+    },
+
+    /**
+     * Offline Outbox
+     *
+     * Leads that could not be delivered are kept in IndexedDB and replayed
+     * on the next visit, when the browser comes back online, or when the
+     * tab becomes visible again. A replay takes a Turnstile token per lead,
+     * so it waits until the visitor has left the form alone for idleDelay
+     * or has sent their own lead.
+     */
+    outbox: {
+        maxAttempts: 5,                   // delivery attempts before a lead is dropped
+        maxAgeMs: 7 * 24 * 60 * 60 * 1000, // never replay leads older than 7 days
+        retryBaseDelay: 30000,            // first retry delay, doubled each attempt (ms)
+        inFlightGrace: 15000,             // leave a fresh lead alone while it is being sent (ms)
+        idleDelay: 20000                  // form left alone this long before a replay runs (ms)
+    },
+
+    /**
+     * Repeat Submissions
+     *
+     * The browser remembers the leads it sent (a salted hash of the email,
+     * the reference ID and the time) in localStorage. Sending the same email
+     * again within duplicateWindow shows "You're already on the waitlist"
+     * with the original reference and offers to update its details instead
+     * of creating a second lead. Independently, at most maxLeads leads leave
+     * one browser per throttleWindow, reloads included.
+     */
+    ledger: {
+        duplicateWindow: 30 * 24 * 60 * 60 * 1000, // 30 days
+        maxLeads: 3,                               // per browser and throttleWindow
+        throttleWindow: 60 * 60 * 1000             // 1 hour
+    },
+
+    /**
+     * Mock Transport (local development)
+     *
+     * Answers the configured endpoints inside the page and replaces the
+     * Turnstile widget, so the form can be demoed and every submission path
+     * tested without touching production. Every mocked call is logged.
+     * On localhost, add ?cx-mock=<profile> to the URL instead.
+     *
+     * Profiles:
+     *   ok, slow            every endpoint answers (after 150ms / 2s)
+     *   http-error          primaries 500, fallback 503
+     *   timeout             nothing answers
+     *   primary-down        first primary unreachable, the others answer
+     *   fallback            primaries unreachable, fallback answers
+     *   malformed           primaries answer 200 with a non-JSON body
+     *   bad-signature       primaries answer with a forged response signature
+     *   offline             nothing is reachable
+     *   turnstile-error     the challenge fails with error 110200
+     */
+    mock: {
+        enabled: false,
+        profile: 'ok',
+        allowQueryParam: false // honour ?cx-mock on other hosts (previews, demos)
+    },
+
+    /**
+     * Request Status (status.html)
+     *
+     * Customers look up their request with the reference ID and email from
+     * the success screen. Answers are cached on the device so a reload does
+     * not spend another lookup; the edge limits lookups per client and per
+     * reference ID (see edge/lead-handler.mjs).
+     */
+    status: {
+        cacheTtl: 5 * 60 * 1000 // reuse a lookup for this long (ms)
+    },
+
+    /**
+     * Processing Consent
+     *
+     * The form cannot be sent without ticking the consent box. Its version,
+     * when it was ticked and the language it was shown in travel with every
+     * lead (Worker and Formspree) as the record of what was agreed to.
+     * Bump the version whenever the consent.label text changes in any locale.
+     * Prospects access or delete their data on status.html.
+     */
+    consent: {
+        version: '2026-10'
+    },
+
+    /**
+     * Privacy Mode
+     *
+     * Encrypts email, company, GPU scale and qualification in the browser to
+     * the public key below. The Worker decrypts with LEAD_PRIVATE_KEYS; the
+     * fallback (Formspree) only receives the ciphertext and the reference ID,
+     * so exported fallback submissions must be opened with
+     * scripts/decrypt-leads.mjs. Create a key pair with
+     * scripts/generate-lead-key.mjs. If sealing fails, nothing is sent.
+     */
+    privacy: {
+        encryptLeads: false,
+        publicKey: '' // base64 SPKI, printed by generate-lead-key.mjs
     },
 
     /**
      * Feature Flags
      */
     features: {
-        // Show queue position on success state
+        // Show queue position on success state (looked up from the edge)
         showQueuePosition: true,
 
         // Display technical specifications
         showTechSpecs: true,
 
         // Enable dark mode toggle (if you implement light theme)
-        enableThemeToggle: false
-    }
-};
+        enableThemeToggle: false,
 
-// Validate configuration
-(function validateConfig() {
-    if (window.CX_CONFIG.edgeEndpoints.length < 2) {
-        console.warn('⚠️  Warning: Less than 2 edge endpoints configured. Race Pattern may not work properly.');
+        // Keep what was typed into the form across a reload, for this tab only
+        // (sessionStorage; the honeypot, Turnstile token and consent box are never kept)
+        saveDraft: true
     }
-
-    if (window.CX_CONFIG.debug) {
-        console.log('AI Compute Exchange Config:', window.CX_CONFIG);
-    }
-})();
+};
@@ -5,7 +5,7 @@
  */
 
 window.CX_CONFIG = {
-    // Cloudflare Turnstile Site Key (already set in index.html, this is for reference)
+    // Cloudflare Turnstile Site Key (per environment; read by js/config-loader.js)
     turnstileSiteKey: '0x4AAAAAACNkgGWXXZi6sAmT',
 
     // Debug mode (set to false in production)
@@ -0,0 +1,108 @@
+/**
+ * AI Compute Exchange - Local Edge Server (Node 18+)
+ *
+ * Serves the reference lead handler on http://localhost:8787 so the portal
+ * can be exercised end to end without touching the production Worker.
+ *
+ * Usage:
+ *   node edge/dev-server.mjs [--port 8787] [--data .local/leads.jsonl]
+ *
+ * Then point the portal at it in config.js:
+ *   edgeEndpoints: ['http://localhost:8787/lead']
+ *
+ * Turnstile tokens are accepted by a local fake unless TURNSTILE_SECRET_KEY
+ * is set in the environment. Session signing keys are derived from
+ * CX_SIGNING_SECRET, or from a random secret per run. Extra origins can be
+ * allowed with ALLOWED_ORIGINS (comma-separated). Privacy-mode leads are
+ * opened with LEAD_PRIVATE_KEYS (comma-separated base64 PKCS#8 keys).
+ */
+
+import http from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { createLeadHandler } from './lead-handler.mjs';
+import { createFakeTurnstileVerifier, createTurnstileVerifier } from './turnstile.mjs';
+import { createFileStorage } from './storage.mjs';
+import { createLeadDecryptor } from './lead-crypto.mjs';
+
+// Origins of the servers offered by setup.sh
+const LOCAL_ORIGINS = [
+    'http://localhost:8000',
+    'http://127.0.0.1:8000',
+    'http://localhost:8080',
+    'http://127.0.0.1:8080'
+];
+
+/**
+ * Read a --flag value from argv
+ *
+ * @param {string} name - Flag name without dashes
+ * @param {string} fallback - Default value
+ * @returns {string}
+ */
+function arg(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+const port = Number(arg('port', '8787'));
+const dataFile = arg('data', '.local/leads.jsonl');
+const secretKey = process.env.TURNSTILE_SECRET_KEY;
+
+const handleRequest = createLeadHandler({
+    verifier: secretKey
+        ? createTurnstileVerifier({ secretKey })
+        : createFakeTurnstileVerifier(),
+    storage: createFileStorage(dataFile),
+    signingSecret: process.env.CX_SIGNING_SECRET || randomBytes(32).toString('hex'),
+    decryptor: process.env.LEAD_PRIVATE_KEYS
+        ? createLeadDecryptor(process.env.LEAD_PRIVATE_KEYS.split(','))
+        : undefined,
+    allowedOrigins: [
+        ...LOCAL_ORIGINS,
+        ...(process.env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+    ]
+});
+
+/**
+ * Adapt a Node request to a fetch Request
+ *
+ * @param {http.IncomingMessage} req - Node request
+ * @returns {Promise<Request>}
+ */
+async function toFetchRequest(req) {
+    const chunks = [];
+    for await (const chunk of req) {
+        chunks.push(chunk);
+    }
+
+    const headers = new Headers();
+    for (const [name, value] of Object.entries(req.headers)) {
+        headers.set(name, Array.isArray(value) ? value.join(', ') : value);
+    }
+
+    const hasBody = req.method !== 'GET' && req.method !== 'HEAD' && chunks.length > 0;
+    return new Request(`http://${req.headers.host || `localhost:${port}`}${req.url}`, {
+        method: req.method,
+        headers,
+        body: hasBody ? Buffer.concat(chunks) : undefined
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    try {
+        const response = await handleRequest(await toFetchRequest(req));
+        res.writeHead(response.status, Object.fromEntries(response.headers));
+        res.end(Buffer.from(await response.arrayBuffer()));
+        console.log(`${req.method} ${req.url} → ${response.status}`);
+    } catch (error) {
+        console.error('Unhandled error:', error);
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'internal_error' }));
+    }
+});
+
+server.listen(port, () => {
+    console.log(`Lead capture edge listening on http://localhost:${port}`);
+    console.log(`Turnstile: ${secretKey ? 'Cloudflare siteverify' : 'local fake (all tokens accepted)'}`);
+    console.log(`Leads: ${dataFile}`);
+});
@@ -0,0 +1,207 @@
+/**
+ * AI Compute Exchange - Lead Encryption (edge side)
+ *
+ * Opens the envelopes js/lead-crypto.js seals in privacy mode
+ * (CONFIG.privacy.encryptLeads). Used by the Worker (LEAD_PRIVATE_KEYS) and
+ * by scripts/decrypt-leads.mjs for exported fallback submissions.
+ *
+ * Envelope (every part base64url): cx1.<kid>.<epk>.<iv>.<ciphertext>
+ *   kid         first 12 bytes of SHA-256(SPKI public key)
+ *   epk         ephemeral P-256 public key (raw)
+ *   iv          96-bit AES-GCM nonce
+ *   ciphertext  AES-256-GCM over the lead fields as JSON, with the reference
+ *               ID as additional data
+ * AES key = HKDF-SHA256(ECDH(ephemeral, recipient), salt = epk, info = "cx-lead-v1").
+ *
+ * Private keys are base64 PKCS#8. Several may be configured so envelopes
+ * sealed to a retired key still open during a rotation; the kid picks one.
+ *
+ * js/lead-crypto.js is the browser counterpart and must stay in sync.
+ */
+
+import { toBase64Url, fromBase64Url } from './signing.mjs';
+
+export const ENVELOPE_VERSION = 'cx1';
+
+const HKDF_INFO = 'cx-lead-v1';
+const CURVE = { name: 'ECDH', namedCurve: 'P-256' };
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * @param {string} value - Standard base64
+ * @returns {Uint8Array}
+ */
+function fromBase64(value) {
+    return Uint8Array.from(atob(value.trim()), char => char.charCodeAt(0));
+}
+
+/**
+ * @param {ArrayBuffer} buffer
+ * @returns {string} Standard base64
+ */
+function toBase64(buffer) {
+    let binary = '';
+    for (const byte of new Uint8Array(buffer)) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+}
+
+/**
+ * @param {ArrayBuffer|Uint8Array} spki - Public key (SPKI)
+ * @returns {Promise<string>} Key ID carried in envelopes
+ */
+export async function keyIdOf(spki) {
+    const digest = await crypto.subtle.digest('SHA-256', spki);
+    return toBase64Url(new Uint8Array(digest).slice(0, 12));
+}
+
+/**
+ * AES key for one envelope
+ *
+ * @param {CryptoKey} privateKey - ECDH private key (ours or the ephemeral one)
+ * @param {CryptoKey} publicKey - The other side's ECDH public key
+ * @param {Uint8Array} epk - Ephemeral public key (raw), the HKDF salt
+ * @param {string} usage - 'encrypt' or 'decrypt'
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveLeadKey(privateKey, publicKey, epk, usage) {
+    const shared = await crypto.subtle.deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+    const hkdfKey = await crypto.subtle.importKey('raw', shared, 'HKDF', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'HKDF', hash: 'SHA-256', salt: epk, info: encoder.encode(HKDF_INFO) },
+        hkdfKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        [usage]
+    );
+}
+
+/**
+ * Create a key pair for CONFIG.privacy.publicKey / LEAD_PRIVATE_KEYS
+ *
+ * @returns {Promise<object>} { publicKey (base64 SPKI), privateKey (base64 PKCS#8), kid }
+ */
+export async function generateLeadKeyPair() {
+    const pair = await crypto.subtle.generateKey(CURVE, true, ['deriveBits']);
+    const spki = await crypto.subtle.exportKey('spki', pair.publicKey);
+
+    return {
+        publicKey: toBase64(spki),
+        privateKey: toBase64(await crypto.subtle.exportKey('pkcs8', pair.privateKey)),
+        kid: await keyIdOf(spki)
+    };
+}
+
+/**
+ * Import a private key and work out its key ID
+ *
+ * @param {string} pkcs8 - Base64 PKCS#8 private key
+ * @returns {Promise<object>} { key, kid }
+ */
+async function importPrivateKey(pkcs8) {
+    const extractable = await crypto.subtle.importKey('pkcs8', fromBase64(pkcs8), CURVE, true, ['deriveBits']);
+
+    // The public half is part of the private JWK; its SPKI names the pair
+    const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', extractable);
+    const publicKey = await crypto.subtle.importKey('jwk', { kty, crv, x, y }, CURVE, true, []);
+    const kid = await keyIdOf(await crypto.subtle.exportKey('spki', publicKey));
+
+    const key = await crypto.subtle.importKey('pkcs8', fromBase64(pkcs8), CURVE, false, ['deriveBits']);
+    return { key, kid };
+}
+
+/**
+ * Seal lead fields (what js/lead-crypto.js does in the browser)
+ *
+ * @param {object} fields - Lead fields
+ * @param {string} referenceId - Reference ID bound as additional data
+ * @param {string} publicKey - Base64 SPKI public key
+ * @returns {Promise<string>} Envelope
+ */
+export async function sealLead(fields, referenceId, publicKey) {
+    const spki = fromBase64(publicKey);
+    const recipient = await crypto.subtle.importKey('spki', spki, CURVE, false, []);
+    const ephemeral = await crypto.subtle.generateKey(CURVE, false, ['deriveBits']);
+    const epk = new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey));
+
+    const aesKey = await deriveLeadKey(ephemeral.privateKey, recipient, epk, 'encrypt');
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: encoder.encode(referenceId) },
+        aesKey,
+        encoder.encode(JSON.stringify(fields))
+    );
+
+    return [ENVELOPE_VERSION, await keyIdOf(spki), toBase64Url(epk), toBase64Url(iv), toBase64Url(ciphertext)].join('.');
+}
+
+/**
+ * Envelope opener for a set of private keys
+ *
+ * @param {string[]} privateKeys - Base64 PKCS#8 private keys (current first)
+ * @returns {object} { open(envelope, referenceId), keyIds() }
+ */
+export function createLeadDecryptor(privateKeys) {
+    const keys = privateKeys.map(key => key.trim()).filter(Boolean);
+    if (keys.length === 0) {
+        throw new Error('createLeadDecryptor: at least one private key is required');
+    }
+
+    // Imported on first use; a broken key fails every open() with its error
+    let imported = null;
+    const load = () => {
+        imported ||= Promise.all(keys.map(importPrivateKey));
+        return imported;
+    };
+
+    return {
+        /**
+         * @returns {Promise<string[]>} Key IDs this decryptor can open
+         */
+        async keyIds() {
+            return (await load()).map(entry => entry.kid);
+        },
+
+        /**
+         * @param {string} envelope - Sealed lead
+         * @param {string} referenceId - Reference ID it was sealed for
+         * @returns {Promise<object>} Lead fields (throws if the envelope does not open)
+         */
+        async open(envelope, referenceId) {
+            const parts = String(envelope).split('.');
+            if (parts.length !== 5 || parts[0] !== ENVELOPE_VERSION) {
+                throw new Error('Unsupported envelope format');
+            }
+
+            const [, kid, epkPart, ivPart, ciphertextPart] = parts;
+            const recipient = (await load()).find(entry => entry.kid === kid);
+            if (!recipient) {
+                throw new Error(`No private key for key ID ${kid}`);
+            }
+
+            const epk = fromBase64Url(epkPart);
+            const ephemeral = await crypto.subtle.importKey('raw', epk, CURVE, false, []);
+            const aesKey = await deriveLeadKey(recipient.key, ephemeral, epk, 'decrypt');
+
+            let plaintext;
+            try {
+                plaintext = await crypto.subtle.decrypt(
+                    { name: 'AES-GCM', iv: fromBase64Url(ivPart), additionalData: encoder.encode(referenceId) },
+                    aesKey,
+                    fromBase64Url(ciphertextPart)
+                );
+            } catch {
+                throw new Error('Envelope does not open (wrong reference ID or tampered ciphertext)');
+            }
+
+            const fields = JSON.parse(decoder.decode(plaintext));
+            if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+                throw new Error('Envelope does not contain lead fields');
+            }
+            return fields;
+        }
+    };
+}
@@ -0,0 +1,981 @@
+/**
+ * AI Compute Exchange - Reference Lead Capture Handler
+ *
+ * Fetch-standard (Request → Response) implementation of the contract that
+ * script.js speaks to the edge:
+ *
+ *   POST <endpoint>/session
+ *     → { keyId, key, expiresAt, serverTime }  (see signing.mjs)
+ *
+ *   POST <endpoint>/ping, signed like a lead (X-CX-* headers), empty body
+ *     → { success: true, id: 'ping', serverTime, signature }
+ *     Stores nothing; diagnostic.html uses it to check the signing round trip
+ *     and clock skew without creating a lead
+ *
+ *   POST <endpoint>/status, application/x-www-form-urlencoded
+ *     reference, email
+ *     → { success: true, id, state, queuePosition, receivedAt, updatedAt }
+ *     404 not_found unless both match a stored lead; 429 rate_limited with
+ *     Retry-After (seconds) after too many lookups per client or reference
+ *
+ *   POST <endpoint>/privacy, signed like a lead, application/x-www-form-urlencoded
+ *     action ('export' | 'delete'), reference, email
+ *     → export: { success: true, id, action, lead, signature }  (the stored record)
+ *     → delete: { success: true, id, action, deletedAt, signature }
+ *     Data subject requests from status.html; 404 and 429 as for /status.
+ *     A deletion only reaches this edge's storage: copies the fallback
+ *     (Formspree) received are removed by hand, so it is logged with the
+ *     reference ID
+ *
+ *   POST <endpoint>, application/x-www-form-urlencoded
+ *     email, company, gpuScale, cf-turnstile-response,
+ *     qualification (optional JSON, see parseQualification),
+ *     consentVersion, consentAt, consentLocale (required, see parseConsent),
+ *     risk (optional JSON, see parseRisk),
+ *     attribution (optional JSON, see parseAttribution),
+ *     update ('1' to update the lead stored under this request ID)
+ *     or, in privacy mode: sealed, cf-turnstile-response, where sealed is an
+ *     envelope over { email, company, gpuScale, qualification } bound to the
+ *     request ID (see lead-crypto.mjs); the consent, risk and attribution fields stay in clear. 422 sealed_lead_not_supported
+ *     without a decryptor, 422 invalid_sealed_lead if it does not open
+ *   Headers
+ *     X-CX-Key-ID, X-CX-Signature, X-CX-Request-ID, X-CX-Timestamp,
+ *     X-CX-Origin, X-Edge-Node, Idempotency-Key (= X-CX-Request-ID)
+ *   Response (200)
+ *     { success: true, id, duplicate?, updated?, signature }  (signature =
+ *     signed response, covering the duplicate and updated flags)
+ *
+ * The request ID is the lead's reference ID and stays the same across
+ * retries, so the stored record ID is that reference. A retry of a lead that
+ * is already stored gets the same signed 200 (with duplicate: true) instead
+ * of a second record.
+ *
+ * A lead sent with update=1 under the reference ID of a stored lead with the
+ * same email replaces its details (updated: true, updatedAt on the record);
+ * the reference, arrival time and state stay. The browser offers this when
+ * the same email was already sent from it (js/submission-ledger.js).
+ *
+ * A lead's state is one of LEAD_STATES. Leads are stored as "received"; the
+ * sales tooling moves them on by rewriting the record with status and
+ * statusUpdatedAt. The queue position counts the leads still waiting
+ * (received or under review) that arrived first. A status lookup reports the
+ * latest of arrival, state change and update as updatedAt.
+ *
+ * Runs unchanged on Cloudflare Workers (see worker.mjs) and under Node 18+
+ * (see dev-server.mjs). Turnstile verification and lead persistence are
+ * injected so tests and local development never touch production services.
+ */
+
+import {
+    createMemoryNonceStore,
+    createSessionKeys,
+    signResponse,
+    verifyRequest
+} from './signing.mjs';
+import { createMemoryRateLimiter } from './rate-limit.mjs';
+
+// ============================================================================
+// CONTRACT CONSTANTS
+// ============================================================================
+
+// Headers the browser sends (must be listed for the CORS preflight)
+export const ALLOWED_HEADERS = [
+    'Content-Type',
+    'Cache-Control',
+    'X-CX-Key-ID',
+    'X-CX-Signature',
+    'X-CX-Request-ID',
+    'X-CX-Timestamp',
+    'X-CX-Origin',
+    'X-Edge-Node',
+    'Idempotency-Key'
+];
+
+const DEFAULTS = {
+    // Replay window: accepted difference between X-CX-Timestamp and the edge clock (ms)
+    maxClockSkewMs: 5 * 60 * 1000,
+
+    // Lifetime of the signing keys issued by /session (ms)
+    sessionKeyTtlMs: 10 * 60 * 1000,
+
+    // Reject bodies larger than this (bytes)
+    maxBodyBytes: 8 * 1024,
+
+    // Origins allowed to submit (exact match against the Origin header)
+    allowedOrigins: [],
+
+    // Status lookups (and, counted separately, data requests) allowed per
+    // client IP and per reference ID in each window
+    statusLookupsPerClient: 20,
+    statusLookupsPerReference: 10,
+    statusWindowMs: 10 * 60 * 1000
+};
+
+const EMAIL_REGEX = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)+$/;
+const REQUEST_ID_REGEX = /^[A-Za-z0-9_-]{8,64}$/;
+const GPU_SCALES = ['testing', 'team', 'department', 'enterprise'];
+
+// Consent record (CONFIG.consent.version in the browser, I18n locale)
+const CONSENT_VERSION_REGEX = /^[A-Za-z0-9._-]{1,32}$/;
+const LOCALE_REGEX = /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/;
+
+// Bot risk vector from js/bot-signals.js (flags must match BotSignals.weights)
+export const RISK_FLAGS = ['hidden', 'fast', 'untrusted', 'no_input', 'unfocused', 'pasted_all', 'no_pointer', 'out_of_order'];
+const RISK_COUNTS = ['fillMs', 'typed', 'pasted', 'pointer'];
+
+// Marketing touches from js/attribution.js (parameter names from CONFIG.attribution.params)
+const ATTRIBUTION_PARAM_REGEX = /^[A-Za-z0-9_]{1,40}$/;
+const MAX_ATTRIBUTION_PARAMS = 20;
+
+// Data subject requests served by /privacy
+export const DATA_REQUEST_ACTIONS = ['export', 'delete'];
+
+// Qualification wizard values (must match js/wizard.js)
+export const QUALIFICATION_OPTIONS = {
+    gpuModel: ['h100', 'h200', 'either'],
+    quantityUnit: ['gpus', 'nodes'],
+    interconnect: ['unsure', 'infiniband', 'roce', 'ethernet'],
+    region: ['us-east', 'us-west', 'europe', 'asia-pacific', 'any'],
+    commitment: ['on-demand', '1-month', '3-months', '6-months', '12-months', '24-months-plus'],
+    budget: ['under-10k', '10k-50k', '50k-250k', '250k-plus', 'undisclosed']
+};
+const QUALIFICATION_MAX_QUANTITY = { gpus: 100000, nodes: 12500 };
+
+// Lead lifecycle, in order (must match js/status-client.js)
+export const LEAD_STATES = ['received', 'under_review', 'scheduled', 'provisioned'];
+
+// States that still hold a place in the queue
+const WAITING_STATES = ['received', 'under_review'];
+
+// ============================================================================
+// RESPONSE HELPERS
+// ============================================================================
+
+/**
+ * CORS headers for an allowed origin
+ *
+ * @param {string} origin - Request origin (already checked against the allowlist)
+ * @returns {object} Header map
+ */
+function corsHeaders(origin) {
+    return {
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': ALLOWED_HEADERS.join(', '),
+        'Access-Control-Expose-Headers': 'Retry-After',
+        'Access-Control-Max-Age': '86400',
+        'Vary': 'Origin'
+    };
+}
+
+/**
+ * JSON response with no-store caching
+ *
+ * @param {object} body - Response body
+ * @param {number} status - HTTP status
+ * @param {object} headers - Extra headers
+ * @returns {Response}
+ */
+function json(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: {
+            'Content-Type': 'application/json',
+            'Cache-Control': 'no-store',
+            ...headers
+        }
+    });
+}
+
+/**
+ * Error response in the shape the client logs: { success: false, error }
+ *
+ * @param {string} code - Machine-readable error code
+ * @param {number} status - HTTP status
+ * @param {object} headers - Extra headers (CORS)
+ * @returns {Response}
+ */
+function fail(code, status, headers = {}) {
+    return json({ success: false, error: code }, status, headers);
+}
+
+/**
+ * Request body as text, if it fits the size limit
+ * The limit is in bytes: a character can take up to four in UTF-8.
+ *
+ * @param {Request} request - Incoming request
+ * @param {number} maxBytes - Largest accepted body (bytes)
+ * @returns {Promise<string|null>} Body, or null if it is larger than maxBytes
+ */
+async function readBody(request, maxBytes) {
+    const raw = await request.text();
+    return new TextEncoder().encode(raw).length > maxBytes ? null : raw;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Check the X-CX-* headers and timestamp skew (the signature is checked separately)
+ *
+ * @param {Request} request - Incoming request
+ * @param {object} options - Handler options
+ * @param {number} now - Current time (ms)
+ * @returns {string|null} Error code, or null if the headers are valid
+ */
+export function checkSecurityHeaders(request, options, now) {
+    const headers = request.headers;
+
+    if (!headers.get('X-CX-Key-ID') || !headers.get('X-CX-Signature')) {
+        return 'missing_signature';
+    }
+
+    if (!REQUEST_ID_REGEX.test(headers.get('X-CX-Request-ID') || '')) {
+        return 'invalid_request_id';
+    }
+
+    // The key is not signed itself, so it must repeat the signed request ID
+    const idempotencyKey = headers.get('Idempotency-Key');
+    if (idempotencyKey !== null && idempotencyKey !== headers.get('X-CX-Request-ID')) {
+        return 'idempotency_key_mismatch';
+    }
+
+    const timestamp = Number(headers.get('X-CX-Timestamp'));
+    if (!Number.isFinite(timestamp) || Math.abs(now - timestamp) > options.maxClockSkewMs) {
+        return 'timestamp_out_of_range';
+    }
+
+    // The declared origin must match the one the browser attached
+    if (headers.get('X-CX-Origin') !== headers.get('Origin')) {
+        return 'origin_mismatch';
+    }
+
+    return null;
+}
+
+/**
+ * Validate the form fields of a lead
+ *
+ * @param {URLSearchParams|FormData} form - Parsed body
+ * @returns {object} { lead } or { error }
+ */
+export function parseLead(form) {
+    const email = (form.get('email') || '').trim();
+    const company = (form.get('company') || '').trim();
+    const gpuScale = (form.get('gpuScale') || '').trim();
+
+    if (!email || email.length > 254 || !EMAIL_REGEX.test(email)) {
+        return { error: 'invalid_email' };
+    }
+
+    if (company.length < 2 || company.length > 100) {
+        return { error: 'invalid_company' };
+    }
+
+    if (gpuScale && !GPU_SCALES.includes(gpuScale)) {
+        return { error: 'invalid_gpu_scale' };
+    }
+
+    const { qualification, error } = parseQualification(form.get('qualification'));
+    if (error) {
+        return { error };
+    }
+
+    const { consent, error: consentError } = parseConsent(form);
+    if (consentError) {
+        return { error: consentError };
+    }
+
+    const { risk, error: riskError } = parseRisk(form.get('risk'));
+    if (riskError) {
+        return { error: riskError };
+    }
+
+    const { attribution, error: attributionError } = parseAttribution(form.get('attribution'));
+    if (attributionError) {
+        return { error: attributionError };
+    }
+
+    return { lead: { email, company, gpuScale, qualification, consent, risk, attribution } };
+}
+
+/**
+ * Validate the consent the prospect gave in the form
+ * Leads without one are refused: nothing is stored that nobody agreed to.
+ *
+ * @param {URLSearchParams|FormData} form - Parsed body
+ * @returns {object} { consent: { version, acceptedAt, locale } } or { error }
+ */
+export function parseConsent(form) {
+    const version = (form.get('consentVersion') || '').trim();
+    const acceptedAt = Date.parse(form.get('consentAt') || '');
+    const locale = (form.get('consentLocale') || '').trim();
+
+    if (!version) {
+        return { error: 'consent_required' };
+    }
+
+    if (!CONSENT_VERSION_REGEX.test(version) || Number.isNaN(acceptedAt) || !LOCALE_REGEX.test(locale)) {
+        return { error: 'invalid_consent' };
+    }
+
+    return { consent: { version, acceptedAt: new Date(acceptedAt).toISOString(), locale } };
+}
+
+/**
+ * Validate the optional bot risk vector
+ * Stored with the lead for triage only: the browser already dropped leads
+ * above its threshold, and a script posting here directly can claim any score.
+ *
+ * @param {string|null} raw - Form field value
+ * @returns {object} { risk: { score, flags, fillMs, typed, pasted, pointer, visible } }
+ *                   (null when absent) or { error }
+ */
+export function parseRisk(raw) {
+    if (!raw) {
+        return { risk: null };
+    }
+
+    let value;
+    try {
+        value = JSON.parse(raw);
+    } catch (error) {
+        return { error: 'invalid_risk' };
+    }
+
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return { error: 'invalid_risk' };
+    }
+
+    const { score, flags, visible } = value;
+    if (!Number.isInteger(score) || score < 0 || score > 100 ||
+        !Array.isArray(flags) || flags.some(flag => !RISK_FLAGS.includes(flag)) ||
+        new Set(flags).size !== flags.length || typeof visible !== 'boolean') {
+        return { error: 'invalid_risk' };
+    }
+
+    const risk = { score, flags, visible };
+    for (const key of RISK_COUNTS) {
+        if (!Number.isInteger(value[key]) || value[key] < 0) {
+            return { error: 'invalid_risk' };
+        }
+        risk[key] = value[key];
+    }
+
+    return { risk };
+}
+
+/**
+ * Validate the optional first and last marketing touch
+ * Any allowlisted parameter name is accepted: the list lives in the browser
+ * config and may grow without a deploy here.
+ *
+ * @param {string|null} raw - Form field value
+ * @returns {object} { attribution: { first, last } } (null when absent) or { error }
+ *                   where each touch is { params, referrer, landingPath, at } or null
+ */
+export function parseAttribution(raw) {
+    if (!raw) {
+        return { attribution: null };
+    }
+
+    let value;
+    try {
+        value = JSON.parse(raw);
+    } catch (error) {
+        return { error: 'invalid_attribution' };
+    }
+
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return { error: 'invalid_attribution' };
+    }
+
+    const attribution = {};
+    for (const key of ['first', 'last']) {
+        const touch = value[key] ?? null;
+        if (touch === null) {
+            attribution[key] = null;
+            continue;
+        }
+        if (typeof touch !== 'object' || Array.isArray(touch)) {
+            return { error: 'invalid_attribution' };
+        }
+
+        const { params, referrer, landingPath, at } = touch;
+        const entries = params !== null && typeof params === 'object' && !Array.isArray(params)
+            ? Object.entries(params) : null;
+        if (!entries || entries.length > MAX_ATTRIBUTION_PARAMS ||
+            entries.some(([name, param]) => !ATTRIBUTION_PARAM_REGEX.test(name) ||
+                typeof param !== 'string' || param.length < 1 || param.length > 100)) {
+            return { error: 'invalid_attribution' };
+        }
+
+        if (typeof referrer !== 'string' || referrer.length > 500 ||
+            (referrer && !/^https?:\/\//.test(referrer)) ||
+            typeof landingPath !== 'string' || !landingPath.startsWith('/') || landingPath.length > 200 ||
+            Number.isNaN(Date.parse(at ?? ''))) {
+            return { error: 'invalid_attribution' };
+        }
+
+        attribution[key] = {
+            params: Object.fromEntries(entries),
+            referrer,
+            landingPath,
+            at: new Date(Date.parse(at)).toISOString()
+        };
+    }
+
+    return { attribution };
+}
+
+/**
+ * Validate the optional qualification JSON from the wizard
+ * Every key is optional; unknown keys and values outside the enumerations are rejected.
+ *
+ * @param {string|null} raw - Form field value
+ * @returns {object} { qualification } (null when absent) or { error }
+ */
+export function parseQualification(raw) {
+    if (!raw) {
+        return { qualification: null };
+    }
+
+    let value;
+    try {
+        value = JSON.parse(raw);
+    } catch (error) {
+        return { error: 'invalid_qualification' };
+    }
+
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return { error: 'invalid_qualification' };
+    }
+
+    const qualification = {};
+
+    for (const [key, item] of Object.entries(value)) {
+        if (QUALIFICATION_OPTIONS[key] && key !== 'quantityUnit') {
+            if (!QUALIFICATION_OPTIONS[key].includes(item)) {
+                return { error: 'invalid_qualification' };
+            }
+            qualification[key] = item;
+        } else if (key === 'quantity') {
+            const unit = item?.unit;
+            const count = item?.count;
+            if (!QUALIFICATION_OPTIONS.quantityUnit.includes(unit) ||
+                !Number.isInteger(count) || count < 1 || count > QUALIFICATION_MAX_QUANTITY[unit]) {
+                return { error: 'invalid_qualification' };
+            }
+            qualification.quantity = { count, unit };
+        } else if (key === 'startDate') {
+            if (typeof item !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(item) || Number.isNaN(Date.parse(item))) {
+                return { error: 'invalid_qualification' };
+            }
+            qualification.startDate = item;
+        } else {
+            return { error: 'invalid_qualification' };
+        }
+    }
+
+    return { qualification };
+}
+
+/**
+ * Validate a status lookup
+ *
+ * @param {URLSearchParams} form - Parsed body
+ * @returns {object} { reference, email } or { error }
+ */
+export function parseStatusLookup(form) {
+    const reference = (form.get('reference') || '').trim();
+    const email = (form.get('email') || '').trim().toLowerCase();
+
+    if (!REQUEST_ID_REGEX.test(reference)) {
+        return { error: 'invalid_reference' };
+    }
+
+    if (!email || email.length > 254 || !EMAIL_REGEX.test(email)) {
+        return { error: 'invalid_email' };
+    }
+
+    return { reference, email };
+}
+
+// ============================================================================
+// STATUS
+// ============================================================================
+
+/**
+ * @param {object} record - Stored lead
+ * @returns {string} One of LEAD_STATES (leads without a known status are "received")
+ */
+function leadState(record) {
+    return LEAD_STATES.includes(record.status) ? record.status : 'received';
+}
+
+/**
+ * @param {object} record - Stored lead
+ * @returns {string} ISO time of the latest arrival, state change (statusUpdatedAt) or update (updatedAt)
+ */
+function lastChange(record) {
+    const times = [record.receivedAt, record.statusUpdatedAt, record.updatedAt]
+        .map(time => Date.parse(time ?? ''))
+        .filter(time => !Number.isNaN(time));
+    return times.length > 0 ? new Date(Math.max(...times)).toISOString() : record.receivedAt;
+}
+
+/**
+ * Place of a waiting lead in the queue
+ *
+ * @param {object} record - Stored lead
+ * @param {object[]} leads - Every stored lead
+ * @returns {number|null} 1-based position, or null once the lead left the queue
+ */
+function queuePosition(record, leads) {
+    if (!WAITING_STATES.includes(leadState(record))) {
+        return null;
+    }
+
+    const ahead = leads.filter(lead =>
+        lead.id !== record.id &&
+        WAITING_STATES.includes(leadState(lead)) &&
+        lead.receivedAt < record.receivedAt
+    );
+    return ahead.length + 1;
+}
+
+// ============================================================================
+// HANDLER
+// ============================================================================
+
+/**
+ * Create the lead capture handler
+ *
+ * @param {object} options
+ * @param {object} options.verifier - Turnstile verifier ({ verify(token, remoteIp, idempotencyKey) })
+ * @param {object} options.storage - Lead storage ({ put(lead), get(id), list(), delete(id) })
+ * @param {string[]} options.allowedOrigins - Origins allowed to submit
+ * @param {string} options.signingSecret - Secret the session keys are derived from
+ * @param {object} [options.nonceStore] - Seen request signatures ({ claim(id, ttlMs, now) })
+ * @param {object} [options.rateLimiter] - Status lookup counters ({ hit(key, limit, windowMs, now) })
+ * @param {object} [options.decryptor] - Opens sealed leads ({ open(envelope, referenceId) }, see lead-crypto.mjs)
+ * @param {number} [options.maxClockSkewMs] - Replay window / accepted timestamp skew (ms)
+ * @param {number} [options.sessionKeyTtlMs] - Session key lifetime (ms)
+ * @param {number} [options.maxBodyBytes] - Maximum request body size (bytes)
+ * @param {Function} [options.now] - Clock (for tests)
+ * @returns {Function} async (Request) => Response
+ */
+export function createLeadHandler(options) {
+    const config = { ...DEFAULTS, ...options };
+    const now = config.now || (() => Date.now());
+
+    if (!config.verifier || !config.storage) {
+        throw new Error('createLeadHandler requires a verifier and a storage backend');
+    }
+
+    const sessionKeys = createSessionKeys({ secret: config.signingSecret, ttlMs: config.sessionKeyTtlMs });
+    const nonceStore = config.nonceStore || createMemoryNonceStore();
+    const rateLimiter = config.rateLimiter || createMemoryRateLimiter();
+
+    /**
+     * Count a lookup against the per-client and per-reference limits
+     *
+     * @param {string} scope - 'status' or 'privacy' (counted separately)
+     * @param {Request} request - Incoming request
+     * @param {string} reference - Reference ID looked up
+     * @param {object} cors - CORS headers
+     * @returns {Promise<Response|null>} 429 once a limit is reached, else null
+     */
+    async function limitLookups(scope, request, reference, cors) {
+        const client = request.headers.get('CF-Connecting-IP') || 'local';
+        const limits = [
+            [`${scope}:client:${client}`, config.statusLookupsPerClient],
+            [`${scope}:reference:${reference}`, config.statusLookupsPerReference]
+        ];
+        for (const [key, limit] of limits) {
+            const { allowed, retryAfterMs } = await rateLimiter.hit(key, limit, config.statusWindowMs, now());
+            if (!allowed) {
+                return fail('rate_limited', 429, { ...cors, 'Retry-After': String(Math.ceil(retryAfterMs / 1000)) });
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Replace a sealed lead with the fields it carries (privacy mode)
+     *
+     * @param {URLSearchParams} form - Parsed body
+     * @param {string} requestId - Request ID the envelope must be bound to
+     * @returns {Promise<object>} { form } (unchanged when not sealed) or { error }
+     */
+    async function unseal(form, requestId) {
+        if (!form.has('sealed')) {
+            return { form };
+        }
+        if (!config.decryptor) {
+            return { error: 'sealed_lead_not_supported' };
+        }
+
+        let fields;
+        try {
+            fields = await config.decryptor.open(form.get('sealed'), requestId);
+        } catch (decryptError) {
+            console.error('Sealed lead did not open:', decryptError.message);
+            return { error: 'invalid_sealed_lead' };
+        }
+
+        // Clear fields (Turnstile token, consent) are kept; the envelope supplies the rest
+        const opened = new URLSearchParams(form);
+        opened.delete('sealed');
+        for (const name of ['email', 'company', 'gpuScale']) {
+            if (typeof fields[name] === 'string') {
+                opened.set(name, fields[name]);
+            }
+        }
+        if (fields.qualification) {
+            opened.set('qualification', JSON.stringify(fields.qualification));
+        }
+        return { form: opened };
+    }
+
+    /**
+     * Answer a status lookup (no signature: the email is the credential)
+     * Unknown references and wrong emails get the same 404, so the endpoint
+     * cannot be used to find out which references exist.
+     *
+     * @param {Request} request - Incoming request
+     * @param {object} cors - CORS headers
+     * @returns {Promise<Response>}
+     */
+    async function handleStatus(request, cors) {
+        if (!(request.headers.get('Content-Type') || '').startsWith('application/x-www-form-urlencoded')) {
+            return fail('unsupported_media_type', 415, cors);
+        }
+
+        const raw = await readBody(request, config.maxBodyBytes);
+        if (raw === null) {
+            return fail('payload_too_large', 413, cors);
+        }
+
+        const { reference, email, error } = parseStatusLookup(new URLSearchParams(raw));
+        if (error) {
+            return fail(error, 422, cors);
+        }
+
+        const limited = await limitLookups('status', request, reference, cors);
+        if (limited) {
+            return limited;
+        }
+
+        let record;
+        let leads;
+        try {
+            record = await config.storage.get(reference);
+            leads = record ? await config.storage.list() : [];
+        } catch (storageError) {
+            console.error('Status lookup failed:', storageError.message);
+            return fail('storage_unavailable', 503, cors);
+        }
+
+        if (!record || String(record.email).toLowerCase() !== email) {
+            return fail('not_found', 404, cors);
+        }
+
+        return json({
+            success: true,
+            id: record.id,
+            state: leadState(record),
+            queuePosition: queuePosition(record, leads),
+            receivedAt: record.receivedAt,
+            updatedAt: lastChange(record)
+        }, 200, cors);
+    }
+
+    /**
+     * Check the key, signature and replay protection of a signed request
+     * (its headers were already checked by checkSecurityHeaders)
+     *
+     * @param {Request} request - Incoming request
+     * @param {string} origin - Allowed request origin
+     * @param {URLSearchParams} form - Parsed body
+     * @param {object} cors - CORS headers
+     * @returns {Promise<object>} { sessionKey, requestId } or { response } to send instead
+     */
+    async function verifySigned(request, origin, form, cors) {
+        const requestId = request.headers.get('X-CX-Request-ID');
+        const signedFields = {
+            origin,
+            requestId,
+            timestamp: request.headers.get('X-CX-Timestamp'),
+            body: form
+        };
+
+        const sessionKey = await sessionKeys.resolve(request.headers.get('X-CX-Key-ID'), origin, now());
+        if (!sessionKey) {
+            return { response: fail('session_key_expired', 401, cors) };
+        }
+
+        if (!await verifyRequest(sessionKey, request.headers.get('X-CX-Signature'), signedFields)) {
+            return { response: fail('invalid_signature', 401, cors) };
+        }
+
+        // Each signed attempt (request ID + timestamp) is accepted once inside
+        // the replay window; retries of the same lead are new attempts
+        if (!await nonceStore.claim(`${requestId}.${signedFields.timestamp}`, config.maxClockSkewMs * 2, now())) {
+            return { response: fail('replayed_request', 409, cors) };
+        }
+
+        return { sessionKey, requestId };
+    }
+
+    /**
+     * Answer a signed ping with a signed response and the edge clock
+     *
+     * @param {Request} request - Incoming request
+     * @param {string} origin - Allowed request origin
+     * @param {object} cors - CORS headers
+     * @returns {Promise<Response>}
+     */
+    async function handlePing(request, origin, cors) {
+        const headerError = checkSecurityHeaders(request, config, now());
+        if (headerError) {
+            return fail(headerError, 400, cors);
+        }
+
+        const raw = await readBody(request, config.maxBodyBytes);
+        if (raw === null) {
+            return fail('payload_too_large', 413, cors);
+        }
+
+        const { sessionKey, requestId, response } = await verifySigned(request, origin, new URLSearchParams(raw), cors);
+        if (response) {
+            return response;
+        }
+
+        return json({
+            success: true,
+            id: 'ping',
+            serverTime: now(),
+            signature: await signResponse(sessionKey, { requestId, id: 'ping', success: true })
+        }, 200, cors);
+    }
+
+    /**
+     * Serve a signed data subject request: export or erase one lead
+     * Like status lookups, the reference ID and email together prove
+     * ownership, and misses get the same 404.
+     *
+     * @param {Request} request - Incoming request
+     * @param {string} origin - Allowed request origin
+     * @param {object} cors - CORS headers
+     * @returns {Promise<Response>}
+     */
+    async function handlePrivacy(request, origin, cors) {
+        const headerError = checkSecurityHeaders(request, config, now());
+        if (headerError) {
+            return fail(headerError, 400, cors);
+        }
+
+        if (!(request.headers.get('Content-Type') || '').startsWith('application/x-www-form-urlencoded')) {
+            return fail('unsupported_media_type', 415, cors);
+        }
+
+        const raw = await readBody(request, config.maxBodyBytes);
+        if (raw === null) {
+            return fail('payload_too_large', 413, cors);
+        }
+
+        const form = new URLSearchParams(raw);
+        const { sessionKey, requestId, response } = await verifySigned(request, origin, form, cors);
+        if (response) {
+            return response;
+        }
+
+        const action = form.get('action');
+        if (!DATA_REQUEST_ACTIONS.includes(action)) {
+            return fail('invalid_action', 422, cors);
+        }
+
+        const { reference, email, error } = parseStatusLookup(form);
+        if (error) {
+            return fail(error, 422, cors);
+        }
+
+        const limited = await limitLookups('privacy', request, reference, cors);
+        if (limited) {
+            return limited;
+        }
+
+        let record;
+        try {
+            record = await config.storage.get(reference);
+        } catch (storageError) {
+            console.error('Data request lookup failed:', storageError.message);
+            return fail('storage_unavailable', 503, cors);
+        }
+
+        if (!record || String(record.email).toLowerCase() !== email) {
+            return fail('not_found', 404, cors);
+        }
+
+        const signature = await signResponse(sessionKey, { requestId, id: record.id, success: true });
+        if (action === 'export') {
+            return json({ success: true, id: record.id, action, lead: record, signature }, 200, cors);
+        }
+
+        try {
+            await config.storage.delete(record.id);
+        } catch (storageError) {
+            console.error('Lead deletion failed:', storageError.message);
+            return fail('storage_unavailable', 503, cors);
+        }
+
+        // No contact data in the log: the reference is enough to find fallback copies
+        console.info(`Lead ${record.id} deleted at the data subject's request`);
+        return json({ success: true, id: record.id, action, deletedAt: new Date(now()).toISOString(), signature }, 200, cors);
+    }
+
+    return async function handleRequest(request) {
+        const origin = request.headers.get('Origin');
+        const originAllowed = origin !== null && config.allowedOrigins.includes(origin);
+        const cors = originAllowed ? corsHeaders(origin) : {};
+
+        // CORS preflight for the custom X-CX-* headers
+        if (request.method === 'OPTIONS') {
+            return originAllowed
+                ? new Response(null, { status: 204, headers: cors })
+                : new Response(null, { status: 403 });
+        }
+
+        if (request.method !== 'POST') {
+            return fail('method_not_allowed', 405, { ...cors, 'Allow': 'POST, OPTIONS' });
+        }
+
+        if (!originAllowed) {
+            return fail('origin_not_allowed', 403);
+        }
+
+        // Session key issuance: one short-lived signing key per browser session
+        if (new URL(request.url).pathname.endsWith('/session')) {
+            const session = await sessionKeys.issue(origin, now());
+            return json({ ...session, serverTime: now() }, 200, cors);
+        }
+
+        if (new URL(request.url).pathname.endsWith('/status')) {
+            return handleStatus(request, cors);
+        }
+
+        if (new URL(request.url).pathname.endsWith('/ping')) {
+            return handlePing(request, origin, cors);
+        }
+
+        if (new URL(request.url).pathname.endsWith('/privacy')) {
+            return handlePrivacy(request, origin, cors);
+        }
+
+        const headerError = checkSecurityHeaders(request, config, now());
+        if (headerError) {
+            return fail(headerError, 400, cors);
+        }
+
+        const contentType = request.headers.get('Content-Type') || '';
+        if (!contentType.startsWith('application/x-www-form-urlencoded')) {
+            return fail('unsupported_media_type', 415, cors);
+        }
+
+        const raw = await readBody(request, config.maxBodyBytes);
+        if (raw === null) {
+            return fail('payload_too_large', 413, cors);
+        }
+
+        const form = new URLSearchParams(raw);
+        const { sessionKey, requestId, response } = await verifySigned(request, origin, form, cors);
+        if (response) {
+            return response;
+        }
+
+        const opened = await unseal(form, requestId);
+        if (opened.error) {
+            return fail(opened.error, 422, cors);
+        }
+
+        const { lead, error } = parseLead(opened.form);
+        if (error) {
+            return fail(error, 422, cors);
+        }
+
+        // Idempotent retry: answer with the stored record (before Turnstile,
+        // whose tokens are single-use and were spent by the first attempt)
+        let existing = null;
+        try {
+            existing = await config.storage.get(requestId);
+        } catch (storageError) {
+            console.error('Lead lookup failed:', storageError.message);
+            return fail('storage_unavailable', 503, cors);
+        }
+
+        // An update with nothing new is answered like a retry
+        const isUpdate = opened.form.get('update') === '1';
+        if (existing) {
+            const sameLead = existing.email === lead.email &&
+                existing.company === lead.company &&
+                existing.gpuScale === lead.gpuScale &&
+                JSON.stringify(existing.qualification ?? null) === JSON.stringify(lead.qualification);
+
+            if (sameLead) {
+                return json({
+                    success: true,
+                    id: existing.id,
+                    duplicate: true,
+                    signature: await signResponse(sessionKey, { requestId, id: existing.id, success: true, duplicate: true })
+                }, 200, cors);
+            }
+
+            if (!isUpdate || existing.email.toLowerCase() !== lead.email.toLowerCase()) {
+                return fail('idempotency_key_reused', 409, cors);
+            }
+        }
+
+        const token = form.get('cf-turnstile-response');
+        if (!token) {
+            return fail('missing_turnstile_token', 403, cors);
+        }
+
+        // The request ID is the idempotency key: a retry or hedged request of
+        // this lead carries the token an earlier attempt may have spent
+        const remoteIp = request.headers.get('CF-Connecting-IP') || undefined;
+        const verification = await config.verifier.verify(token, remoteIp, requestId);
+        if (!verification.success) {
+            return fail('turnstile_failed', 403, cors);
+        }
+
+        // An update keeps the reference, arrival time and state of the stored lead
+        const record = existing ? {
+            ...existing,
+            ...lead,
+            updatedAt: new Date(now()).toISOString()
+        } : {
+            id: requestId,
+            ...lead,
+            requestId,
+            edgeNode: request.headers.get('X-Edge-Node'),
+            origin,
+            receivedAt: new Date(now()).toISOString()
+        };
+
+        try {
+            await config.storage.put(record);
+        } catch (storageError) {
+            console.error('Lead storage failed:', storageError.message);
+            return fail('storage_unavailable', 503, cors);
+        }
+
+        return json({
+            success: true,
+            id: record.id,
+            ...(existing ? { updated: true } : {}),
+            signature: await signResponse(sessionKey, { requestId, id: record.id, success: true, updated: Boolean(existing) })
+        }, 200, cors);
+    };
+}
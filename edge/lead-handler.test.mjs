@@ -0,0 +1,327 @@
+/**
+ * AI Compute Exchange - Lead Handler Tests
+ *
+ * Request signing, idempotent retries and Turnstile re-verification of
+ * createLeadHandler, against in-memory storage and the fake verifier.
+ *
+ * Run with: node --test edge/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createLeadHandler } from './lead-handler.mjs';
+import { createMemoryStorage } from './storage.mjs';
+import { createFakeTurnstileVerifier, createTurnstileVerifier } from './turnstile.mjs';
+import { fromBase64Url, signRequest, signResponse } from './signing.mjs';
+
+const ORIGIN = 'https://cx-portal.example';
+const ENDPOINT = 'https://edge.example/lead';
+const REFERENCE = 'CX-01M5AVTAAR-SYHG146DADN28';
+
+const LEAD = {
+    email: 'ana@acme.io',
+    company: 'Acme Research',
+    gpuScale: 'team',
+    consentVersion: '2026-01',
+    consentAt: '2026-10-19T09:00:00.000Z',
+    consentLocale: 'en'
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Handler with its storage and verifier, on a clock the test moves
+ *
+ * @param {object} [options] - Extra createLeadHandler options
+ * @returns {object} { handler, storage, verifier, clock }
+ */
+function setup(options = {}) {
+    const clock = { now: Date.parse('2026-10-19T10:00:00.000Z') };
+    const storage = options.storage || createMemoryStorage();
+    const verifier = options.verifier || createFakeTurnstileVerifier({ singleUse: true });
+    const handler = createLeadHandler({
+        storage,
+        verifier,
+        signingSecret: 'test-secret',
+        allowedOrigins: [ORIGIN],
+        now: () => clock.now,
+        ...options
+    });
+    return { handler, storage, verifier, clock };
+}
+
+/**
+ * @param {Function} handler - Lead handler
+ * @returns {Promise<object>} { keyId, key (raw bytes) }
+ */
+async function openSession(handler) {
+    const response = await handler(new Request(new URL('session', ENDPOINT), { method: 'POST', headers: { Origin: ORIGIN } }));
+    const session = await response.json();
+    return { keyId: session.keyId, key: fromBase64Url(session.key) };
+}
+
+/**
+ * Signed lead request, like js/request-signing.js sends it
+ *
+ * @param {object} session - See openSession
+ * @param {object} fields - Form fields
+ * @param {object} [options] - { requestId, timestamp, url, signedFields (sign these instead of fields),
+ *                             body (raw body instead of the encoded fields) }
+ * @returns {Promise<Request>}
+ */
+async function signedRequest(session, fields, { requestId = REFERENCE, timestamp, url = ENDPOINT, signedFields = fields, body } = {}) {
+    const stamp = String(timestamp);
+    const signature = await signRequest(session.key, {
+        origin: ORIGIN,
+        requestId,
+        timestamp: stamp,
+        body: new URLSearchParams(signedFields)
+    });
+
+    return new Request(url, {
+        method: 'POST',
+        headers: {
+            Origin: ORIGIN,
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'X-CX-Origin': ORIGIN,
+            'X-CX-Request-ID': requestId,
+            'X-CX-Timestamp': stamp,
+            'X-CX-Key-ID': session.keyId,
+            'X-CX-Signature': signature
+        },
+        body: body ?? new URLSearchParams(fields).toString()
+    });
+}
+
+/**
+ * Send a lead attempt; every attempt gets its own timestamp, like a retry
+ *
+ * @param {object} context - See setup
+ * @param {object} session - See openSession
+ * @param {object} fields - Form fields
+ * @param {object} [options] - See signedRequest
+ * @returns {Promise<object>} { status, body }
+ */
+async function send(context, session, fields, options = {}) {
+    context.clock.now += 1000;
+    const response = await context.handler(await signedRequest(session, fields, { timestamp: context.clock.now, ...options }));
+    return { status: response.status, body: await response.json() };
+}
+
+/**
+ * @param {object} session - See openSession
+ * @param {object} body - Signed response
+ * @param {string} [requestId] - Request it answers
+ * @returns {Promise<boolean>} True if the response signature covers its flags
+ */
+async function isSignedResponse(session, body, requestId = REFERENCE) {
+    const expected = await signResponse(session.key, {
+        requestId,
+        id: body.id,
+        success: body.success,
+        duplicate: body.duplicate,
+        updated: body.updated
+    });
+    return body.signature === expected;
+}
+
+// ============================================================================
+// SIGNING
+// ============================================================================
+
+test('a signed lead is stored and the answer is signed with the session key', async () => {
+    const context = setup();
+    const session = await openSession(context.handler);
+
+    const { status, body } = await send(context, session, { ...LEAD, 'cf-turnstile-response': 'token-1' });
+
+    assert.equal(status, 200);
+    assert.equal(body.id, REFERENCE);
+    assert.ok(await isSignedResponse(session, body));
+    assert.equal((await context.storage.get(REFERENCE)).company, 'Acme Research');
+});
+
+test('a lead whose body differs from what was signed is refused', async () => {
+    const context = setup();
+    const session = await openSession(context.handler);
+
+    const { status, body } = await send(context, session,
+        { ...LEAD, company: 'Evil Corp', 'cf-turnstile-response': 'token-1' },
+        { signedFields: { ...LEAD, 'cf-turnstile-response': 'token-1' } });
+
+    assert.equal(status, 401);
+    assert.equal(body.error, 'invalid_signature');
+    assert.equal(await context.storage.get(REFERENCE), null);
+});
+
+test('a signed attempt is accepted once', async () => {
+    const context = setup();
+    const session = await openSession(context.handler);
+    const request = () => signedRequest(session, { ...LEAD, 'cf-turnstile-response': 'token-1' }, { timestamp: context.clock.now });
+
+    assert.equal((await context.handler(await request())).status, 200);
+
+    const replayed = await context.handler(await request());
+    assert.equal(replayed.status, 409);
+    assert.equal((await replayed.json()).error, 'replayed_request');
+});
+
+test('a key issued to another origin does not sign for this one', async () => {
+    const context = setup({ allowedOrigins: [ORIGIN, 'https://other.example'] });
+    const response = await context.handler(new Request(new URL('session', ENDPOINT), { method: 'POST', headers: { Origin: 'https://other.example' } }));
+    const foreign = await response.json();
+
+    const { status, body } = await send(context, { keyId: foreign.keyId, key: fromBase64Url(foreign.key) },
+        { ...LEAD, 'cf-turnstile-response': 'token-1' });
+
+    assert.equal(status, 401);
+    assert.equal(body.error, 'invalid_signature');
+});
+
+test('the body size limit counts bytes, not characters', async () => {
+    const context = setup({ maxBodyBytes: 1024 });
+    const session = await openSession(context.handler);
+
+    // Not percent-encoded: under 1024 characters, over 1024 bytes in UTF-8
+    const fields = { ...LEAD, company: '€'.repeat(400), 'cf-turnstile-response': 'token-1' };
+    const raw = Object.entries(fields).map(([name, value]) => `${name}=${value}`).join('&');
+    assert.ok(raw.length < 1024);
+
+    const { status, body } = await send(context, session, fields, { body: raw });
+
+    assert.equal(status, 413);
+    assert.equal(body.error, 'payload_too_large');
+});
+
+// ============================================================================
+// IDEMPOTENCY
+// ============================================================================
+
+test('a retry of a stored lead is answered as a signed duplicate without a second record', async () => {
+    const context = setup();
+    const session = await openSession(context.handler);
+
+    await send(context, session, { ...LEAD, 'cf-turnstile-response': 'token-1' });
+    const { status, body } = await send(context, session, { ...LEAD, 'cf-turnstile-response': 'token-2' });
+
+    assert.equal(status, 200);
+    assert.equal(body.duplicate, true);
+    assert.ok(await isSignedResponse(session, body));
+    assert.equal(context.verifier.calls.length, 1, 'the retry is answered before Turnstile');
+    assert.equal((await context.storage.list()).length, 1);
+});
+
+test('a duplicate flag added in transit breaks the response signature', async () => {
+    const context = setup();
+    const session = await openSession(context.handler);
+
+    const { body } = await send(context, session, { ...LEAD, 'cf-turnstile-response': 'token-1' });
+
+    assert.equal(await isSignedResponse(session, { ...body, duplicate: true }), false);
+});
+
+test('other details under a stored reference need the update flag', async () => {
+    const context = setup();
+    const session = await openSession(context.handler);
+
+    await send(context, session, { ...LEAD, 'cf-turnstile-response': 'token-1' });
+    const { status, body } = await send(context, session, { ...LEAD, company: 'Acme Labs', 'cf-turnstile-response': 'token-2' });
+
+    assert.equal(status, 409);
+    assert.equal(body.error, 'idempotency_key_reused');
+    assert.equal((await context.storage.get(REFERENCE)).company, 'Acme Research');
+});
+
+test('an update replaces the details and keeps the arrival time', async () => {
+    const context = setup();
+    const session = await openSession(context.handler);
+
+    await send(context, session, { ...LEAD, 'cf-turnstile-response': 'token-1' });
+    const before = await context.storage.get(REFERENCE);
+    const { status, body } = await send(context, session, { ...LEAD, company: 'Acme Labs', update: '1', 'cf-turnstile-response': 'token-2' });
+
+    assert.equal(status, 200);
+    assert.equal(body.updated, true);
+    assert.ok(await isSignedResponse(session, body));
+
+    const after = await context.storage.get(REFERENCE);
+    assert.equal(after.company, 'Acme Labs');
+    assert.equal(after.receivedAt, before.receivedAt);
+    assert.ok(after.updatedAt > before.receivedAt);
+});
+
+test('an update cannot move a lead to another email', async () => {
+    const context = setup();
+    const session = await openSession(context.handler);
+
+    await send(context, session, { ...LEAD, 'cf-turnstile-response': 'token-1' });
+    const { status } = await send(context, session, { ...LEAD, email: 'eve@evil.io', update: '1', 'cf-turnstile-response': 'token-2' });
+
+    assert.equal(status, 409);
+    assert.equal((await context.storage.get(REFERENCE)).email, 'ana@acme.io');
+});
+
+// ============================================================================
+// TURNSTILE RETRY
+// ============================================================================
+
+test('a retry with the token an earlier attempt spent verifies again under its reference', async () => {
+    const storage = createMemoryStorage();
+    let failPut = true;
+    const context = setup({
+        storage: {
+            ...storage,
+            async put(lead) {
+                if (failPut) {
+                    failPut = false;
+                    throw new Error('storage down');
+                }
+                return storage.put(lead);
+            }
+        }
+    });
+    const session = await openSession(context.handler);
+
+    // The first attempt spends the token, then fails to store the lead
+    const first = await send(context, session, { ...LEAD, 'cf-turnstile-response': 'token-1' });
+    assert.equal(first.status, 503);
+
+    const retry = await send(context, session, { ...LEAD, 'cf-turnstile-response': 'token-1' });
+    assert.equal(retry.status, 200);
+    assert.deepEqual(context.verifier.calls.map(call => call.idempotencyKey), [REFERENCE, REFERENCE]);
+    assert.notEqual(await storage.get(REFERENCE), null);
+});
+
+test('a spent token does not verify for another lead', async () => {
+    const context = setup();
+    const session = await openSession(context.handler);
+
+    await send(context, session, { ...LEAD, 'cf-turnstile-response': 'token-1' });
+    const { status, body } = await send(context, session,
+        { ...LEAD, email: 'bo@acme.io', 'cf-turnstile-response': 'token-1' },
+        { requestId: 'CX-01M5AVTAAR-0THERLEAD000' });
+
+    assert.equal(status, 403);
+    assert.equal(body.error, 'turnstile_failed');
+});
+
+test('siteverify is asked with the reference as idempotency key', async () => {
+    const requests = [];
+    const verifier = createTurnstileVerifier({
+        secretKey: 'turnstile-secret',
+        fetch: async (url, init) => {
+            requests.push(new URLSearchParams(init.body));
+            return new Response(JSON.stringify({ success: true }));
+        }
+    });
+
+    const result = await verifier.verify('token-1', '203.0.113.7', REFERENCE);
+
+    assert.equal(result.success, true);
+    assert.equal(requests[0].get('response'), 'token-1');
+    assert.equal(requests[0].get('remoteip'), '203.0.113.7');
+    assert.equal(requests[0].get('idempotency_key'), REFERENCE);
+});
@@ -0,0 +1,67 @@
+/**
+ * AI Compute Exchange - Rate Limiters
+ *
+ * Fixed-window counters for endpoints anyone can call (status lookups).
+ * Every limiter implements the same async interface:
+ *   hit(key, limit, windowMs, now) → { allowed, retryAfterMs }
+ *
+ * A hit that is over the limit is not counted, so a client that waits for
+ * retryAfterMs always gets through.
+ */
+
+/**
+ * In-memory limiter (tests, local development, single Worker isolate)
+ *
+ * @returns {object} Rate limiter
+ */
+export function createMemoryRateLimiter() {
+    const windows = new Map();
+
+    return {
+        async hit(key, limit, windowMs, now) {
+            // Drop windows that have ended
+            for (const [windowKey, window] of windows) {
+                if (window.resetAt <= now) {
+                    windows.delete(windowKey);
+                }
+            }
+
+            const window = windows.get(key) || { count: 0, resetAt: now + windowMs };
+            if (window.count >= limit) {
+                return { allowed: false, retryAfterMs: window.resetAt - now };
+            }
+
+            window.count++;
+            windows.set(key, window);
+            return { allowed: true, retryAfterMs: 0 };
+        }
+    };
+}
+
+/**
+ * Workers KV limiter (best effort: KV is eventually consistent, so a burst
+ * spread over several locations can exceed the limit)
+ *
+ * @param {object} namespace - KV namespace binding
+ * @returns {object} Rate limiter
+ */
+export function createKvRateLimiter(namespace) {
+    const PREFIX = 'rate:';
+
+    return {
+        async hit(key, limit, windowMs, now) {
+            const stored = await namespace.get(PREFIX + key, 'json');
+            const window = stored && stored.resetAt > now ? stored : { count: 0, resetAt: now + windowMs };
+            if (window.count >= limit) {
+                return { allowed: false, retryAfterMs: window.resetAt - now };
+            }
+
+            window.count++;
+            // KV requires a TTL of at least 60 seconds
+            await namespace.put(PREFIX + key, JSON.stringify(window), {
+                expirationTtl: Math.max(60, Math.ceil((window.resetAt - now) / 1000))
+            });
+            return { allowed: true, retryAfterMs: 0 };
+        }
+    };
+}
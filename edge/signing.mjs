@@ -0,0 +1,269 @@
+/**
+ * AI Compute Exchange - Request Signing (edge side)
+ *
+ * Replaces the static X-CX-Frontend-Signature with per-request HMACs:
+ *
+ * 1. The browser asks the edge for a short-lived session key
+ *    (POST <endpoint>/session). Keys are derived statelessly:
+ *      keyId = "<expiresAt>.<random>"
+ *      key   = HMAC-SHA256(signingSecret, "<keyId>|<origin>")
+ *    so any isolate can re-derive them and a key only works for the origin
+ *    it was issued to.
+ * 2. Each lead is signed over the canonical request (see canonicalRequest)
+ *    and sent with X-CX-Key-ID / X-CX-Signature.
+ * 3. The edge rejects requests outside the replay window and signed attempts
+ *    (request ID + timestamp) it has already seen, then signs its response
+ *    with the same session key.
+ *
+ * js/request-signing.js is the browser counterpart and must stay in sync.
+ */
+
+export const SIGNATURE_VERSION = 'CX-HMAC-SHA256-V1';
+
+const encoder = new TextEncoder();
+
+// ============================================================================
+// ENCODING HELPERS
+// ============================================================================
+
+/**
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {string} base64url without padding
+ */
+export function toBase64Url(buffer) {
+    let binary = '';
+    for (const byte of new Uint8Array(buffer)) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {string} value - base64url string
+ * @returns {Uint8Array}
+ */
+export function fromBase64Url(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * @param {string} text
+ * @returns {Promise<string>} Lowercase hex SHA-256
+ */
+async function sha256Hex(text) {
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @param {Uint8Array} keyBytes - Raw HMAC key
+ * @param {string} message
+ * @returns {Promise<Uint8Array>} HMAC-SHA256
+ */
+async function hmac(keyBytes, message) {
+    const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+}
+
+/**
+ * Constant-time comparison of two strings
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+        return false;
+    }
+
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+// ============================================================================
+// CANONICAL FORMS
+// ============================================================================
+
+/**
+ * Canonical form body: pairs sorted by name then value (code-unit order),
+ * percent-encoded and joined with "&"
+ *
+ * @param {URLSearchParams} params - Form body
+ * @returns {string}
+ */
+export function canonicalBody(params) {
+    return Array.from(params.entries())
+        .sort(([nameA, valueA], [nameB, valueB]) => {
+            if (nameA !== nameB) {
+                return nameA < nameB ? -1 : 1;
+            }
+            return valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+        })
+        .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+        .join('&');
+}
+
+/**
+ * String that is signed for a request
+ *
+ * @param {object} fields - { origin, requestId, timestamp, body (URLSearchParams) }
+ * @returns {Promise<string>}
+ */
+export async function canonicalRequest({ origin, requestId, timestamp, body }) {
+    return [
+        SIGNATURE_VERSION,
+        origin,
+        requestId,
+        String(timestamp),
+        await sha256Hex(canonicalBody(body))
+    ].join('\n');
+}
+
+/**
+ * String that is signed for a response
+ *
+ * @param {object} fields - { requestId, id, success, duplicate, updated }
+ * @returns {string}
+ */
+export function canonicalResponse({ requestId, id, success, duplicate, updated }) {
+    return [
+        `${SIGNATURE_VERSION}-RESPONSE`,
+        requestId,
+        id || '',
+        success ? '1' : '0',
+        duplicate ? '1' : '0',
+        updated ? '1' : '0'
+    ].join('\n');
+}
+
+// ============================================================================
+// SESSION KEYS
+// ============================================================================
+
+/**
+ * Issue and resolve stateless per-session signing keys
+ *
+ * @param {object} options
+ * @param {string} options.secret - Server-only signing secret
+ * @param {number} [options.ttlMs] - Session key lifetime (default 10 minutes)
+ * @returns {object} { issue(origin, now), resolve(keyId, origin, now) }
+ */
+export function createSessionKeys({ secret, ttlMs = 10 * 60 * 1000 }) {
+    if (!secret) {
+        throw new Error('createSessionKeys requires a signing secret');
+    }
+
+    const secretBytes = encoder.encode(secret);
+
+    return {
+        async issue(origin, now) {
+            const expiresAt = now + ttlMs;
+            const keyId = `${expiresAt}.${toBase64Url(crypto.getRandomValues(new Uint8Array(12)))}`;
+            const key = await hmac(secretBytes, `${keyId}|${origin}`);
+            return { keyId, key: toBase64Url(key), expiresAt };
+        },
+
+        async resolve(keyId, origin, now) {
+            const match = /^(\d{13})\.[A-Za-z0-9_-]{16}$/.exec(keyId || '');
+            if (!match || Number(match[1]) < now) {
+                return null;
+            }
+            return hmac(secretBytes, `${keyId}|${origin}`);
+        }
+    };
+}
+
+// ============================================================================
+// SIGN / VERIFY
+// ============================================================================
+
+/**
+ * Sign a request (used by tests and tooling; browsers use js/request-signing.js)
+ *
+ * @param {Uint8Array} key - Raw session key
+ * @param {object} fields - See canonicalRequest
+ * @returns {Promise<string>} base64url signature
+ */
+export async function signRequest(key, fields) {
+    return toBase64Url(await hmac(key, await canonicalRequest(fields)));
+}
+
+/**
+ * Verify a request signature
+ *
+ * @param {Uint8Array} key - Raw session key
+ * @param {string} signature - X-CX-Signature value
+ * @param {object} fields - See canonicalRequest
+ * @returns {Promise<boolean>}
+ */
+export async function verifyRequest(key, signature, fields) {
+    return safeEqual(await signRequest(key, fields), signature);
+}
+
+/**
+ * Sign a response body so the browser can trust it
+ *
+ * @param {Uint8Array} key - Raw session key
+ * @param {object} fields - See canonicalResponse
+ * @returns {Promise<string>} base64url signature
+ */
+export async function signResponse(key, fields) {
+    return toBase64Url(await hmac(key, canonicalResponse(fields)));
+}
+
+// ============================================================================
+// REPLAY PROTECTION
+// ============================================================================
+
+/**
+ * In-memory store of attempt IDs seen inside the replay window
+ *
+ * @returns {object} { claim(id, ttlMs, now) → Promise<boolean> }
+ */
+export function createMemoryNonceStore() {
+    const seen = new Map();
+
+    return {
+        async claim(id, ttlMs, now) {
+            // Drop entries that left the replay window
+            for (const [seenId, expiresAt] of seen) {
+                if (expiresAt <= now) {
+                    seen.delete(seenId);
+                }
+            }
+
+            if (seen.has(id)) {
+                return false;
+            }
+            seen.set(id, now + ttlMs);
+            return true;
+        }
+    };
+}
+
+/**
+ * Workers KV store of attempt IDs (best effort: KV is eventually consistent)
+ *
+ * @param {object} namespace - KV namespace binding
+ * @returns {object} { claim(id, ttlMs, now) → Promise<boolean> }
+ */
+export function createKvNonceStore(namespace) {
+    const PREFIX = 'nonce:';
+
+    return {
+        async claim(id, ttlMs) {
+            if (await namespace.get(PREFIX + id)) {
+                return false;
+            }
+            // KV requires a TTL of at least 60 seconds
+            await namespace.put(PREFIX + id, '1', { expirationTtl: Math.max(60, Math.ceil(ttlMs / 1000)) });
+            return true;
+        }
+    };
+}
@@ -0,0 +1,146 @@
+/**
+ * AI Compute Exchange - Lead Storage Backends
+ *
+ * Every backend implements the same async interface:
+ *   put(lead)  - persist a lead record (keyed by lead.id)
+ *   get(id)    - fetch one lead, or null
+ *   list()     - all leads, oldest first
+ *   delete(id) - erase a lead; resolves true if it existed
+ */
+
+/**
+ * In-memory storage (tests, demos, single Worker isolate)
+ *
+ * @returns {object} Storage backend
+ */
+export function createMemoryStorage() {
+    const leads = new Map();
+
+    return {
+        async put(lead) {
+            leads.set(lead.id, { ...lead });
+        },
+
+        async get(id) {
+            const lead = leads.get(id);
+            return lead ? { ...lead } : null;
+        },
+
+        async list() {
+            return Array.from(leads.values(), lead => ({ ...lead }));
+        },
+
+        async delete(id) {
+            return leads.delete(id);
+        }
+    };
+}
+
+/**
+ * JSON-lines file storage for local development under Node
+ * Each put appends one line; the file is re-read on get/list. A delete
+ * rewrites the file so no earlier line keeps the erased lead.
+ *
+ * @param {string} filePath - Path to the .jsonl file (created on first write)
+ * @returns {object} Storage backend
+ */
+export function createFileStorage(filePath) {
+    // Imported lazily so this module still loads on Workers
+    const fsPromise = import('node:fs/promises');
+    const pathPromise = import('node:path');
+
+    async function readAll() {
+        const fs = await fsPromise;
+        let text;
+        try {
+            text = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        // Later lines win, so a lead can be rewritten by appending it again
+        const byId = new Map();
+        for (const line of text.split('\n')) {
+            if (line.trim()) {
+                const lead = JSON.parse(line);
+                byId.set(lead.id, lead);
+            }
+        }
+        return Array.from(byId.values());
+    }
+
+    return {
+        async put(lead) {
+            const fs = await fsPromise;
+            const path = await pathPromise;
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.appendFile(filePath, JSON.stringify(lead) + '\n', 'utf8');
+        },
+
+        async get(id) {
+            return (await readAll()).find(lead => lead.id === id) || null;
+        },
+
+        async list() {
+            return readAll();
+        },
+
+        async delete(id) {
+            const fs = await fsPromise;
+            const leads = await readAll();
+            const kept = leads.filter(lead => lead.id !== id);
+            if (kept.length === leads.length) {
+                return false;
+            }
+
+            await fs.writeFile(filePath, kept.map(lead => JSON.stringify(lead) + '\n').join(''), 'utf8');
+            return true;
+        }
+    };
+}
+
+/**
+ * Cloudflare Workers KV storage
+ *
+ * @param {object} namespace - KV namespace binding (env.LEADS)
+ * @returns {object} Storage backend
+ */
+export function createKvStorage(namespace) {
+    const PREFIX = 'lead:';
+
+    return {
+        async put(lead) {
+            await namespace.put(PREFIX + lead.id, JSON.stringify(lead));
+        },
+
+        async get(id) {
+            return namespace.get(PREFIX + id, 'json');
+        },
+
+        async list() {
+            const leads = [];
+            let cursor;
+            do {
+                const page = await namespace.list({ prefix: PREFIX, cursor });
+                for (const key of page.keys) {
+                    const lead = await namespace.get(key.name, 'json');
+                    if (lead) {
+                        leads.push(lead);
+                    }
+                }
+                cursor = page.list_complete ? undefined : page.cursor;
+            } while (cursor);
+
+            return leads.sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+        },
+
+        async delete(id) {
+            const existed = await namespace.get(PREFIX + id) !== null;
+            await namespace.delete(PREFIX + id);
+            return existed;
+        }
+    };
+}
@@ -0,0 +1,83 @@
+/**
+ * AI Compute Exchange - Turnstile Verifiers
+ *
+ * Pluggable token verification for the lead handler. Every verifier
+ * exposes verify(token, remoteIp, idempotencyKey) → Promise<{ success, errorCodes }>.
+ *
+ * Tokens are single-use. The lead handler passes the lead's reference ID as
+ * idempotency key, so a retry or hedged request of the same lead (sent to
+ * another edge with the token the first one already spent) verifies again.
+ */
+
+const SITEVERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+
+/**
+ * Verifier backed by Cloudflare's siteverify API
+ *
+ * @param {object} options
+ * @param {string} options.secretKey - Turnstile secret key
+ * @param {Function} [options.fetch] - fetch implementation (defaults to global fetch)
+ * @returns {object} Verifier
+ */
+export function createTurnstileVerifier({ secretKey, fetch: fetchImpl = fetch }) {
+    if (!secretKey) {
+        throw new Error('createTurnstileVerifier requires a secretKey');
+    }
+
+    return {
+        async verify(token, remoteIp, idempotencyKey) {
+            const body = new URLSearchParams({ secret: secretKey, response: token });
+            if (remoteIp) {
+                body.set('remoteip', remoteIp);
+            }
+            if (idempotencyKey) {
+                body.set('idempotency_key', idempotencyKey);
+            }
+
+            try {
+                const response = await fetchImpl(SITEVERIFY_URL, { method: 'POST', body });
+                const data = await response.json();
+                return {
+                    success: data.success === true,
+                    errorCodes: data['error-codes'] || []
+                };
+            } catch (error) {
+                return { success: false, errorCodes: ['siteverify-unreachable'] };
+            }
+        }
+    };
+}
+
+/**
+ * Local fake for tests and development: never calls Cloudflare
+ * Accepts every non-empty token except those in rejectTokens. With singleUse,
+ * a token verifies once, or again with the same idempotency key (like siteverify).
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.rejectTokens] - Tokens to treat as invalid
+ * @param {boolean} [options.singleUse] - Refuse spent tokens
+ * @returns {object} Verifier with a `calls` log of verified tokens
+ */
+export function createFakeTurnstileVerifier({ rejectTokens = [], singleUse = false } = {}) {
+    const calls = [];
+
+    // Spent token → idempotency key of its first verification
+    const spent = new Map();
+
+    return {
+        calls,
+        async verify(token, remoteIp, idempotencyKey) {
+            calls.push({ token, remoteIp, idempotencyKey });
+            const reused = singleUse && spent.has(token) &&
+                (!idempotencyKey || spent.get(token) !== idempotencyKey);
+            const success = Boolean(token) && !rejectTokens.includes(token) && !reused;
+            if (success && !spent.has(token)) {
+                spent.set(token, idempotencyKey);
+            }
+            return {
+                success,
+                errorCodes: success ? [] : [reused ? 'timeout-or-duplicate' : 'invalid-input-response']
+            };
+        }
+    };
+}
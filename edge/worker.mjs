@@ -0,0 +1,50 @@
+/**
+ * AI Compute Exchange - Cloudflare Workers Entry
+ *
+ * Bindings / variables:
+ *   TURNSTILE_SECRET_KEY  (secret)  Turnstile secret key
+ *   CX_SIGNING_SECRET     (secret)  Secret the per-session signing keys are derived from
+ *   LEAD_PRIVATE_KEYS     (secret)  Optional; comma-separated base64 PKCS#8 keys that open
+ *                                   privacy-mode leads (scripts/generate-lead-key.mjs)
+ *   ALLOWED_ORIGINS       (var)     Comma-separated origins, e.g. "https://cx-portal.bdtec.ai"
+ *   LEADS                 (KV)      Optional; leads are kept in memory without it
+ *   NONCES                (KV)      Optional; seen request signatures are kept per isolate without it
+ *   RATE_LIMITS           (KV)      Optional; status lookup limits are counted per isolate without it
+ */
+
+import { createLeadHandler } from './lead-handler.mjs';
+import { createTurnstileVerifier } from './turnstile.mjs';
+import { createKvStorage, createMemoryStorage } from './storage.mjs';
+import { createKvNonceStore } from './signing.mjs';
+import { createKvRateLimiter } from './rate-limit.mjs';
+import { createLeadDecryptor } from './lead-crypto.mjs';
+
+let handler = null;
+
+/**
+ * Build the handler once per isolate from the environment
+ *
+ * @param {object} env - Worker environment
+ * @returns {Function} Lead handler
+ */
+function getHandler(env) {
+    if (!handler) {
+        handler = createLeadHandler({
+            verifier: createTurnstileVerifier({ secretKey: env.TURNSTILE_SECRET_KEY }),
+            storage: env.LEADS ? createKvStorage(env.LEADS) : createMemoryStorage(),
+            signingSecret: env.CX_SIGNING_SECRET,
+            nonceStore: env.NONCES ? createKvNonceStore(env.NONCES) : undefined,
+            rateLimiter: env.RATE_LIMITS ? createKvRateLimiter(env.RATE_LIMITS) : undefined,
+            decryptor: env.LEAD_PRIVATE_KEYS ? createLeadDecryptor(env.LEAD_PRIVATE_KEYS.split(',')) : undefined,
+            allowedOrigins: (env.ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+        });
+    }
+
+    return handler;
+}
+
+export default {
+    async fetch(request, env) {
+        return getHandler(env)(request);
+    }
+};
@@ -0,0 +1,161 @@
+/**
+ * AI Compute Exchange - Marketing Attribution
+ *
+ * Records where a prospect came from so each lead can be credited to a
+ * channel. A touch is one visit:
+ *
+ *   { params, referrer, landingPath, at }
+ *     params       campaign tags and ad click IDs from the landing URL, only
+ *                  those in CONFIG.attribution.params (utm_*, gclid, ...)
+ *     referrer     origin and path of the referring http(s) site ('' for
+ *                  direct visits and app referrers; never its query string)
+ *     landingPath  path of the page the visit started on
+ *     at           ISO time of the visit
+ *
+ * Two touches are kept in localStorage: the first visit, and the latest one
+ * that came from a campaign link or another site (a direct revisit does not
+ * replace it). Each expires CONFIG.attribution.maxAge after it happened.
+ * Visitors with Do Not Track or Global Privacy Control get the touch of the
+ * current visit only, nothing is stored.
+ *
+ * Sent with the lead in clear, also in privacy mode (no contact data); the
+ * edge contract is parseAttribution in edge/lead-handler.mjs.
+ */
+
+// ============================================================================
+// ATTRIBUTION
+// ============================================================================
+
+const Attribution = {
+    storageKey: 'cx-attribution',
+
+    // Longest values kept (the edge refuses longer ones: parseAttribution)
+    maxValueLength: 100,
+    maxReferrerLength: 500,
+    maxLandingPathLength: 200,
+
+    // Parameters the edge accepts per touch (parseAttribution)
+    maxParams: 20,
+    paramNamePattern: /^[A-Za-z0-9_]{1,40}$/,
+
+    // { first, last } for this page view
+    touches: { first: null, last: null },
+
+    /**
+     * Record this visit (once per page load)
+     */
+    capture() {
+        if (!CONFIG.attribution.enabled) {
+            return;
+        }
+
+        const touches = this.load();
+        const touch = this.touchFor(window.location.href, document.referrer);
+
+        touches.first = touches.first || touch;
+        if (!touches.last || Object.keys(touch.params).length > 0 || touch.referrer) {
+            touches.last = touch;
+        }
+        this.touches = touches;
+
+        if (!Telemetry.isOptedOut()) {
+            this.save(touches);
+        }
+    },
+
+    /**
+     * @returns {object|null} { first, last } for the lead payload, or null if attribution is off
+     */
+    collect() {
+        if (!CONFIG.attribution.enabled || !this.touches.first) {
+            return null;
+        }
+        return structuredClone(this.touches);
+    },
+
+    /**
+     * Touch for a page view
+     *
+     * @param {string} href - Page URL
+     * @param {string} referrerUrl - document.referrer ('' when there is none)
+     * @returns {object} { params, referrer, landingPath, at }
+     */
+    touchFor(href, referrerUrl) {
+        const url = new URL(href);
+
+        const params = {};
+        for (const name of CONFIG.attribution.params) {
+            const value = (url.searchParams.get(name) || '')
+                .replace(/[\x00-\x1F\x7F]/g, '')
+                .trim()
+                .slice(0, this.maxValueLength);
+            if (value) {
+                params[name] = value;
+            }
+        }
+
+        // Other web sites only: moving between our own pages is not a new
+        // visit, and app referrers (android-app://...) have no origin
+        let referrer = '';
+        try {
+            const from = new URL(referrerUrl);
+            if ((from.protocol === 'https:' || from.protocol === 'http:') && from.host !== url.host) {
+                referrer = `${from.origin}${from.pathname}`.slice(0, this.maxReferrerLength);
+            }
+        } catch (error) {
+            // No referrer (direct visit, or stripped by the referrer policy)
+        }
+
+        return {
+            params,
+            referrer,
+            landingPath: url.pathname.slice(0, this.maxLandingPathLength),
+            at: new Date().toISOString()
+        };
+    },
+
+    /**
+     * @param {object} touch - Stored touch
+     * @returns {boolean} True if the edge accepts it (the checks of parseAttribution)
+     */
+    isValid(touch) {
+        const params = touch.params !== null && typeof touch.params === 'object' && !Array.isArray(touch.params)
+            ? Object.entries(touch.params) : null;
+
+        return params !== null && params.length <= this.maxParams &&
+            params.every(([name, value]) => this.paramNamePattern.test(name) &&
+                typeof value === 'string' && value.length >= 1 && value.length <= this.maxValueLength) &&
+            typeof touch.referrer === 'string' && typeof touch.landingPath === 'string' &&
+            (touch.referrer === '' || /^https?:\/\//.test(touch.referrer)) &&
+            touch.referrer.length <= this.maxReferrerLength &&
+            touch.landingPath.startsWith('/') && touch.landingPath.length <= this.maxLandingPathLength &&
+            !Number.isNaN(Date.parse(touch.at ?? ''));
+    },
+
+    /**
+     * @returns {object} Stored { first, last } without expired or invalid touches
+     */
+    load() {
+        let stored;
+        try {
+            stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            stored = {};
+        }
+
+        const fresh = touch => (touch && this.isValid(touch) &&
+            Date.now() - Date.parse(touch.at) < CONFIG.attribution.maxAge ? touch : null);
+        return { first: fresh(stored.first), last: fresh(stored.last) };
+    },
+
+    /**
+     * @param {object} touches - See load()
+     */
+    save(touches) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(touches));
+        } catch (error) {
+            Logger.debug('Attribution not stored:', error.message);
+        }
+    }
+};
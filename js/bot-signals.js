@@ -0,0 +1,246 @@
+/**
+ * AI Compute Exchange - Behavioural Bot Signals
+ *
+ * Turnstile proves a challenge was solved, not that a person filled the
+ * form: solving farms hand scripts valid tokens. This collects how the form
+ * was filled and turns it into a small risk vector that travels with the
+ * lead (security.risk) and decides the silent rejection in handleFormSubmit
+ * (CONFIG.botDefense.riskThreshold).
+ *
+ * Signals, from render (init or reset) to submit:
+ *   - fill time
+ *   - contact fields typed, pasted, autofilled or set without any input
+ *   - which fields were focused, and in which order
+ *   - pointer activity anywhere on the page
+ *   - whether the page was ever visible
+ *   - synthetic (untrusted) events on the form
+ *
+ * The honeypot gets a new name on every render, so a script cannot skip a
+ * field it learned by name. Only counts and flags are kept: never keys,
+ * values or coordinates.
+ *
+ * The flags must match edge/lead-handler.mjs (RISK_FLAGS).
+ */
+
+// ============================================================================
+// BOT SIGNALS
+// ============================================================================
+
+const BotSignals = {
+    // Contact fields watched for typing, pasting and focus (form order)
+    watched: ['company', 'email'],
+
+    // Risk points per flag; the score is their sum, capped at 100
+    weights: {
+        hidden: 40,         // Never visible between render and submit
+        fast: 35,           // Filled in less than CONFIG.botDefense.minFillTime
+        untrusted: 30,      // Script-dispatched focus or input events
+        no_input: 30,       // A filled contact field never received input
+        unfocused: 25,      // A filled contact field was never focused
+        pasted_all: 10,     // Every filled contact field was pasted, none typed
+        no_pointer: 10,     // No mouse, pen or touch activity at all
+        out_of_order: 5     // Contact fields first focused out of form order
+    },
+
+    // Honeypot names: plausible to a form filler, ignored by browser autofill
+    honeypotNames: ['website', 'homepage', 'site-url', 'company-url', 'web-address', 'portfolio'],
+
+    form: null,
+    honeypot: null,
+    renderedAt: 0,
+    visible: false,
+    pointer: 0,
+    untrusted: false,
+    fields: {},
+    focusOrder: [],
+
+    /**
+     * Start collecting for a form
+     *
+     * @param {HTMLFormElement} form - Lead form (holds a [data-honeypot] group)
+     */
+    init(form) {
+        this.form = form;
+        this.honeypot = form.querySelector('[data-honeypot] input');
+
+        form.addEventListener('focusin', event => this.onFocus(event));
+        form.addEventListener('input', event => this.onInput(event));
+
+        for (const type of ['pointermove', 'pointerdown', 'touchstart', 'wheel']) {
+            document.addEventListener(type, () => {
+                this.pointer++;
+            }, { passive: true });
+        }
+        document.addEventListener('visibilitychange', () => {
+            this.visible ||= document.visibilityState === 'visible';
+        });
+
+        this.reset();
+    },
+
+    /**
+     * Start over for a new render of the form: fresh honeypot name and counters
+     */
+    reset() {
+        this.renderedAt = performance.now();
+        this.visible = document.visibilityState === 'visible';
+        this.pointer = 0;
+        this.untrusted = false;
+        this.focusOrder = [];
+        this.fields = Object.fromEntries(this.watched.map(name => [name, {
+            focused: false, typed: 0, pasted: 0, autofilled: false, prefilled: false
+        }]));
+
+        this.rotateHoneypot();
+    },
+
+    /**
+     * Give the honeypot a random name (its label follows)
+     */
+    rotateHoneypot() {
+        if (!this.honeypot) {
+            return;
+        }
+
+        const base = this.honeypotNames[Math.floor(Math.random() * this.honeypotNames.length)];
+        const name = `${base}-${Math.random().toString(36).slice(2, 6)}`;
+        const label = this.form.querySelector(`label[for="${this.honeypot.id}"]`);
+
+        this.honeypot.name = name;
+        this.honeypot.id = name;
+        this.honeypot.value = '';
+        if (label) {
+            label.htmlFor = name;
+        }
+    },
+
+    /**
+     * @returns {string} Current honeypot field name
+     */
+    honeypotName() {
+        return this.honeypot ? this.honeypot.name : 'website-url';
+    },
+
+    /**
+     * @param {Element|null} field - Form control
+     * @returns {boolean} True for the honeypot
+     */
+    isHoneypot(field) {
+        return Boolean(field) && field === this.honeypot;
+    },
+
+    /**
+     * A contact field was filled by the host page (CX.prefill), not typed
+     *
+     * @param {string} name - Field name
+     */
+    markPrefilled(name) {
+        if (this.fields[name]) {
+            this.fields[name].prefilled = true;
+        }
+    },
+
+    /**
+     * @param {FocusEvent} event - focusin on the form
+     */
+    onFocus(event) {
+        if (!event.isTrusted) {
+            this.untrusted = true;
+        }
+
+        const state = this.fields[event.target.name];
+        if (state && !state.focused) {
+            state.focused = true;
+            this.focusOrder.push(event.target.name);
+        }
+    },
+
+    /**
+     * @param {InputEvent} event - input on the form
+     */
+    onInput(event) {
+        if (!event.isTrusted) {
+            this.untrusted = true;
+            return;
+        }
+
+        const state = this.fields[event.target.name];
+        if (!state) {
+            return;
+        }
+
+        const type = event.inputType || '';
+        if (type === 'insertFromPaste' || type === 'insertFromDrop') {
+            state.pasted++;
+        } else if ((type.startsWith('insert') && type !== 'insertReplacementText') || type.startsWith('delete')) {
+            state.typed++;
+        } else {
+            // Browser autofill and password managers (no inputType, or a replacement)
+            state.autofilled = true;
+        }
+    },
+
+    /**
+     * Risk flags for the current state of the form
+     *
+     * @param {number} fillMs - Time since render (ms)
+     * @returns {string[]} Flags (keys of weights)
+     */
+    flags(fillMs) {
+        const filled = this.watched
+            .filter(name => this.form.elements.namedItem(name)?.value.trim())
+            .map(name => this.fields[name])
+            .filter(state => !state.prefilled);
+        const flags = [];
+
+        if (!this.visible) {
+            flags.push('hidden');
+        }
+        if (fillMs < CONFIG.botDefense.minFillTime) {
+            flags.push('fast');
+        }
+        if (this.untrusted) {
+            flags.push('untrusted');
+        }
+        if (filled.some(state => !state.typed && !state.pasted && !state.autofilled)) {
+            flags.push('no_input');
+        }
+        if (filled.some(state => !state.focused && !state.autofilled)) {
+            flags.push('unfocused');
+        }
+        if (filled.length > 0 && filled.every(state => state.pasted && !state.typed)) {
+            flags.push('pasted_all');
+        }
+        if (this.pointer === 0) {
+            flags.push('no_pointer');
+        }
+
+        const expected = this.watched.filter(name => this.focusOrder.includes(name));
+        if (this.focusOrder.some((name, index) => name !== expected[index])) {
+            flags.push('out_of_order');
+        }
+
+        return flags;
+    },
+
+    /**
+     * Summarize the signals into the risk vector sent with the lead
+     *
+     * @returns {object} { score (0-100), flags, fillMs, typed, pasted, pointer, visible }
+     */
+    assess() {
+        const fillMs = Math.round(performance.now() - this.renderedAt);
+        const flags = this.flags(fillMs);
+        const states = Object.values(this.fields);
+
+        return {
+            score: Math.min(100, flags.reduce((sum, flag) => sum + this.weights[flag], 0)),
+            flags,
+            fillMs,
+            typed: states.reduce((sum, state) => sum + state.typed, 0),
+            pasted: states.reduce((sum, state) => sum + state.pasted, 0),
+            pointer: Math.min(this.pointer, 9999),
+            visible: this.visible
+        };
+    }
+};
@@ -0,0 +1,646 @@
+/**
+ * AI Compute Exchange - Configuration Loader
+ *
+ * Single source of truth for runtime configuration. Builds the global
+ * CONFIG by deep-merging, in increasing priority:
+ *
+ *   1. CONFIG_DEFAULTS below
+ *   2. An inline JSON block: <script type="application/json" id="cx-config">
+ *      or <meta name="cx-config" content='{"debug": true}'>
+ *   3. window.CX_CONFIG (config.js)
+ *
+ * Every value is checked against CONFIG_SCHEMA, then options that depend on
+ * each other are checked together (crossCheck). Invalid or unknown options
+ * are reported with their full path and the default is kept, so a typo in a
+ * deployment never breaks the form.
+ *
+ * Must load after config.js and before every other script.
+ */
+
+// ============================================================================
+// DEFAULTS
+// ============================================================================
+
+const CONFIG_DEFAULTS = {
+    // Edge endpoints for Race Pattern
+    edgeEndpoints: [
+        'https://compute-exchange-lead-capture.cx-portal.workers.dev/'
+    ],
+
+    // Fallback endpoint (Formspree), '' to send to the edge endpoints only
+    fallbackEndpoint: 'https://formspree.io/f/xqakplkw',
+
+    // Request timeout per attempt (ms)
+    requestTimeout: 5000,
+
+    // Hedged submission (script.js racePatternSubmit, js/endpoint-health.js)
+    submission: {
+        // Start the next primary if the current one has not answered after this (ms)
+        hedgeDelay: 1500,
+        // Overall time budget for one lead, fallback included (ms)
+        deadline: 15000,
+        // Extra rounds over the primaries before falling back
+        maxRetries: 2,
+        // Backoff between rounds: base * 2^round, capped, with jitter (ms)
+        retryBaseDelay: 500,
+        retryMaxDelay: 4000,
+        // Consecutive failures that open an endpoint's circuit, and for how long (ms)
+        circuitFailureThreshold: 3,
+        circuitCooldown: 60000
+    },
+
+    // Optimistic UI delay (ms)
+    optimisticDelay: 40,
+
+    // Email hash salt (rotate periodically in production)
+    emailHashSalt: 'ai-compute-exchange-2025-salt-v1',
+
+    // Cloudflare Turnstile site key and widget theme
+    turnstileSiteKey: '0x4AAAAAACNkgGWXXZi6sAmT',
+    turnstileTheme: 'light',
+
+    // Turnstile lifecycle (js/turnstile-controller.js)
+    turnstile: {
+        // 'render': challenge on page load, submit enabled once it passes
+        // 'execute': challenge on submit, submit never blocked
+        mode: 'render',
+        // Re-renders after a widget error, with backoff base * 2^retry (ms)
+        maxRetries: 3,
+        retryBaseDelay: 1000,
+        // Longest wait for a token when the form is submitted (ms)
+        tokenTimeout: 15000,
+        // Longest wait for api.js to load (ms)
+        loadTimeout: 10000
+    },
+
+    // Behavioural bot signals (js/bot-signals.js)
+    botDefense: {
+        // Leads whose risk score (0-100) is above this are dropped silently; 100 never drops
+        riskThreshold: 70,
+        // Forms filled faster than this after render count as a risk signal (ms)
+        minFillTime: 3000
+    },
+
+    // Verbose console output
+    debug: false,
+
+    // Languages (js/i18n.js): locales with a bundle in locales/ (English is built in)
+    i18n: {
+        locales: ['en', 'de', 'ja', 'ar'],
+        // Used when neither ?lang= nor the browser languages match
+        defaultLocale: 'en'
+    },
+
+    // Logger (js/logger.js)
+    logging: {
+        // Console level: 'auto' = debug when debug is on, otherwise silent
+        level: 'auto',
+        // Entries kept in the ring buffer shown by diagnostic.html
+        bufferSize: 200,
+        // Mirror the (redacted) buffer to sessionStorage
+        persist: true
+    },
+
+    // Security: Debounce delay (ms) to prevent double-tap spam
+    debounceDelay: 1000,
+
+    // Security: Max email length (prevent DoS)
+    maxEmailLength: 254,
+
+    // Security: Max string length (prevent buffer overflow)
+    maxStringLength: 100,
+
+    // Email domain policy (js/email-policy.js)
+    emailPolicy: {
+        // 'allow-all', 'warn-free' (hint on free mail) or 'business-only' (reject free mail)
+        mode: 'allow-all',
+        // Reject addresses at throwaway inbox services (js/disposable-domains.js)
+        blockDisposable: true,
+        // Always accepted / always rejected, subdomains included
+        allowDomains: ['bdtec.ai', 'lb-labs.com'],
+        blockDomains: [],
+        // Offer "Did you mean ...?" for mistyped domains
+        suggestTypos: true
+    },
+
+    // Offline outbox: undelivered leads are replayed from IndexedDB
+    outbox: {
+        // Delivery attempts (including the first) before a lead is dropped
+        maxAttempts: 5,
+        // Leads older than this are discarded instead of replayed (7 days)
+        maxAgeMs: 7 * 24 * 60 * 60 * 1000,
+        // First replay delay after a failure, doubled on each attempt (ms)
+        retryBaseDelay: 30000,
+        // Time a fresh entry is left alone while the live request runs (ms)
+        inFlightGrace: 15000,
+        // Quiet time on the form before a replay may take the visitor's Turnstile token (ms)
+        idleDelay: 20000
+    },
+
+    // Leads sent from this browser, across reloads (js/submission-ledger.js)
+    ledger: {
+        // The same email again within this window is offered as an update (30 days)
+        duplicateWindow: 30 * 24 * 60 * 60 * 1000,
+        // At most maxLeads leads per throttleWindow (ms); retries and updates of a lead count once
+        maxLeads: 3,
+        throttleWindow: 60 * 60 * 1000
+    },
+
+    // Mock transport for local development (js/mock-transport.js)
+    mock: {
+        enabled: false,
+        // 'ok', 'slow', 'http-error', 'timeout', 'primary-down', 'fallback',
+        // 'malformed', 'bad-signature', 'offline' or 'turnstile-error'
+        profile: 'ok',
+        // Honour ?cx-mock=<profile> on hosts other than localhost
+        allowQueryParam: false
+    },
+
+    // Request status lookups (status.html, js/status-client.js)
+    status: {
+        // Reuse a lookup for this long before asking the edge again (ms)
+        cacheTtl: 5 * 60 * 1000
+    },
+
+    // Processing consent (required checkbox in index.html, checked by the edge)
+    consent: {
+        // Version of the consent text: change it whenever consent.label changes in any locale
+        version: '2026-10'
+    },
+
+    // Privacy mode (js/lead-crypto.js, edge/lead-crypto.mjs)
+    privacy: {
+        // Seal the contact fields in the browser; the edge and the fallback only see ciphertext
+        encryptLeads: false,
+        // Base64 SPKI P-256 public key (scripts/generate-lead-key.mjs)
+        publicKey: ''
+    },
+
+    // Marketing attribution sent with each lead (js/attribution.js)
+    attribution: {
+        enabled: true,
+        // Landing URL parameters kept: campaign tags and ad click IDs
+        params: [
+            'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content',
+            'gclid', 'gbraid', 'wbraid', 'msclkid', 'fbclid', 'li_fat_id', 'ttclid'
+        ],
+        // First and last touch are forgotten this long after the visit (90 days)
+        maxAge: 90 * 24 * 60 * 60 * 1000
+    },
+
+    // Privacy-friendly analytics (js/telemetry.js, never collects personal information)
+    analytics: {
+        enabled: false,
+        // Adapters: each one is used when its setting is non-empty
+        plausibleDomain: '',
+        plausibleEndpoint: 'https://plausible.io/api/event',
+        ga4MeasurementId: '',
+        beaconEndpoint: '',
+        // Hold events until the visitor opts in (Do Not Track / GPC always win)
+        requireConsent: true,
+        // Send when this many events are queued, or after flushInterval (ms)
+        batchSize: 10,
+        flushInterval: 5000
+    },
+
+    // Feature flags
+    features: {
+        showQueuePosition: true,
+        showTechSpecs: true,
+        enableThemeToggle: false,
+        // Keep typed form values in sessionStorage across reloads (js/form-draft.js)
+        saveDraft: true
+    }
+};
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+
+const CONFIG_SCHEMA = {
+    edgeEndpoints: { type: 'array', minItems: 1, items: { type: 'url' } },
+    fallbackEndpoint: { type: 'url', optional: true },
+    requestTimeout: { type: 'integer', min: 500, max: 60000 },
+    submission: {
+        type: 'object',
+        properties: {
+            hedgeDelay: { type: 'integer', min: 0, max: 60000 },
+            deadline: { type: 'integer', min: 1000, max: 120000 },
+            maxRetries: { type: 'integer', min: 0, max: 10 },
+            retryBaseDelay: { type: 'integer', min: 0, max: 60000 },
+            retryMaxDelay: { type: 'integer', min: 0, max: 60000 },
+            circuitFailureThreshold: { type: 'integer', min: 1, max: 100 },
+            circuitCooldown: { type: 'integer', min: 1000 }
+        }
+    },
+    optimisticDelay: { type: 'integer', min: 0, max: 2000 },
+    emailHashSalt: { type: 'string', minLength: 16 },
+    turnstileSiteKey: { type: 'string', pattern: /^[0-3]x[A-Za-z0-9_-]{10,}$/ },
+    turnstileTheme: { type: 'string', oneOf: ['auto', 'light', 'dark'] },
+    turnstile: {
+        type: 'object',
+        properties: {
+            mode: { type: 'string', oneOf: ['render', 'execute'] },
+            maxRetries: { type: 'integer', min: 0, max: 10 },
+            retryBaseDelay: { type: 'integer', min: 100, max: 60000 },
+            tokenTimeout: { type: 'integer', min: 1000, max: 120000 },
+            loadTimeout: { type: 'integer', min: 1000, max: 60000 }
+        }
+    },
+    botDefense: {
+        type: 'object',
+        properties: {
+            riskThreshold: { type: 'integer', min: 0, max: 100 },
+            minFillTime: { type: 'integer', min: 0, max: 60000 }
+        }
+    },
+    debug: { type: 'boolean' },
+    i18n: {
+        type: 'object',
+        properties: {
+            locales: { type: 'array', minItems: 1, items: { type: 'string', pattern: /^[a-z]{2,3}(-[A-Z]{2})?$/ } },
+            defaultLocale: { type: 'string', pattern: /^[a-z]{2,3}(-[A-Z]{2})?$/ }
+        }
+    },
+    logging: {
+        type: 'object',
+        properties: {
+            level: { type: 'string', oneOf: ['auto', 'debug', 'info', 'warn', 'error', 'silent'] },
+            bufferSize: { type: 'integer', min: 10, max: 5000 },
+            persist: { type: 'boolean' }
+        }
+    },
+    debounceDelay: { type: 'integer', min: 0, max: 10000 },
+    maxEmailLength: { type: 'integer', min: 6, max: 254 },
+    maxStringLength: { type: 'integer', min: 1, max: 1000 },
+    emailPolicy: {
+        type: 'object',
+        properties: {
+            mode: { type: 'string', oneOf: ['allow-all', 'warn-free', 'business-only'] },
+            blockDisposable: { type: 'boolean' },
+            allowDomains: { type: 'array', items: { type: 'string', pattern: /^([a-z0-9-]+\.)+[a-z]{2,}$/ } },
+            blockDomains: { type: 'array', items: { type: 'string', pattern: /^([a-z0-9-]+\.)+[a-z]{2,}$/ } },
+            suggestTypos: { type: 'boolean' }
+        }
+    },
+    outbox: {
+        type: 'object',
+        properties: {
+            maxAttempts: { type: 'integer', min: 1, max: 50 },
+            maxAgeMs: { type: 'integer', min: 60000 },
+            retryBaseDelay: { type: 'integer', min: 1000 },
+            inFlightGrace: { type: 'integer', min: 0 },
+            idleDelay: { type: 'integer', min: 0 }
+        }
+    },
+    ledger: {
+        type: 'object',
+        properties: {
+            duplicateWindow: { type: 'integer', min: 0 },
+            maxLeads: { type: 'integer', min: 1, max: 100 },
+            throttleWindow: { type: 'integer', min: 0 }
+        }
+    },
+    mock: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            profile: {
+                type: 'string',
+                oneOf: ['ok', 'slow', 'http-error', 'timeout', 'primary-down', 'fallback', 'malformed', 'bad-signature', 'offline', 'turnstile-error']
+            },
+            allowQueryParam: { type: 'boolean' }
+        }
+    },
+    status: {
+        type: 'object',
+        properties: {
+            cacheTtl: { type: 'integer', min: 0, max: 24 * 60 * 60 * 1000 }
+        }
+    },
+    consent: {
+        type: 'object',
+        properties: {
+            version: { type: 'string', pattern: /^[A-Za-z0-9._-]{1,32}$/ }
+        }
+    },
+    privacy: {
+        type: 'object',
+        properties: {
+            encryptLeads: { type: 'boolean' },
+            publicKey: { type: 'string', pattern: /^[A-Za-z0-9+/]*={0,2}$/ }
+        }
+    },
+    attribution: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            params: { type: 'array', maxItems: 20, items: { type: 'string', pattern: /^[A-Za-z0-9_]{1,40}$/ } },
+            maxAge: { type: 'integer', min: 0 }
+        }
+    },
+    analytics: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            plausibleDomain: { type: 'string', pattern: /^([a-z0-9-]+\.)+[a-z]{2,}$|^$/ },
+            plausibleEndpoint: { type: 'url' },
+            ga4MeasurementId: { type: 'string', pattern: /^G-[A-Z0-9]{4,}$|^$/ },
+            beaconEndpoint: { type: 'url', optional: true },
+            requireConsent: { type: 'boolean' },
+            batchSize: { type: 'integer', min: 1, max: 100 },
+            flushInterval: { type: 'integer', min: 500, max: 60000 }
+        }
+    },
+    features: {
+        type: 'object',
+        properties: {
+            showQueuePosition: { type: 'boolean' },
+            showTechSpecs: { type: 'boolean' },
+            enableThemeToggle: { type: 'boolean' },
+            saveDraft: { type: 'boolean' }
+        }
+    }
+};
+
+// ============================================================================
+// LOADER
+// ============================================================================
+
+const ConfigLoader = {
+    // Problems found by the last load(), e.g. "CX_CONFIG.requestTimeout: expected ..."
+    errors: [],
+
+    /**
+     * Build the effective configuration from all sources
+     *
+     * @returns {object} Validated configuration
+     */
+    load() {
+        const errors = [];
+        let config = this.clone(CONFIG_DEFAULTS);
+
+        const inline = this.readInlineConfig(errors);
+        if (inline) {
+            config = this.merge(config, inline, CONFIG_SCHEMA, 'cx-config', errors);
+        }
+
+        if (window.CX_CONFIG !== undefined) {
+            config = this.merge(config, window.CX_CONFIG, CONFIG_SCHEMA, 'CX_CONFIG', errors);
+        }
+
+        this.crossCheck(config, 'config', errors);
+        this.errors = errors;
+        this.report(errors);
+        return config;
+    },
+
+    /**
+     * Check a complete configuration object without merging (used by tooling)
+     *
+     * @param {object} candidate - Configuration to check
+     * @returns {string[]} Problems found
+     */
+    validate(candidate) {
+        const errors = [];
+        const config = this.merge(this.clone(CONFIG_DEFAULTS), candidate, CONFIG_SCHEMA, 'config', errors);
+        this.crossCheck(config, 'config', errors);
+        return errors;
+    },
+
+    /**
+     * Check options that are only valid together; both fall back to their defaults
+     *
+     * @param {object} config - Merged configuration (changed in place)
+     * @param {string} path - Path used in error messages
+     * @param {string[]} errors - Problems are appended here
+     */
+    crossCheck(config, path, errors) {
+        // racePatternSubmit keeps the last requestTimeout of the deadline for the
+        // fallback, and the primaries need at least one requestTimeout themselves
+        const minDeadline = (config.fallbackEndpoint ? 2 : 1) * config.requestTimeout;
+        if (config.submission.deadline < minDeadline) {
+            errors.push(`${path}.submission.deadline: expected at least ${minDeadline} ` +
+                `(${config.fallbackEndpoint ? 'twice ' : ''}requestTimeout), got ${config.submission.deadline} ` +
+                '(using the defaults of both)');
+            config.submission.deadline = CONFIG_DEFAULTS.submission.deadline;
+            config.requestTimeout = CONFIG_DEFAULTS.requestTimeout;
+        }
+    },
+
+    /**
+     * Read the optional inline JSON config (<script id="cx-config"> or <meta name="cx-config">)
+     *
+     * @param {string[]} errors - Problems are appended here
+     * @returns {object|null}
+     */
+    readInlineConfig(errors) {
+        const script = document.querySelector('script[type="application/json"]#cx-config');
+        const meta = document.querySelector('meta[name="cx-config"]');
+        const text = script ? script.textContent : meta?.getAttribute('content');
+
+        if (!text || !text.trim()) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            errors.push(`cx-config: invalid JSON (${error.message})`);
+            return null;
+        }
+    },
+
+    /**
+     * Deep-merge validated overrides into a section; arrays are replaced, not merged
+     *
+     * @param {object} base - Current values for this section
+     * @param {*} overrides - Values from a config source
+     * @param {object} schema - Schema for this section
+     * @param {string} path - Path used in error messages
+     * @param {string[]} errors - Problems are appended here
+     * @returns {object} Merged section
+     */
+    merge(base, overrides, schema, path, errors) {
+        if (!this.isPlainObject(overrides)) {
+            errors.push(`${path}: expected an object, got ${this.describe(overrides)}`);
+            return base;
+        }
+
+        const result = { ...base };
+
+        for (const [key, value] of Object.entries(overrides)) {
+            const rule = schema[key];
+            const keyPath = `${path}.${key}`;
+
+            if (!rule) {
+                errors.push(`${keyPath}: unknown option`);
+                continue;
+            }
+
+            if (rule.type === 'object') {
+                result[key] = this.merge(base[key], value, rule.properties, keyPath, errors);
+                continue;
+            }
+
+            const problem = this.check(value, rule);
+            if (problem) {
+                // Array problems already name the offending item
+                const got = Array.isArray(value) ? '' : `, got ${this.describe(value)}`;
+                errors.push(`${keyPath}: ${problem}${got} (using default)`);
+                continue;
+            }
+
+            result[key] = this.clone(value);
+        }
+
+        return result;
+    },
+
+    /**
+     * Check one value against its rule
+     *
+     * @param {*} value - Value to check
+     * @param {object} rule - Schema rule
+     * @returns {string|null} Problem description, or null if valid
+     */
+    check(value, rule) {
+        switch (rule.type) {
+            case 'boolean':
+                return typeof value === 'boolean' ? null : 'expected true or false';
+
+            case 'integer':
+                if (!Number.isInteger(value)) {
+                    return 'expected an integer';
+                }
+                if (rule.min !== undefined && value < rule.min) {
+                    return `expected at least ${rule.min}`;
+                }
+                if (rule.max !== undefined && value > rule.max) {
+                    return `expected at most ${rule.max}`;
+                }
+                return null;
+
+            case 'string':
+                if (typeof value !== 'string') {
+                    return 'expected a string';
+                }
+                if (rule.minLength !== undefined && value.length < rule.minLength) {
+                    return `expected at least ${rule.minLength} characters`;
+                }
+                if (rule.oneOf && !rule.oneOf.includes(value)) {
+                    return `expected one of ${rule.oneOf.join(', ')}`;
+                }
+                if (rule.pattern && !rule.pattern.test(value)) {
+                    return 'has an invalid format';
+                }
+                return null;
+
+            case 'url':
+                // Optional URLs are switched off with an empty string
+                return rule.optional && value === '' ? null : this.checkUrl(value);
+
+            case 'array': {
+                if (!Array.isArray(value)) {
+                    return 'expected an array';
+                }
+                if (rule.minItems !== undefined && value.length < rule.minItems) {
+                    return `expected at least ${rule.minItems} item(s)`;
+                }
+                if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+                    return `expected at most ${rule.maxItems} item(s)`;
+                }
+                for (let i = 0; i < value.length; i++) {
+                    const problem = this.check(value[i], rule.items);
+                    if (problem) {
+                        return `item ${i} ${problem} (${this.describe(value[i])})`;
+                    }
+                }
+                return null;
+            }
+
+            default:
+                return `has unsupported type ${rule.type}`;
+        }
+    },
+
+    /**
+     * Endpoints must be https (plain http is only allowed for local development)
+     *
+     * @param {*} value - URL string
+     * @returns {string|null} Problem description, or null if valid
+     */
+    checkUrl(value) {
+        if (typeof value !== 'string') {
+            return 'expected a URL string';
+        }
+
+        let url;
+        try {
+            url = new URL(value);
+        } catch (error) {
+            return 'is not a valid URL';
+        }
+
+        const isLocal = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+        if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocal)) {
+            return 'must use https';
+        }
+
+        return null;
+    },
+
+    /**
+     * Log configuration problems once, in one group
+     *
+     * @param {string[]} errors - Problems found
+     */
+    report(errors) {
+        // Config problems are developer-facing and contain no user data, so
+        // they are always printed, even when debug output is off
+        for (const error of errors) {
+            console.error(`⚠️ Configuration: ${error}`);
+        }
+    },
+
+    /**
+     * @param {*} value
+     * @returns {boolean} True for {} objects (not arrays, null or class instances)
+     */
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+    },
+
+    /**
+     * Deep copy of plain data (objects, arrays, primitives)
+     *
+     * @param {*} value
+     * @returns {*}
+     */
+    clone(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.clone(item));
+        }
+        if (this.isPlainObject(value)) {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.clone(item)]));
+        }
+        return value;
+    },
+
+    /**
+     * Short printable form of a value for error messages
+     *
+     * @param {*} value
+     * @returns {string}
+     */
+    describe(value) {
+        const text = JSON.stringify(value);
+        if (text === undefined) {
+            return String(value);
+        }
+        return text.length > 60 ? `${text.substring(0, 57)}...` : text;
+    }
+};
+
+// Effective configuration used by every other script
+const CONFIG = ConfigLoader.load();
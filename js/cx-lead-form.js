@@ -0,0 +1,891 @@
+/**
+ * AI Compute Exchange - <cx-lead-form> Embeddable Form
+ *
+ * Access request form for partner and docs sites. One script tag: each
+ * element keeps its own validation, Turnstile widget and success state, so
+ * several can live on one page.
+ *
+ *   <script src="https://cx-portal.bdtec.ai/js/cx-lead-form.js" defer></script>
+ *   <cx-lead-form theme="light" fields="gpu-scale region"></cx-lead-form>
+ *
+ * Attributes (all optional):
+ *   endpoints          space-separated edge endpoints, tried in order
+ *   fallback-endpoint  Formspree endpoint used after every edge failed
+ *                      (none by default: Formspree would receive company
+ *                      and email in clear, which the portal's privacy
+ *                      mode exists to prevent; set it only where that
+ *                      is allowed)
+ *   sitekey            Turnstile site key
+ *   theme              'dark' (default), 'light' or 'auto'
+ *   fields             optional fields to show besides company and email:
+ *                      gpu-scale (default), gpu-model, region
+ *   status-url         page linked from the success state (status.html),
+ *                      also where prospects access or delete their data
+ *   debug              report configuration and delivery problems in the
+ *                      console (silent otherwise)
+ *
+ * The required consent box records the same text version as the portal
+ * (CONFIG.consent.version); the edge refuses leads without it.
+ *
+ * The embedding origin must be listed in the edge's ALLOWED_ORIGINS and in
+ * the Turnstile site key's hostnames.
+ *
+ * Events (bubbling, composed; detail.referenceId on each):
+ *   cx:submit     before delivery, cancelable; detail.payload is a copy a
+ *                 listener may edit or replace (the consent record is kept,
+ *                 changed contact fields are sanitized and checked again)
+ *   cx:delivered  lead accepted; detail.endpointType 'primary' | 'fallback'
+ *   cx:failed     no endpoint accepted the lead (the form stays filled)
+ *
+ * Reference IDs, request signing and input checks are the portal's own
+ * (js/reference-id.js, js/request-signing.js, js/security.js), loaded from
+ * next to this script unless the page has them already. The lead contract
+ * is edge/lead-handler.mjs.
+ */
+
+(() => {
+    // ========================================================================
+    // DEFAULTS
+    // ========================================================================
+
+    const DEFAULTS = {
+        endpoints: ['https://compute-exchange-lead-capture.cx-portal.workers.dev/'],
+        // Off unless the page sets fallback-endpoint (see the header)
+        fallbackEndpoint: '',
+        sitekey: '0x4AAAAAACNkgGWXXZi6sAmT',
+        statusUrl: 'https://cx-portal.bdtec.ai/status.html',
+        fields: ['gpu-scale'],
+
+        // Version of CONSENT_TEXT (keep in step with CONFIG.consent.version and consent.label)
+        consentVersion: '2026-10',
+
+        // Per request (ms)
+        requestTimeout: 5000,
+
+        // Longest wait for Turnstile (script and token, ms)
+        turnstileTimeout: 15000
+    };
+
+    const TURNSTILE_API = 'https://challenges.cloudflare.com/turnstile/v0/api.js';
+
+    // Portal modules this element uses: file next to this script → loaded yet?
+    const SHARED_SCRIPTS = [
+        ['reference-id.js', () => typeof ReferenceId !== 'undefined'],
+        ['request-signing.js', () => typeof RequestSigning !== 'undefined'],
+        ['security.js', () => typeof Security !== 'undefined']
+    ];
+    const SCRIPT_BASE = new URL('.', document.currentScript?.src || window.location.href);
+
+    // Longest company name and email address (as the edge)
+    const MAX_COMPANY_LENGTH = 100;
+    const MAX_EMAIL_LENGTH = 254;
+
+    // Optional fields: name → { label, key in the lead, options [value, label] }
+    const OPTIONAL_FIELDS = {
+        'gpu-scale': {
+            label: 'GPU Scale',
+            options: [['testing', 'Testing'], ['team', 'Team Scale'], ['department', 'Department'], ['enterprise', 'Enterprise']]
+        },
+        'gpu-model': {
+            label: 'GPU Model',
+            options: [['h100', 'NVIDIA H100'], ['h200', 'NVIDIA H200'], ['either', 'Either']]
+        },
+        region: {
+            label: 'Region',
+            options: [['us-east', 'US East'], ['us-west', 'US West'], ['europe', 'Europe'], ['asia-pacific', 'Asia Pacific'], ['any', 'No preference']]
+        }
+    };
+
+    // Honeypot names, one picked per render (as in js/bot-signals.js)
+    const TRAP_NAMES = ['website', 'homepage', 'site-url', 'company-url', 'web-address', 'portfolio'];
+
+    const CONSENT_TEXT = 'I agree that BDTEC stores my company name and email to handle this request and contact me about it.';
+
+    const MESSAGES = {
+        company: 'Company name is required',
+        email: 'Please enter a valid email address',
+        select: 'Please choose an option',
+        consent: 'Please agree to the processing of your details',
+        turnstile: 'Security verification failed. Please try again.',
+        failed: "We couldn't reach our servers. Please try again.",
+        unavailable: 'The form could not load. Please try again later.'
+    };
+
+    const STYLES = `
+        :host {
+            --cx-bg: #0a0a0a;
+            --cx-field: #050505;
+            --cx-text: #f5f5f5;
+            --cx-muted: #a0a0a0;
+            --cx-border: rgba(255, 255, 255, 0.1);
+            --cx-accent: #3b82f6;
+            --cx-error: #ef4444;
+            display: block;
+            max-width: 420px;
+            font-family: -apple-system, BlinkMacSystemFont, 'Inter', sans-serif;
+            color: var(--cx-text);
+        }
+        :host([theme="light"]) {
+            --cx-bg: #ffffff;
+            --cx-field: #f8fafc;
+            --cx-text: #0f172a;
+            --cx-muted: #475569;
+            --cx-border: rgba(15, 23, 42, 0.15);
+            --cx-accent: #2563eb;
+            --cx-error: #dc2626;
+        }
+        @media (prefers-color-scheme: light) {
+            :host([theme="auto"]) {
+                --cx-bg: #ffffff;
+                --cx-field: #f8fafc;
+                --cx-text: #0f172a;
+                --cx-muted: #475569;
+                --cx-border: rgba(15, 23, 42, 0.15);
+                --cx-accent: #2563eb;
+                --cx-error: #dc2626;
+            }
+        }
+        [hidden] { display: none !important; }
+        .card {
+            padding: 1.5rem;
+            background: var(--cx-bg);
+            border: 1px solid var(--cx-border);
+            border-radius: 12px;
+        }
+        form { display: flex; flex-direction: column; gap: 1rem; }
+        label {
+            display: block;
+            margin-bottom: 0.375rem;
+            font-size: 0.75rem;
+            font-weight: 500;
+            color: var(--cx-muted);
+        }
+        input, select {
+            width: 100%;
+            box-sizing: border-box;
+            padding: 0.625rem 0.875rem;
+            background: var(--cx-field);
+            border: 1px solid var(--cx-border);
+            border-radius: 8px;
+            color: var(--cx-text);
+            font: inherit;
+            font-size: 0.9375rem;
+        }
+        [aria-invalid="true"] { border-color: var(--cx-error); }
+        .error { margin: 0.375rem 0 0; font-size: 0.8125rem; color: var(--cx-error); }
+        .consent label { display: flex; gap: 0.5rem; align-items: flex-start; font-weight: 400; line-height: 1.5; }
+        .consent input { width: auto; margin: 0.2rem 0 0; padding: 0; }
+        .consent a { font-size: 0.75rem; }
+        .trap { position: absolute; left: -10000px; width: 1px; height: 1px; overflow: hidden; }
+        button {
+            padding: 0.75rem 1.25rem;
+            background: var(--cx-accent);
+            border: none;
+            border-radius: 8px;
+            color: #fff;
+            font: inherit;
+            font-weight: 500;
+            cursor: pointer;
+        }
+        button:disabled { opacity: 0.6; cursor: wait; }
+        .success { text-align: center; }
+        .success h3 { margin: 0 0 0.5rem; font-size: 1.25rem; }
+        .success h3:focus:not(:focus-visible) { outline: none; }
+        .success p { margin: 0 0 1rem; color: var(--cx-muted); }
+        .reference { font-family: ui-monospace, monospace; font-weight: 600; }
+        a { color: var(--cx-accent); }
+    `;
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    let turnstileReady = null;
+
+    /**
+     * Load the Turnstile API once per page (shared by every instance)
+     *
+     * @returns {Promise<object>} window.turnstile
+     */
+    function loadTurnstile() {
+        if (!turnstileReady) {
+            turnstileReady = new Promise((resolve, reject) => {
+                if (!window.turnstile && !document.querySelector(`script[src^="${TURNSTILE_API}"]`)) {
+                    const script = document.createElement('script');
+                    script.src = `${TURNSTILE_API}?render=explicit`;
+                    script.async = true;
+                    document.head.appendChild(script);
+                }
+
+                const started = Date.now();
+                const poll = () => {
+                    if (window.turnstile) {
+                        resolve(window.turnstile);
+                    } else if (Date.now() - started >= DEFAULTS.turnstileTimeout) {
+                        turnstileReady = null;
+                        reject(new Error('Turnstile did not load'));
+                    } else {
+                        setTimeout(poll, 100);
+                    }
+                };
+                poll();
+            });
+        }
+        return turnstileReady;
+    }
+
+    let sharedReady = null;
+
+    /**
+     * Load the portal modules this element needs once per page, in order
+     *
+     * @returns {Promise<void>}
+     */
+    function loadShared() {
+        if (!sharedReady) {
+            sharedReady = SHARED_SCRIPTS.reduce((previous, [file, loaded]) => previous.then(() => new Promise((resolve, reject) => {
+                if (loaded()) {
+                    resolve();
+                    return;
+                }
+
+                const script = document.createElement('script');
+                script.src = new URL(file, SCRIPT_BASE).toString();
+                script.onload = () => resolve();
+                script.onerror = () => reject(new Error(`${file} did not load`));
+                document.head.appendChild(script);
+            })), Promise.resolve());
+            sharedReady.catch(() => {
+                sharedReady = null;
+            });
+        }
+        return sharedReady;
+    }
+
+    // ========================================================================
+    // ELEMENT
+    // ========================================================================
+
+    class CxLeadForm extends HTMLElement {
+        static get observedAttributes() {
+            return ['fields', 'sitekey', 'theme'];
+        }
+
+        constructor() {
+            super();
+            this.attachShadow({ mode: 'open' });
+
+            // Kept across retries so the edge recognises a resubmission
+            this.referenceId = null;
+
+            // When the consent box was ticked (ms), or null while it is not
+            this.consentAt = null;
+
+            this.widgetId = null;
+            this.tokenWaiter = null;
+            this.isSubmitting = false;
+            this.rendered = false;
+        }
+
+        connectedCallback() {
+            if (!this.rendered) {
+                this.render();
+                this.rendered = true;
+            }
+            this.renderTurnstile();
+            loadShared().catch(error => this.log(error.message));
+        }
+
+        disconnectedCallback() {
+            if (this.widgetId !== null && window.turnstile) {
+                window.turnstile.remove(this.widgetId);
+                this.widgetId = null;
+            }
+        }
+
+        attributeChangedCallback(name) {
+            if (!this.rendered) {
+                return;
+            }
+
+            if (name === 'fields') {
+                this.applyFields();
+            } else if (this.isConnected) {
+                // New site key or theme: the widget is rendered with both
+                this.disconnectedCallback();
+                this.renderTurnstile();
+            }
+        }
+
+        // --------------------------------------------------------------------
+        // Settings
+        // --------------------------------------------------------------------
+
+        /**
+         * @param {string} name - Attribute name
+         * @param {string[]|string} fallback - Default
+         * @returns {string[]} Space- or comma-separated attribute values
+         */
+        listAttribute(name, fallback) {
+            const value = this.getAttribute(name);
+            return value === null ? fallback : value.split(/[\s,]+/).filter(Boolean);
+        }
+
+        get endpoints() {
+            return this.listAttribute('endpoints', DEFAULTS.endpoints);
+        }
+
+        get fallbackEndpoint() {
+            const value = this.getAttribute('fallback-endpoint');
+            return value === null ? DEFAULTS.fallbackEndpoint : value.trim();
+        }
+
+        get visibleFields() {
+            const fields = this.listAttribute('fields', DEFAULTS.fields);
+            for (const field of fields) {
+                if (!OPTIONAL_FIELDS[field]) {
+                    this.log(`unknown field "${field}"`);
+                }
+            }
+            return fields.filter(field => OPTIONAL_FIELDS[field]);
+        }
+
+        get turnstileTheme() {
+            const theme = this.getAttribute('theme');
+            return ['light', 'auto'].includes(theme) ? theme : 'dark';
+        }
+
+        // --------------------------------------------------------------------
+        // Rendering
+        // --------------------------------------------------------------------
+
+        render() {
+            const selects = Object.entries(OPTIONAL_FIELDS).map(([name, field]) => `
+                <div class="field" data-field="${name}" hidden>
+                    <label for="${name}">${field.label}</label>
+                    <select id="${name}" name="${name}">
+                        <option value="">Select</option>
+                        ${field.options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                    <p class="error" id="${name}-error" hidden></p>
+                </div>`).join('');
+            const trapName = `${TRAP_NAMES[Math.floor(Math.random() * TRAP_NAMES.length)]}-${Math.random().toString(36).slice(2, 6)}`;
+
+            this.shadowRoot.innerHTML = `
+                <style>${STYLES}</style>
+                <div class="card" part="card">
+                    <form novalidate part="form">
+                        <div class="field">
+                            <label for="company">Company</label>
+                            <input id="company" name="company" autocomplete="organization" required>
+                            <p class="error" id="company-error" hidden></p>
+                        </div>
+                        <div class="field">
+                            <label for="email">Email</label>
+                            <input id="email" name="email" type="email" autocomplete="email" required>
+                            <p class="error" id="email-error" hidden></p>
+                        </div>
+                        ${selects}
+                        <div class="field consent">
+                            <label><input id="consent" name="consent" type="checkbox" required> ${CONSENT_TEXT}</label>
+                            <a class="data-link" target="_blank" rel="noopener">Access or delete your data</a>
+                            <p class="error" id="consent-error" hidden></p>
+                        </div>
+                        <div class="trap" aria-hidden="true">
+                            <input name="${trapName}" tabindex="-1" autocomplete="off">
+                        </div>
+                        <slot name="turnstile"></slot>
+                        <p class="error" id="form-error" role="alert" hidden></p>
+                        <button type="submit" part="button">Request Access</button>
+                    </form>
+                    <div class="success" role="status" hidden>
+                        <h3 tabindex="-1">Request Received</h3>
+                        <p>We'll be in touch within 24 hours.</p>
+                        <p>Reference ID: <span class="reference"></span></p>
+                        <a class="status-link" target="_blank" rel="noopener">Check request status</a>
+                    </div>
+                </div>`;
+
+            this.form = this.shadowRoot.querySelector('form');
+            this.form.addEventListener('submit', event => {
+                event.preventDefault();
+                this.submit();
+            });
+            this.form.elements.namedItem('consent').addEventListener('change', event => {
+                this.consentAt = event.target.checked ? Date.now() : null;
+            });
+
+            const dataUrl = new URL(this.getAttribute('status-url') || DEFAULTS.statusUrl, window.location.href);
+            dataUrl.hash = 'your-data';
+            this.shadowRoot.querySelector('.data-link').href = dataUrl.toString();
+
+            this.applyFields();
+        }
+
+        applyFields() {
+            const visible = this.visibleFields;
+            for (const container of this.shadowRoot.querySelectorAll('[data-field]')) {
+                container.hidden = !visible.includes(container.dataset.field);
+            }
+        }
+
+        async renderTurnstile() {
+            // Turnstile cannot render inside a shadow root: the widget lives in
+            // the light DOM and is projected through the "turnstile" slot
+            if (!this.turnstileContainer) {
+                this.turnstileContainer = document.createElement('div');
+                this.turnstileContainer.slot = 'turnstile';
+                this.appendChild(this.turnstileContainer);
+            }
+
+            let turnstile;
+            try {
+                turnstile = await loadTurnstile();
+            } catch (error) {
+                this.log(error.message);
+                return;
+            }
+
+            if (!this.isConnected || this.widgetId !== null) {
+                return;
+            }
+
+            // Challenges run on submit and only show when interaction is needed
+            this.widgetId = turnstile.render(this.turnstileContainer, {
+                sitekey: this.getAttribute('sitekey') || DEFAULTS.sitekey,
+                theme: this.turnstileTheme,
+                execution: 'execute',
+                appearance: 'interaction-only',
+                callback: token => this.settleToken(token),
+                'error-callback': code => {
+                    this.settleToken(null, new Error(`Turnstile error ${code}`));
+                    return true;
+                },
+                'expired-callback': () => turnstile.reset(this.widgetId)
+            });
+        }
+
+        // --------------------------------------------------------------------
+        // Validation
+        // --------------------------------------------------------------------
+
+        /**
+         * @returns {object} { [field]: message } for every problem
+         */
+        validate() {
+            const errors = {};
+            const value = name => this.form.elements.namedItem(name).value.trim();
+
+            if (value('company').length < 2 || value('company').length > MAX_COMPANY_LENGTH) {
+                errors.company = MESSAGES.company;
+            }
+            if (!Security.validateEmail(value('email'), MAX_EMAIL_LENGTH)) {
+                errors.email = MESSAGES.email;
+            }
+            for (const name of this.visibleFields) {
+                if (!OPTIONAL_FIELDS[name].options.some(([option]) => option === value(name))) {
+                    errors[name] = MESSAGES.select;
+                }
+            }
+            if (!this.form.elements.namedItem('consent').checked) {
+                errors.consent = MESSAGES.consent;
+            }
+
+            return errors;
+        }
+
+        /**
+         * @param {object} errors - { [field]: message }
+         */
+        showErrors(errors) {
+            for (const field of this.form.querySelectorAll('input[name], select')) {
+                const message = errors[field.name];
+                const error = this.shadowRoot.getElementById(`${field.name}-error`);
+                if (!error) {
+                    continue;
+                }
+
+                error.textContent = message || '';
+                error.hidden = !message;
+                if (message) {
+                    field.setAttribute('aria-invalid', 'true');
+                    field.setAttribute('aria-describedby', error.id);
+                } else {
+                    field.removeAttribute('aria-invalid');
+                    field.removeAttribute('aria-describedby');
+                }
+            }
+
+            const first = Object.keys(errors)[0];
+            if (first) {
+                this.form.elements.namedItem(first).focus();
+            }
+        }
+
+        /**
+         * @param {string|null} message - Form-level error, or null to clear it
+         */
+        showFormError(message) {
+            const error = this.shadowRoot.getElementById('form-error');
+            error.textContent = message || '';
+            error.hidden = !message;
+        }
+
+        // --------------------------------------------------------------------
+        // Submission
+        // --------------------------------------------------------------------
+
+        async submit() {
+            if (this.isSubmitting) {
+                return;
+            }
+
+            this.showFormError(null);
+
+            try {
+                await loadShared();
+            } catch (error) {
+                this.log(error.message);
+                this.showFormError(MESSAGES.unavailable);
+                return;
+            }
+
+            // Bots fill the hidden field: pretend nothing happened
+            if (Security.isBot(this.form.querySelector('.trap input').value)) {
+                return;
+            }
+
+            const errors = this.validate();
+            this.showErrors(errors);
+            if (Object.keys(errors).length > 0) {
+                return;
+            }
+
+            this.referenceId = this.referenceId || ReferenceId.generate();
+            const collected = this.collect();
+
+            const event = this.emit('cx:submit', { payload: structuredClone(collected) }, { cancelable: true });
+            if (event.defaultPrevented) {
+                return;
+            }
+            const payload = this.filterPayload(collected, event.detail.payload);
+            if (!payload) {
+                return;
+            }
+
+            this.setSubmitting(true);
+            try {
+                let token;
+                try {
+                    token = await this.takeToken();
+                } catch (error) {
+                    this.log(error.message);
+                    this.showFormError(MESSAGES.turnstile);
+                    return;
+                }
+
+                const endpointType = await this.deliver(payload, token);
+                if (endpointType) {
+                    this.showSuccess();
+                    this.emit('cx:delivered', { endpointType });
+                } else {
+                    this.showFormError(MESSAGES.failed);
+                    this.emit('cx:failed', {});
+                }
+            } finally {
+                this.setSubmitting(false);
+            }
+        }
+
+        /**
+         * @returns {object} { company, email, gpuScale, qualification, consent }
+         */
+        collect() {
+            const visible = this.visibleFields;
+            const value = name => (visible.includes(name) ? this.form.elements.namedItem(name).value : '');
+            const qualification = {};
+
+            if (value('gpu-model')) {
+                qualification.gpuModel = value('gpu-model');
+            }
+            if (value('region')) {
+                qualification.region = value('region');
+            }
+
+            return {
+                company: Security.sanitizeString(this.form.elements.namedItem('company').value, MAX_COMPANY_LENGTH),
+                email: Security.sanitizeString(this.form.elements.namedItem('email').value, MAX_EMAIL_LENGTH),
+                gpuScale: value('gpu-scale'),
+                qualification: Object.keys(qualification).length > 0 ? qualification : null,
+                // The consent text is only shown in English
+                consent: {
+                    version: DEFAULTS.consentVersion,
+                    acceptedAt: new Date(this.consentAt || Date.now()).toISOString(),
+                    locale: 'en'
+                }
+            };
+        }
+
+        /**
+         * The payload cx:submit listeners left in detail.payload (as applySubmitHooks
+         * in script.js): the consent record cannot change, and changed contact
+         * fields are sanitized and checked again like typed ones
+         *
+         * @param {object} collected - See collect()
+         * @param {*} result - detail.payload after the event
+         * @returns {object|null} Payload to send, or null if a listener set an invalid email
+         */
+        filterPayload(collected, result) {
+            if (!result || typeof result !== 'object') {
+                return collected;
+            }
+
+            const filtered = { ...collected, ...result, consent: collected.consent };
+            for (const [key, maxLength] of [['company', MAX_COMPANY_LENGTH], ['email', MAX_EMAIL_LENGTH], ['gpuScale', 20]]) {
+                if (filtered[key] !== collected[key]) {
+                    filtered[key] = Security.sanitizeString(String(filtered[key] ?? ''), maxLength);
+                }
+            }
+            if (filtered.email !== collected.email && !Security.validateEmail(filtered.email, MAX_EMAIL_LENGTH)) {
+                this.log('a cx:submit listener set an invalid email, lead not sent');
+                return null;
+            }
+
+            return filtered;
+        }
+
+        /**
+         * Run a Turnstile challenge for this attempt (tokens are single-use)
+         *
+         * @returns {Promise<string>} Token
+         */
+        async takeToken() {
+            const turnstile = await loadTurnstile();
+            if (this.widgetId === null) {
+                await this.renderTurnstile();
+            }
+
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => this.settleToken(null, new Error('Turnstile timed out')), DEFAULTS.turnstileTimeout);
+                this.tokenWaiter = { resolve, reject, timer };
+                turnstile.reset(this.widgetId);
+                turnstile.execute(this.widgetId);
+            });
+        }
+
+        /**
+         * @param {string|null} token - Token, or null on error
+         * @param {Error} error - Why there is no token
+         */
+        settleToken(token, error = null) {
+            const waiter = this.tokenWaiter;
+            if (!waiter) {
+                return;
+            }
+
+            this.tokenWaiter = null;
+            clearTimeout(waiter.timer);
+            if (token) {
+                waiter.resolve(token);
+            } else {
+                waiter.reject(error);
+            }
+        }
+
+        /**
+         * Try each edge endpoint in order, then the fallback
+         *
+         * @param {object} payload - See collect()
+         * @param {string} token - Turnstile token
+         * @returns {Promise<string|null>} 'primary' | 'fallback', or null if none accepted the lead
+         */
+        async deliver(payload, token) {
+            for (const endpoint of this.endpoints) {
+                try {
+                    await this.sendSigned(endpoint, payload, token);
+                    return 'primary';
+                } catch (error) {
+                    this.log('endpoint failed:', error.message);
+                }
+            }
+
+            if (this.fallbackEndpoint) {
+                try {
+                    await this.sendFallback(payload);
+                    return 'fallback';
+                } catch (error) {
+                    this.log('fallback failed:', error.message);
+                }
+            }
+
+            return null;
+        }
+
+        /**
+         * @param {string} url - URL
+         * @param {object} init - fetch options
+         * @returns {Promise<Response>} OK response (throws otherwise)
+         */
+        async post(url, init) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), DEFAULTS.requestTimeout);
+            try {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    mode: 'cors',
+                    credentials: 'omit',
+                    cache: 'no-store',
+                    ...init,
+                    signal: controller.signal
+                });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response;
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        /**
+         * Signed post to an edge endpoint; the response signature must verify
+         *
+         * @param {string} endpoint - Edge endpoint
+         * @param {object} payload - See collect()
+         * @param {string} token - Turnstile token
+         */
+        async sendSigned(endpoint, payload, token) {
+            const body = new URLSearchParams({
+                email: payload.email,
+                company: payload.company,
+                gpuScale: payload.gpuScale,
+                'cf-turnstile-response': token
+            });
+            if (payload.qualification) {
+                body.set('qualification', JSON.stringify(payload.qualification));
+            }
+            body.set('consentVersion', payload.consent.version);
+            body.set('consentAt', payload.consent.acceptedAt);
+            body.set('consentLocale', payload.consent.locale);
+
+            const origin = window.location.origin;
+            const requestId = this.referenceId;
+            const timestamp = Date.now().toString();
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), DEFAULTS.requestTimeout);
+
+            try {
+                const { response, session } = await RequestSigning.fetchSigned(endpoint, { origin, requestId, timestamp, body }, signatureHeaders => fetch(endpoint, {
+                    method: 'POST',
+                    mode: 'cors',
+                    credentials: 'omit',
+                    cache: 'no-store',
+                    headers: {
+                        'Content-Type': 'application/x-www-form-urlencoded',
+                        'X-CX-Request-ID': requestId,
+                        'Idempotency-Key': requestId,
+                        'X-CX-Timestamp': timestamp,
+                        'X-CX-Origin': origin,
+                        ...signatureHeaders,
+                        'X-Edge-Node': String(this.endpoints.indexOf(endpoint))
+                    },
+                    body,
+                    signal: controller.signal
+                }), controller.signal);
+
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                if (!await RequestSigning.verifyResponse(session, requestId, await response.json())) {
+                    throw new Error('Invalid response signature');
+                }
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        /**
+         * @param {object} payload - See collect()
+         */
+        async sendFallback(payload) {
+            const fields = {
+                company: payload.company,
+                email: payload.email,
+                gpu_scale: payload.gpuScale,
+                gpu_model: payload.qualification?.gpuModel,
+                region: payload.qualification?.region,
+                consent_version: payload.consent.version,
+                consent_at: payload.consent.acceptedAt,
+                consent_locale: payload.consent.locale,
+                reference_id: this.referenceId,
+                _subject: `New Lead: ${payload.company}`
+            };
+
+            await this.post(this.fallbackEndpoint, {
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams(Object.entries(fields).filter(([, value]) => value))
+            });
+        }
+
+        // --------------------------------------------------------------------
+        // State
+        // --------------------------------------------------------------------
+
+        /**
+         * @param {boolean} submitting
+         */
+        setSubmitting(submitting) {
+            this.isSubmitting = submitting;
+            const button = this.shadowRoot.querySelector('button[type="submit"]');
+            button.disabled = submitting;
+            button.textContent = submitting ? 'Sending...' : 'Request Access';
+        }
+
+        showSuccess() {
+            const success = this.shadowRoot.querySelector('.success');
+            const statusUrl = new URL(this.getAttribute('status-url') || DEFAULTS.statusUrl, window.location.href);
+            statusUrl.searchParams.set('ref', this.referenceId);
+
+            success.querySelector('.reference').textContent = this.referenceId;
+            success.querySelector('.status-link').href = statusUrl.toString();
+            this.form.hidden = true;
+            success.hidden = false;
+            success.querySelector('h3').focus();
+        }
+
+        /**
+         * Dispatch a lifecycle event from the element
+         *
+         * @param {string} type - Event name
+         * @param {object} detail - Extra detail (referenceId is added)
+         * @param {object} options - { cancelable }
+         * @returns {CustomEvent} The dispatched event (defaultPrevented if a listener cancelled it)
+         */
+        emit(type, detail, { cancelable = false } = {}) {
+            const event = new CustomEvent(type, {
+                detail: { referenceId: this.referenceId, ...detail },
+                bubbles: true,
+                composed: true,
+                cancelable
+            });
+            this.dispatchEvent(event);
+            return event;
+        }
+
+        /**
+         * Report a problem in the console, only with the debug attribute set
+         * (the embedding page's console stays quiet otherwise)
+         *
+         * @param {...*} args - Message parts
+         */
+        log(...args) {
+            if (this.hasAttribute('debug')) {
+                console.warn('<cx-lead-form>:', ...args);
+            }
+        }
+    }
+
+    if (!customElements.get('cx-lead-form')) {
+        customElements.define('cx-lead-form', CxLeadForm);
+    }
+})();
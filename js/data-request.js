@@ -0,0 +1,159 @@
+/**
+ * AI Compute Exchange - Data Subject Requests
+ *
+ * Lets a prospect download or delete the lead stored under their reference
+ * ID (POST <endpoint>/privacy, see edge/lead-handler.mjs). The reference ID
+ * and email prove ownership, like a status lookup; the request is signed
+ * with a session key (js/request-signing.js) and the answer must carry a
+ * valid response signature.
+ *
+ * A lead is stored by whichever endpoint accepted it, so an export asks
+ * endpoints in health order until one has it, and a deletion asks every
+ * endpoint so no copy is left behind. A deletion that some endpoint could
+ * not answer is 'partial': the prospect is asked to try again. A lead
+ * deleted everywhere is also dropped from this browser's status cache and
+ * submission ledger.
+ */
+
+// ============================================================================
+// DATA REQUEST CLIENT
+// ============================================================================
+
+const DataRequestClient = {
+    actions: ['export', 'delete'],
+
+    /**
+     * Export or delete a lead
+     *
+     * @param {string} action - 'export' | 'delete'
+     * @param {string} reference - Canonical reference ID (ReferenceId.normalize)
+     * @param {string} email - Email the lead was submitted with
+     * @returns {Promise<object>} { outcome: 'done'|'partial'|'not_found'|'rate_limited'|'unavailable',
+     *                             result (edge answer, for 'done' and 'partial'), retryAt }
+     *                             ('partial': deleted by some endpoints, others did not answer)
+     */
+    async send(action, reference, email) {
+        if (!this.actions.includes(action)) {
+            throw new Error(`Unknown data request action: ${action}`);
+        }
+
+        const fields = { action, reference, email: email.trim() };
+        let done = null;
+        let notFound = false;
+        let unanswered = 0;
+        let retryAt = null;
+
+        for (const endpoint of EndpointHealth.rank(CONFIG.edgeEndpoints)) {
+            let answer;
+            try {
+                answer = await this.sendTo(endpoint, fields);
+            } catch (error) {
+                Logger.warn('Data request failed:', endpoint, error.message);
+                unanswered++;
+                continue;
+            }
+
+            if (answer.status === 'done') {
+                done = done || answer.result;
+                if (action === 'export') {
+                    break;
+                }
+            } else if (answer.status === 'not_found') {
+                notFound = true;
+            } else if (answer.status === 'rate_limited') {
+                retryAt = Math.max(retryAt || 0, answer.retryAt);
+                unanswered++;
+            }
+        }
+
+        // A copy may be left on an endpoint that did not answer: keep the
+        // ledger and status cache until a retry reaches every endpoint
+        if (done && action === 'delete' && unanswered > 0) {
+            return { outcome: 'partial', result: done, retryAt };
+        }
+
+        // Deleted now, or by an earlier partial deletion: nothing is left on any endpoint
+        if (action === 'delete' && unanswered === 0 && (done || notFound)) {
+            await StatusClient.forget(reference, email);
+            SubmissionLedger.forget(reference);
+        }
+
+        if (done) {
+            return { outcome: 'done', result: done };
+        }
+        if (retryAt) {
+            return { outcome: 'rate_limited', retryAt };
+        }
+        return { outcome: notFound ? 'not_found' : 'unavailable' };
+    },
+
+    /**
+     * Signed request to one endpoint
+     *
+     * @param {string} endpoint - Lead endpoint URL
+     * @param {object} fields - { action, reference, email }
+     * @returns {Promise<object>} { status: 'done', result } | { status: 'not_found' }
+     *                            | { status: 'rate_limited', retryAt } (throws otherwise)
+     */
+    async sendTo(endpoint, fields) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), CONFIG.requestTimeout);
+
+        try {
+            // A fresh request ID per request: the reference is what it is about, not who sends it
+            const requestId = ReferenceId.generate();
+            const origin = window.location.origin;
+            const timestamp = Date.now().toString();
+            const body = new URLSearchParams(fields);
+            const { response, session } = await RequestSigning.fetchSigned(endpoint, { origin, requestId, timestamp, body }, signatureHeaders => fetch(new URL('privacy', endpoint).toString(), {
+                method: 'POST',
+                mode: 'cors',
+                credentials: 'omit',
+                cache: 'no-store',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'X-CX-Request-ID': requestId,
+                    'X-CX-Timestamp': timestamp,
+                    'X-CX-Origin': origin,
+                    ...signatureHeaders
+                },
+                body,
+                signal: controller.signal
+            }), controller.signal);
+
+            if (response.status === 404) {
+                return { status: 'not_found' };
+            }
+            if (response.status === 429) {
+                const seconds = Number(response.headers.get('Retry-After'));
+                return { status: 'rate_limited', retryAt: Date.now() + (seconds > 0 ? seconds * 1000 : StatusClient.defaultRetryAfter) };
+            }
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const result = await response.json();
+            if (!await RequestSigning.verifyResponse(session, requestId, result)) {
+                throw new Error('Invalid response signature');
+            }
+            return { status: 'done', result };
+        } finally {
+            clearTimeout(timer);
+        }
+    },
+
+    /**
+     * Save an export as a JSON file
+     *
+     * @param {object} result - Export answer ({ id, lead })
+     */
+    download(result) {
+        const data = { reference: result.id, exportedAt: new Date().toISOString(), lead: result.lead };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `cx-data-${result.id}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+};
@@ -0,0 +1,214 @@
+/**
+ * AI Compute Exchange - Email Domain Policy
+ *
+ * Decides what to do with the domain of a prospect's email address, based on
+ * CONFIG.emailPolicy:
+ *
+ *   allow-all      any well-formed address (disposable domains still blocked)
+ *   warn-free      free mail (gmail.com, outlook.com, ...) is accepted with a hint
+ *   business-only  free mail is rejected
+ *
+ * Domains match exactly or as a parent: "mailinator.com" also matches
+ * "eu.mailinator.com" but not "notmailinator.com". allowDomains wins over
+ * every list, blockDomains over the built-in ones.
+ *
+ * Disposable domains come from js/disposable-domains.js (regenerated by
+ * scripts/update-disposable-domains.mjs).
+ */
+
+// ============================================================================
+// FREE MAIL DOMAINS
+// ============================================================================
+
+const FREE_MAIL_DOMAINS = [
+    'aol.com', 'fastmail.com', 'gmail.com', 'gmx.com', 'gmx.de', 'gmx.net', 'googlemail.com',
+    'hey.com', 'hotmail.co.uk', 'hotmail.com', 'hotmail.fr', 'icloud.com', 'live.com', 'mac.com',
+    'mail.com', 'mail.ru', 'me.com', 'msn.com', 'naver.com', 'outlook.com', 'pm.me', 'proton.me',
+    'protonmail.com', 'qq.com', '163.com', '126.com', 'rediffmail.com', 'tutanota.com', 'web.de',
+    'yahoo.co.in', 'yahoo.co.jp', 'yahoo.co.uk', 'yahoo.com', 'yahoo.fr', 'yandex.com', 'yandex.ru',
+    'zoho.com'
+];
+
+// Domains typos are corrected towards, most used first (ties go to the earlier one)
+const EMAIL_SUGGESTION_DOMAINS = [
+    'gmail.com', 'outlook.com', 'yahoo.com', 'hotmail.com', 'icloud.com', 'aol.com',
+    'protonmail.com', 'proton.me', 'live.com', 'msn.com', 'googlemail.com', 'me.com',
+    'yahoo.co.uk', 'hotmail.co.uk', 'gmx.com', 'web.de', 'comcast.net'
+];
+
+// Mistyped top-level domains that are not real TLDs
+const EMAIL_TLD_TYPOS = {
+    con: 'com', cmo: 'com', ocm: 'com', vom: 'com', xom: 'com', comm: 'com', coom: 'com', cpm: 'com',
+    nte: 'net', ner: 'net', nett: 'net',
+    ogr: 'org', prg: 'org', orgg: 'org'
+};
+
+// ============================================================================
+// EMAIL POLICY
+// ============================================================================
+
+const EmailPolicy = {
+    disposable: new Set(DISPOSABLE_DOMAINS),
+    freeMail: new Set(FREE_MAIL_DOMAINS),
+
+    // Built from CONFIG on first use
+    allowed: null,
+    blocked: null,
+
+    // Message keys (js/i18n.js)
+    messages: {
+        blocked: 'email.blocked',
+        disposable: 'email.disposable',
+        business: 'email.business',
+        freeMail: 'email.freeMail'
+    },
+
+    /**
+     * @returns {object} CONFIG.emailPolicy
+     */
+    get config() {
+        return CONFIG.emailPolicy;
+    },
+
+    /**
+     * @param {string} email - Email address
+     * @returns {string} Lowercase domain without a trailing dot ('' if none)
+     */
+    domainOf(email) {
+        const at = typeof email === 'string' ? email.lastIndexOf('@') : -1;
+        return at === -1 ? '' : email.slice(at + 1).trim().toLowerCase().replace(/\.$/, '');
+    },
+
+    /**
+     * Exact or parent-domain match ("a.b.example.com" matches "example.com")
+     *
+     * @param {string} domain - Lowercase domain
+     * @param {Set<string>} domains - Domains to match against
+     * @returns {boolean}
+     */
+    matches(domain, domains) {
+        const labels = domain.split('.');
+
+        // Stop before the bare TLD: "com" is never a listed domain
+        for (let i = 0; i < labels.length - 1; i++) {
+            if (domains.has(labels.slice(i).join('.'))) {
+                return true;
+            }
+        }
+        return false;
+    },
+
+    /**
+     * Classify the domain of an address
+     *
+     * @param {string} email - Well-formed email address
+     * @returns {object} { verdict: 'allow'|'warn'|'block', reason: string|null, message: string|null }
+     */
+    evaluate(email) {
+        if (!this.allowed) {
+            this.allowed = new Set(this.config.allowDomains);
+            this.blocked = new Set(this.config.blockDomains);
+        }
+
+        const domain = this.domainOf(email);
+        const result = (verdict, reason, message = null) => ({ verdict, reason, message: message && I18n.t(message) });
+
+        if (this.matches(domain, this.allowed)) {
+            return result('allow', 'allowed');
+        }
+        if (this.matches(domain, this.blocked)) {
+            return result('block', 'blocked', this.messages.blocked);
+        }
+        if (this.config.blockDisposable && this.matches(domain, this.disposable)) {
+            return result('block', 'disposable', this.messages.disposable);
+        }
+        if (this.matches(domain, this.freeMail)) {
+            switch (this.config.mode) {
+                case 'business-only':
+                    return result('block', 'free_mail', this.messages.business);
+                case 'warn-free':
+                    return result('warn', 'free_mail', this.messages.freeMail);
+            }
+        }
+
+        return result('allow', null);
+    },
+
+    /**
+     * Suggest a correction for a mistyped domain ("gmial.com" → "gmail.com")
+     *
+     * @param {string} email - Email address
+     * @returns {string|null} Corrected address, or null if the domain looks right
+     */
+    suggest(email) {
+        if (!this.config.suggestTypos) {
+            return null;
+        }
+
+        const domain = this.domainOf(email);
+        if (!domain.includes('.') || this.freeMail.has(domain) || EMAIL_SUGGESTION_DOMAINS.includes(domain)) {
+            return null;
+        }
+
+        const local = email.slice(0, email.lastIndexOf('@'));
+        const labels = domain.split('.');
+        const tld = labels.pop();
+
+        // The name the domain was registered as: "acme" in mail.acme.com and acme.co.uk
+        const secondLevel = labels.length > 1 && tld.length === 2 && /^(ac|co|com|net|org)$/.test(labels[labels.length - 1])
+            ? labels[labels.length - 2]
+            : labels[labels.length - 1];
+
+        // Short names are often real ones one edit away from a free mail
+        // domain (ge.com, aon.com, hive.com): none up to four characters,
+        // then one edit, and two from nine characters
+        const tolerance = secondLevel.length <= 4 ? 0 : secondLevel.length <= 8 ? 1 : 2;
+
+        let best = null;
+        let bestDistance = tolerance + 1;
+        for (const candidate of tolerance > 0 ? EMAIL_SUGGESTION_DOMAINS : []) {
+            const distance = this.distance(domain, candidate);
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+        if (best) {
+            return `${local}@${best}`;
+        }
+
+        if (EMAIL_TLD_TYPOS[tld]) {
+            return `${local}@${[...labels, EMAIL_TLD_TYPOS[tld]].join('.')}`;
+        }
+
+        return null;
+    },
+
+    /**
+     * Edit distance counting insertions, deletions, substitutions and swaps of
+     * neighbouring characters as one edit each
+     *
+     * @param {string} a
+     * @param {string} b
+     * @returns {number}
+     */
+    distance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+        for (let j = 1; j <= b.length; j++) {
+            rows[0][j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return rows[a.length][b.length];
+    }
+};
@@ -0,0 +1,145 @@
+/**
+ * AI Compute Exchange - Endpoint Health
+ *
+ * Remembers, per edge endpoint and across visits (localStorage):
+ * - Latency as an exponentially weighted moving average
+ * - Consecutive failures, which open a circuit breaker for
+ *   CONFIG.submission.circuitCooldown once they reach
+ *   CONFIG.submission.circuitFailureThreshold
+ *
+ * racePatternSubmit asks for the endpoints in health order and reports every
+ * attempt back. An open circuit is skipped until its cooldown ends; when every
+ * circuit is open, all endpoints are tried anyway (half-open) rather than
+ * giving up on the lead.
+ */
+
+// ============================================================================
+// ENDPOINT HEALTH
+// ============================================================================
+
+const EndpointHealth = {
+    storageKey: 'cx-endpoint-health',
+
+    // Weight of the newest sample in the latency average
+    latencyWeight: 0.3,
+
+    // Assumed latency for an endpoint without history (ms)
+    unknownLatency: 500,
+
+    // { [endpoint]: { latency, failures, openUntil, updatedAt } }
+    records: null,
+
+    /**
+     * @returns {object} Records, loaded from storage on first use
+     */
+    load() {
+        if (!this.records) {
+            try {
+                this.records = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            } catch (error) {
+                this.records = {};
+            }
+        }
+        return this.records;
+    },
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.records));
+        } catch (error) {
+            // Storage unavailable: health is kept for this page only
+        }
+    },
+
+    /**
+     * @param {string} endpoint - Endpoint URL
+     * @returns {object} Record (created if missing)
+     */
+    get(endpoint) {
+        const records = this.load();
+        if (!records[endpoint]) {
+            records[endpoint] = { latency: null, failures: 0, openUntil: 0, updatedAt: 0 };
+        }
+        return records[endpoint];
+    },
+
+    /**
+     * @param {string} endpoint - Endpoint URL
+     * @param {number} now - Current time (ms)
+     * @returns {boolean} True while the circuit breaker is open
+     */
+    isOpen(endpoint, now = Date.now()) {
+        return this.get(endpoint).openUntil > now;
+    },
+
+    /**
+     * Expected cost of trying an endpoint: latency, inflated by recent failures
+     *
+     * @param {string} endpoint - Endpoint URL
+     * @returns {number}
+     */
+    score(endpoint) {
+        const record = this.get(endpoint);
+        return (record.latency ?? this.unknownLatency) * (1 + record.failures);
+    },
+
+    /**
+     * Order endpoints healthiest first; open circuits are left out unless all are open
+     *
+     * @param {string[]} endpoints - Endpoint URLs in configured order
+     * @param {number} now - Current time (ms)
+     * @returns {string[]}
+     */
+    rank(endpoints, now = Date.now()) {
+        const closed = endpoints.filter(endpoint => !this.isOpen(endpoint, now));
+        const candidates = closed.length > 0 ? closed : endpoints;
+
+        // Array sort is stable, so ties keep the configured order
+        return candidates.slice().sort((a, b) => this.score(a) - this.score(b));
+    },
+
+    /**
+     * Add a latency sample to the moving average
+     * Also used for requests cancelled because another endpoint answered
+     * first: their elapsed time is a lower bound of their latency.
+     *
+     * @param {string} endpoint - Endpoint URL
+     * @param {number} latency - Elapsed time (ms)
+     */
+    recordLatency(endpoint, latency) {
+        const record = this.get(endpoint);
+        record.latency = record.latency === null
+            ? latency
+            : Math.round(record.latency + this.latencyWeight * (latency - record.latency));
+        record.updatedAt = Date.now();
+        this.save();
+    },
+
+    /**
+     * @param {string} endpoint - Endpoint URL
+     * @param {number} latency - Time to a verified response (ms)
+     */
+    recordSuccess(endpoint, latency) {
+        const record = this.get(endpoint);
+        record.failures = 0;
+        record.openUntil = 0;
+        this.recordLatency(endpoint, latency);
+    },
+
+    /**
+     * @param {string} endpoint - Endpoint URL
+     * @param {number} now - Current time (ms)
+     */
+    recordFailure(endpoint, now = Date.now()) {
+        const record = this.get(endpoint);
+        record.failures++;
+        record.updatedAt = now;
+
+        if (record.failures >= CONFIG.submission.circuitFailureThreshold) {
+            record.openUntil = now + CONFIG.submission.circuitCooldown;
+            Logger.warn(`Endpoint circuit open for ${CONFIG.submission.circuitCooldown}ms after ${record.failures} failures`);
+        }
+
+        this.save();
+    }
+};
@@ -0,0 +1,108 @@
+/**
+ * AI Compute Exchange - Form Draft
+ *
+ * Keeps what the visitor typed into the lead form in sessionStorage, so a
+ * reload (e.g. after a Turnstile failure) or an accidental refresh does not
+ * lose it. Saved on every edit, restored on load, cleared once a lead is
+ * confirmed or the form is reset. Restored answers count as given on their
+ * wizard step (Wizard.markReached), so they are validated and sent.
+ *
+ * Only the contact and qualification fields (.input-field) are kept: never
+ * the honeypot, the Turnstile token or the consent box, which the visitor
+ * ticks again. sessionStorage ends with the tab.
+ */
+
+// ============================================================================
+// FORM DRAFT
+// ============================================================================
+
+const FormDraft = {
+    storageKey: 'cx-form-draft',
+    form: null,
+
+    /**
+     * Save the form on every edit
+     *
+     * @param {HTMLFormElement} form - Lead form
+     */
+    init(form) {
+        this.form = form;
+        form.addEventListener('input', () => this.save());
+        form.addEventListener('change', () => this.save());
+    },
+
+    /**
+     * @returns {HTMLElement[]} Fields a draft holds
+     */
+    fields() {
+        return Array.from(this.form.querySelectorAll('.input-field[name]'))
+            .filter(field => !BotSignals.isHoneypot(field));
+    },
+
+    /**
+     * Store the current values (an empty form removes the draft)
+     */
+    save() {
+        const values = {};
+        for (const field of this.fields()) {
+            if (field.value) {
+                values[field.name] = field.value;
+            }
+        }
+
+        try {
+            if (Object.keys(values).length === 0) {
+                sessionStorage.removeItem(this.storageKey);
+            } else {
+                sessionStorage.setItem(this.storageKey, JSON.stringify({ values, savedAt: Date.now() }));
+            }
+        } catch (error) {
+            Logger.debug('Draft not saved:', error.message);
+        }
+    },
+
+    /**
+     * Put a saved draft back into empty fields
+     *
+     * @returns {string[]} Names of the fields that took a saved value
+     */
+    restore() {
+        let draft;
+        try {
+            draft = JSON.parse(sessionStorage.getItem(this.storageKey) || 'null');
+        } catch (error) {
+            draft = null;
+        }
+        if (!draft?.values) {
+            return [];
+        }
+
+        const restored = [];
+        for (const field of this.fields()) {
+            const value = draft.values[field.name];
+            if (typeof value !== 'string' || field.value) {
+                continue;
+            }
+
+            // A select only takes one of its options
+            field.value = value;
+            if (field.value === value) {
+                restored.push(field.name);
+            }
+        }
+
+        Logger.debug('Draft restored:', restored);
+        return restored;
+    },
+
+    /**
+     * Drop the saved draft
+     */
+    clear() {
+        try {
+            sessionStorage.removeItem(this.storageKey);
+        } catch (error) {
+            Logger.debug('Draft not cleared:', error.message);
+        }
+    }
+};
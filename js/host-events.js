@@ -0,0 +1,173 @@
+/**
+ * AI Compute Exchange - Host Page Events
+ *
+ * Lifecycle events for the page embedding the form, delivered two ways:
+ * - DOM CustomEvents from the lead form (bubbling, so document listeners
+ *   see them): cx:validate, cx:submit, cx:turnstile, cx:delivered, cx:failed
+ * - Handlers registered with window.CX.on(name, fn) (see script.js)
+ *
+ * Every detail carries referenceId (the lead's reference ID) and
+ * endpointType ('primary' | 'fallback' once an endpoint accepted the lead,
+ * null before), plus:
+ *
+ *   validate   valid, fields (names of the invalid fields)
+ *   submit     payload (the lead without its Turnstile token and consent record)
+ *   turnstile  success, error (Turnstile error code when it failed)
+ *   delivered  source: 'form', or 'outbox' for a lead replayed later
+ *   failed     error (the lead stays queued and is replayed later, unless the edge refused it)
+ *
+ * cx:submit is also a hook: listeners may edit or replace detail.payload or
+ * call preventDefault(), and CX.on('submit') handlers may return a
+ * replacement payload or false (or a promise of either) to veto. Together
+ * they get filterTimeout: the Turnstile token is already taken, so the lead
+ * is sent as it stands once that has passed.
+ *
+ * A throwing listener is logged and skipped; it never stops a submission.
+ * Must load after js/logger.js.
+ */
+
+// ============================================================================
+// HOST EVENTS
+// ============================================================================
+
+const HostEvents = {
+    names: ['validate', 'submit', 'turnstile', 'delivered', 'failed'],
+
+    // Element the DOM events are dispatched from (the lead form)
+    target: null,
+
+    // Event name → Set of CX.on handlers
+    handlers: new Map(),
+
+    // Longest wait for the CX.on('submit') handlers together (ms)
+    filterTimeout: 5000,
+
+    /**
+     * @param {HTMLElement} target - Element to dispatch DOM events from
+     */
+    init(target) {
+        this.target = target;
+    },
+
+    /**
+     * @param {string} name - Event name, with or without the "cx:" prefix
+     * @returns {string} Bare name (throws for an unknown event)
+     */
+    normalize(name) {
+        const bare = String(name).replace(/^cx:/, '');
+        if (!this.names.includes(bare)) {
+            throw new Error(`Unknown event "${name}" (expected one of: ${this.names.join(', ')})`);
+        }
+        return bare;
+    },
+
+    /**
+     * Register a handler
+     *
+     * @param {string} name - Event name
+     * @param {Function} handler - Called with the event detail
+     * @returns {Function} Removes the handler again
+     */
+    on(name, handler) {
+        const bare = this.normalize(name);
+        if (typeof handler !== 'function') {
+            throw new Error('Event handler must be a function');
+        }
+
+        if (!this.handlers.has(bare)) {
+            this.handlers.set(bare, new Set());
+        }
+        this.handlers.get(bare).add(handler);
+
+        return () => this.handlers.get(bare).delete(handler);
+    },
+
+    /**
+     * @param {string} name - Bare event name
+     * @param {object} detail - Event detail (referenceId, endpointType, ...)
+     * @param {object} options - { cancelable }
+     * @returns {CustomEvent} The dispatched DOM event
+     */
+    dispatch(name, detail, { cancelable = false } = {}) {
+        const event = new CustomEvent(`cx:${name}`, { detail, bubbles: true, composed: true, cancelable });
+        try {
+            (this.target || document).dispatchEvent(event);
+        } catch (error) {
+            Logger.error(`cx:${name} listener failed:`, error.message);
+        }
+        return event;
+    },
+
+    /**
+     * Notify the host page (DOM event first, then CX.on handlers)
+     *
+     * @param {string} name - Bare event name
+     * @param {object} detail - Extra detail
+     */
+    emit(name, detail = {}) {
+        const full = { referenceId: null, endpointType: null, ...detail };
+        this.dispatch(name, full);
+
+        for (const handler of this.handlers.get(name) || []) {
+            try {
+                handler(full);
+            } catch (error) {
+                Logger.error(`CX.on('${name}') handler failed:`, error.message);
+            }
+        }
+    },
+
+    /**
+     * Run the submit hooks over a payload
+     *
+     * @param {object} payload - Lead payload (a copy; hooks cannot reach the original)
+     * @param {object} detail - Extra detail (referenceId, ...)
+     * @returns {Promise<object|null>} Payload to send, or null if a hook vetoed it
+     *                                 (handlers still running at filterTimeout are skipped)
+     */
+    async filter(payload, detail = {}) {
+        const full = { referenceId: null, endpointType: null, ...detail, payload };
+        const event = this.dispatch('submit', full, { cancelable: true });
+        if (event.defaultPrevented) {
+            Logger.info('Submission vetoed by a cx:submit listener');
+            return null;
+        }
+
+        const deadline = Date.now() + this.filterTimeout;
+        const timedOut = Symbol('timed out');
+
+        let current = full.payload;
+        for (const handler of this.handlers.get('submit') || []) {
+            let result;
+            let timer;
+            try {
+                result = await Promise.race([
+                    handler(current, { ...full, payload: current }),
+                    new Promise(resolve => {
+                        timer = setTimeout(() => resolve(timedOut), Math.max(0, deadline - Date.now()));
+                    })
+                ]);
+            } catch (error) {
+                Logger.error("CX.on('submit') handler failed:", error.message);
+                continue;
+            } finally {
+                clearTimeout(timer);
+            }
+
+            if (result === timedOut) {
+                Logger.error(`CX.on('submit') handlers took longer than ${this.filterTimeout} ms, sending the lead as it stands`);
+                break;
+            }
+
+            if (result === false) {
+                Logger.info("Submission vetoed by a CX.on('submit') handler");
+                return null;
+            }
+            if (result && typeof result === 'object') {
+                current = result;
+            }
+        }
+
+        return current;
+    }
+};
@@ -0,0 +1,371 @@
+/**
+ * AI Compute Exchange - Internationalization
+ *
+ * Message catalog for the page copy and every user-facing message.
+ *
+ * Locale: ?lang= if supported, else the first supported entry of
+ * navigator.languages ("de-AT" → "de"), else CONFIG.i18n.defaultLocale.
+ * English ships inline below and is the fallback for any missing key; other
+ * locales are fetched from locales/<locale>.json only when needed.
+ *
+ * Markup:
+ *   data-i18n="key"                       text content
+ *   data-i18n-attr="placeholder:key,..."  attributes
+ *
+ * Messages interpolate {name} placeholders; numbers are formatted for the
+ * locale. A message may be an object of plural forms ({ one, other, ... })
+ * chosen by params.count with Intl.PluralRules.
+ */
+
+// ============================================================================
+// SOURCE MESSAGES (English)
+// ============================================================================
+
+const I18N_SOURCE_MESSAGES = {
+    'header.cta': 'Get Access',
+    'hero.badge': 'Early Access',
+    'hero.title': 'GPU',
+    'hero.titleAccent': 'Infrastructure',
+    'hero.subtitle': 'H100 and H200 clusters for AI teams. Zero-latency access at scale.',
+
+    'form.title': 'Request Access',
+    'form.subtitle': 'Join the waitlist for institutional GPU compute',
+    'form.submit': 'Request Access',
+    'form.socialProof': 'Join {count}+ organizations',
+    'form.analyticsConsent': 'Share anonymous usage statistics',
+    'consent.label': 'I agree that BDTEC stores my company name and email to handle this request and contact me about it.',
+    'consent.manage': 'Access or delete your data',
+
+    'field.company': 'Company',
+    'field.company.placeholder': 'Acme AI Labs',
+    'field.email': 'Email',
+    'field.email.placeholder': 'you@company.com',
+    'field.gpuScale': 'GPU Scale',
+    'field.gpuScale.select': 'Select scale',
+    'field.gpuScale.testing': 'Testing',
+    'field.gpuScale.team': 'Team Scale',
+    'field.gpuScale.department': 'Department',
+    'field.gpuScale.enterprise': 'Enterprise',
+
+    'wizard.more': 'Add GPU requirements (optional)',
+    'wizard.back': 'Back',
+    'wizard.next': 'Next',
+    'wizard.progress': 'Step {step} of {total}: {title}',
+    'wizard.step.contact': 'Contact',
+    'wizard.step.hardware': 'Hardware',
+    'wizard.step.deployment': 'Deployment',
+    'wizard.step.commercial': 'Commitment',
+
+    'field.gpuModel': 'GPU Model',
+    'field.gpuModel.select': 'Select model',
+    'field.gpuModel.h100': 'NVIDIA H100',
+    'field.gpuModel.h200': 'NVIDIA H200',
+    'field.gpuModel.either': 'Either',
+    'field.quantity': 'Quantity',
+    'field.quantityUnit': 'Unit',
+    'field.quantityUnit.gpus': 'GPUs',
+    'field.quantityUnit.nodes': 'Nodes (8 GPUs)',
+    'field.interconnect': 'Interconnect',
+    'field.interconnect.unsure': 'Not sure yet',
+    'field.interconnect.infiniband': 'InfiniBand (400G NDR)',
+    'field.interconnect.roce': 'RoCE',
+    'field.interconnect.ethernet': 'Standard Ethernet',
+    'field.region': 'Region',
+    'field.region.select': 'Select region',
+    'field.region.usEast': 'US East',
+    'field.region.usWest': 'US West',
+    'field.region.europe': 'Europe',
+    'field.region.asiaPacific': 'Asia Pacific',
+    'field.region.any': 'No preference',
+    'field.startDate': 'Start Date',
+    'field.commitment': 'Commitment',
+    'field.commitment.select': 'Select length',
+    'field.commitment.onDemand': 'On demand',
+    'field.commitment.1Month': '1 month',
+    'field.commitment.3Months': '3 months',
+    'field.commitment.6Months': '6 months',
+    'field.commitment.12Months': '12 months',
+    'field.commitment.24MonthsPlus': '24 months or more',
+    'field.budget': 'Monthly Budget (USD)',
+    'field.budget.select': 'Select budget',
+    'field.budget.under10k': 'Under $10k',
+    'field.budget.10k50k': '$10k - $50k',
+    'field.budget.50k250k': '$50k - $250k',
+    'field.budget.250kPlus': '$250k or more',
+    'field.budget.undisclosed': 'Prefer not to say',
+
+    'error.company': 'Company name is required',
+    'error.email': 'Please enter a valid email address',
+    'error.gpuScale': 'Please select a GPU scale',
+    'error.turnstile': 'Please complete the security verification',
+    'error.turnstileFailed': 'Security verification failed. Please refresh the page.',
+    'error.encryption': 'Your details could not be encrypted for sending. Please refresh the page and try again.',
+    'error.consent': 'Please agree to the processing of your details',
+    'error.throttled': 'Too many requests from this browser. Please try again after {time}.',
+    'error.unexpected': 'Something went wrong while sending your request. Please try again.',
+    'turnstile.error.domain': "Security verification isn't set up for this web address. Please contact us if this persists.",
+    'turnstile.error.insecure': 'Security verification needs a secure connection. Please open this page over https.',
+    'turnstile.error.timeout': 'Security verification is taking longer than usual. Please try again.',
+    'error.summary': {
+        one: '{count} problem needs attention.',
+        other: '{count} problems need attention.'
+    },
+    'error.gpuModel': 'Please choose a GPU model',
+    'error.quantityUnit': 'Please choose GPUs or nodes',
+    'error.quantity': 'Enter a whole number of {unit} between 1 and {max}',
+    'error.quantity.gpus': 'GPUs',
+    'error.quantity.nodes': 'nodes',
+    'error.interconnect': 'Please choose an interconnect',
+    'error.region': 'Please choose a region',
+    'error.startDate': 'Please enter a valid start date',
+    'error.startDateRange': 'Start date must be between today and two years from now',
+    'error.commitment': 'Please choose a commitment length',
+    'error.budget': 'Please choose a budget band',
+
+    'email.blocked': 'Email addresses from this domain are not accepted',
+    'email.disposable': 'Disposable email addresses are not accepted. Please use your work email',
+    'email.business': 'Please use your work email address',
+    'email.freeMail': 'Tip: a work email address helps us verify your organization faster',
+    'email.suggestion': 'Did you mean {email}?',
+    'email.useSuggestion': 'Use this address',
+
+    'state.submitting.title': 'Sending Request',
+    'state.submitting.message': 'Delivering your request securely...',
+    'state.confirmed.title': 'Request Received',
+    'state.confirmed.message': "We'll be in touch within 24 hours.",
+    'state.failed.title': 'Could Not Deliver',
+    'state.failed.message': "We couldn't reach our servers. Your request is saved on this device and we'll keep trying, or you can try again now.",
+    'state.updated.title': 'Details Updated',
+    'state.updated.message': 'Your request keeps its reference ID and its place in the queue.',
+    'state.refused.title': 'Request Not Accepted',
+    'state.refused.message': "Our servers couldn't accept these details. Please check them and try again.",
+    'duplicate.title': "You're already on the waitlist",
+    'duplicate.message': 'We received a request for this email on {date}. Your reference ID is {reference}.',
+    'duplicate.update': 'Update my details',
+    'duplicate.queuedTitle': 'Your request is still being sent',
+    'duplicate.queuedMessage': "A request for this email from {date} is saved on this device and we'll keep trying to deliver it. Your reference ID is {reference}.",
+    'draft.restored': 'We restored the details you entered earlier.',
+    'draft.clear': 'Clear form',
+    'success.reference': 'Reference ID',
+    'success.submitted': 'Submitted',
+    'success.processing': 'Processing...',
+    'success.retry': 'Try Again',
+    'success.checkStatus': 'Check request status',
+
+    'status.title': 'Check Request Status',
+    'status.subtitle': 'Enter the reference ID from your confirmation and the email you used.',
+    'status.reference': 'Reference ID',
+    'status.submit': 'Check Status',
+    'status.error.reference': 'Please enter the reference ID from your confirmation (CX-...)',
+    'status.state.received': 'Received',
+    'status.state.under_review': 'Under review',
+    'status.state.scheduled': 'Scheduled',
+    'status.state.provisioned': 'Provisioned',
+    'status.description.received': "We have your request and it's waiting for review.",
+    'status.description.under_review': 'Our team is reviewing your requirements.',
+    'status.description.scheduled': "Your capacity is scheduled. We'll email you the details.",
+    'status.description.provisioned': 'Your capacity is ready. Check your email for access details.',
+    'status.queuePosition': 'Queue position',
+    'status.queueValue': '#{position}',
+    'status.updatedAt': 'Last update',
+    'status.checkedAt': 'Checked {time}',
+    'status.stale': 'Last known status, checked {time}',
+    'status.refresh': 'Refresh',
+    'status.notFound': "We couldn't find a request with that reference ID and email. Please check both and try again.",
+    'status.rateLimited': 'Too many lookups. Please try again after {time}.',
+    'status.unavailable': "We can't reach our servers right now. Please try again later.",
+    'data.title': 'Your data',
+    'data.subtitle': 'Download or delete what we store for this request, using the reference ID and email above.',
+    'data.export': 'Download my data',
+    'data.delete': 'Delete my data',
+    'data.confirmDelete': 'This permanently deletes request {reference} and your contact details. Continue?',
+    'data.confirm': 'Yes, delete',
+    'data.cancel': 'Cancel',
+    'data.exported': 'Your data for {reference} was downloaded.',
+    'data.deleted': 'Request {reference} and your contact details were deleted.',
+    'data.partial': "Request {reference} was deleted from some of our servers, but others couldn't be reached. Please try again later to finish the deletion."
+};
+
+// Languages written right to left
+const I18N_RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+// Turnstile language codes where they differ from ours
+const I18N_TURNSTILE_LANGUAGES = { ar: 'ar-eg', zh: 'zh-cn', pt: 'pt-br' };
+
+// ============================================================================
+// I18N
+// ============================================================================
+
+const I18n = {
+    locale: 'en',
+    messages: {},
+    pluralRules: null,
+
+    // Resolves once the locale bundle is applied (or failed and English stays)
+    ready: null,
+
+    /**
+     * Choose the locale, load its bundle and translate the page
+     *
+     * @returns {Promise<void>}
+     */
+    async init() {
+        this.setLocale(this.detect(), {});
+
+        if (this.locale === 'en') {
+            this.apply();
+            return;
+        }
+
+        try {
+            this.setLocale(this.locale, await this.loadBundle(this.locale));
+        } catch (error) {
+            Logger.warn(`Locale ${this.locale} unavailable, using English:`, error.message);
+            this.setLocale('en', {});
+        }
+        this.apply();
+    },
+
+    /**
+     * @returns {string} Supported locale for this visitor
+     */
+    detect() {
+        const { locales, defaultLocale } = CONFIG.i18n;
+        const match = tag => {
+            const lower = String(tag || '').toLowerCase();
+            return locales.find(locale => locale.toLowerCase() === lower)
+                || locales.find(locale => locale.toLowerCase() === lower.split('-')[0]);
+        };
+
+        const requested = new URLSearchParams(window.location.search).get('lang');
+        if (requested && match(requested)) {
+            return match(requested);
+        }
+
+        for (const language of navigator.languages || [navigator.language]) {
+            if (match(language)) {
+                return match(language);
+            }
+        }
+
+        return defaultLocale;
+    },
+
+    /**
+     * @param {string} locale - Locale to fetch
+     * @returns {Promise<object>} Messages
+     */
+    async loadBundle(locale) {
+        const response = await fetch(`locales/${encodeURIComponent(locale)}.json`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    },
+
+    /**
+     * @param {string} locale - Locale
+     * @param {object} messages - Its messages (missing keys fall back to English)
+     */
+    setLocale(locale, messages) {
+        this.locale = locale;
+        this.messages = messages;
+        this.pluralRules = new Intl.PluralRules(locale);
+    },
+
+    /**
+     * @returns {'ltr'|'rtl'} Text direction of the current locale
+     */
+    direction() {
+        return I18N_RTL_LANGUAGES.includes(this.locale.split('-')[0]) ? 'rtl' : 'ltr';
+    },
+
+    /**
+     * @returns {string} Turnstile `language` parameter for the current locale
+     */
+    turnstileLanguage() {
+        const language = this.locale.split('-')[0];
+        return I18N_TURNSTILE_LANGUAGES[language] || this.locale.toLowerCase();
+    },
+
+    /**
+     * Translate a message
+     *
+     * @param {string} key - Message key
+     * @param {object} params - Placeholder values (numbers are formatted; count selects the plural form)
+     * @returns {string} Translated message (the key itself if it is unknown)
+     */
+    t(key, params = {}) {
+        let message = this.messages[key] ?? I18N_SOURCE_MESSAGES[key];
+        if (message === undefined) {
+            Logger.warn('Missing message:', key);
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            const form = typeof params.count === 'number' ? this.pluralRules.select(params.count) : 'other';
+            message = message[form] ?? message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined) {
+                return placeholder;
+            }
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    },
+
+    /**
+     * @param {number} value - Number
+     * @param {object} options - Intl.NumberFormat options
+     * @returns {string}
+     */
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    },
+
+    /**
+     * @param {Date|number} value - Date or timestamp
+     * @param {object} options - Intl.DateTimeFormat options
+     * @returns {string}
+     */
+    formatDate(value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+        return new Intl.DateTimeFormat(this.locale, options).format(value);
+    },
+
+    /**
+     * Translate marked-up elements and set the document language and direction
+     *
+     * @param {ParentNode} root - Subtree to translate
+     */
+    apply(root = document) {
+        document.documentElement.lang = this.locale;
+        document.documentElement.dir = this.direction();
+
+        for (const element of root.querySelectorAll('[data-i18n]')) {
+            element.textContent = this.t(element.dataset.i18n, this.paramsOf(element));
+        }
+
+        for (const element of root.querySelectorAll('[data-i18n-attr]')) {
+            for (const pair of element.dataset.i18nAttr.split(',')) {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                element.setAttribute(attribute, this.t(key));
+            }
+        }
+    },
+
+    /**
+     * @param {HTMLElement} element - Element with optional data-i18n-params (JSON)
+     * @returns {object} Placeholder values
+     */
+    paramsOf(element) {
+        try {
+            return element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+        } catch (error) {
+            return {};
+        }
+    }
+};
+
+I18n.ready = I18n.init();
@@ -0,0 +1,123 @@
+/**
+ * AI Compute Exchange - Lead Encryption (privacy mode)
+ *
+ * With CONFIG.privacy.encryptLeads the contact fields of a lead never leave
+ * the browser in clear: they are sealed to the P-256 public key in
+ * CONFIG.privacy.publicKey, and both the edge and the Formspree fallback
+ * only receive the sealed envelope plus the reference ID.
+ *
+ * Envelope (every part base64url): cx1.<kid>.<epk>.<iv>.<ciphertext>
+ *   kid         first 12 bytes of SHA-256(SPKI public key), names the key pair
+ *   epk         ephemeral P-256 public key (raw, uncompressed)
+ *   iv          96-bit AES-GCM nonce
+ *   ciphertext  AES-256-GCM over JSON { email, company, gpuScale, qualification },
+ *               with the reference ID as additional data so an envelope
+ *               cannot be replayed under another lead
+ * The AES key is HKDF-SHA256(ECDH(ephemeral, recipient), salt = epk,
+ * info = "cx-lead-v1").
+ *
+ * Must match edge/lead-crypto.mjs, which the Worker and
+ * scripts/decrypt-leads.mjs use to open envelopes.
+ */
+
+// ============================================================================
+// LEAD CRYPTO
+// ============================================================================
+
+const LeadCrypto = {
+    version: 'cx1',
+    info: 'cx-lead-v1',
+
+    // Payload fields that are sealed (and removed from the clear payload)
+    fields: ['email', 'company', 'gpuScale', 'qualification'],
+
+    // Promise of { key (CryptoKey), kid } for CONFIG.privacy.publicKey
+    recipient: null,
+
+    /**
+     * @returns {boolean} True if leads must be sealed before sending
+     */
+    enabled() {
+        return CONFIG.privacy.encryptLeads;
+    },
+
+    /**
+     * Import the configured public key (once)
+     *
+     * @returns {Promise<object>} { key, kid }
+     */
+    loadRecipient() {
+        if (!this.recipient) {
+            this.recipient = (async () => {
+                if (!CONFIG.privacy.publicKey) {
+                    throw new Error('privacy.publicKey is not configured');
+                }
+
+                const spki = Uint8Array.from(atob(CONFIG.privacy.publicKey), char => char.charCodeAt(0));
+                const key = await crypto.subtle.importKey('spki', spki, { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+                const digest = await crypto.subtle.digest('SHA-256', spki);
+
+                return { key, kid: RequestSigning.toBase64Url(new Uint8Array(digest).slice(0, 12)) };
+            })();
+
+            // A failed import is retried on the next lead (the config may be fixed by then)
+            this.recipient.catch(() => {
+                this.recipient = null;
+            });
+        }
+        return this.recipient;
+    },
+
+    /**
+     * Seal lead fields for one reference ID
+     *
+     * @param {object} fields - { email, company, gpuScale, qualification }
+     * @param {string} referenceId - Lead reference ID (bound as additional data)
+     * @returns {Promise<string>} Envelope
+     */
+    async encrypt(fields, referenceId) {
+        const recipient = await this.loadRecipient();
+        const ephemeral = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+        const epk = new Uint8Array(await crypto.subtle.exportKey('raw', ephemeral.publicKey));
+
+        const shared = await crypto.subtle.deriveBits({ name: 'ECDH', public: recipient.key }, ephemeral.privateKey, 256);
+        const hkdfKey = await crypto.subtle.importKey('raw', shared, 'HKDF', false, ['deriveKey']);
+        const aesKey = await crypto.subtle.deriveKey(
+            { name: 'HKDF', hash: 'SHA-256', salt: epk, info: new TextEncoder().encode(this.info) },
+            hkdfKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt']
+        );
+
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(referenceId) },
+            aesKey,
+            new TextEncoder().encode(JSON.stringify(fields))
+        );
+
+        return [this.version, recipient.kid, epk, iv, ciphertext]
+            .map(part => (typeof part === 'string' ? part : RequestSigning.toBase64Url(part)))
+            .join('.');
+    },
+
+    /**
+     * Replace the contact fields of a payload with their envelope
+     *
+     * @param {object} payload - Lead data payload
+     * @returns {Promise<object>} Copy with `sealed` and without the clear fields
+     */
+    async seal(payload) {
+        const fields = {};
+        const sealed = { ...payload };
+
+        for (const name of this.fields) {
+            fields[name] = payload[name] ?? null;
+            delete sealed[name];
+        }
+
+        sealed.sealed = await this.encrypt(fields, payload.referenceId);
+        return sealed;
+    }
+};
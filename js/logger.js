@@ -0,0 +1,255 @@
+/**
+ * AI Compute Exchange - Logger
+ *
+ * Leveled logging that never prints personal data:
+ * - Emails, Turnstile tokens, signatures and reference IDs are redacted
+ *   before anything reaches the console or the buffer
+ * - Console output is silent unless CONFIG.debug is on (or
+ *   CONFIG.logging.level asks for it)
+ * - Every entry, at every level, goes to an in-memory ring buffer that
+ *   diagnostic.html displays and exports. The buffer is mirrored to
+ *   sessionStorage so the diagnostic page opened in the same tab can show
+ *   what happened on the portal.
+ *
+ * Must load after js/config-loader.js.
+ */
+
+// ============================================================================
+// LOGGER
+// ============================================================================
+
+const Logger = {
+    levels: { debug: 10, info: 20, warn: 30, error: 40, silent: 100 },
+
+    // Minimum level written to the console
+    level: 'silent',
+
+    // Ring buffer of { time, level, page, message } (already redacted)
+    buffer: [],
+    bufferSize: 200,
+
+    persist: false,
+    restored: false,
+    storageKey: 'cx-log',
+    flushScheduled: false,
+    listeners: new Set(),
+
+    // Object keys whose values are always replaced
+    sensitiveKeys: /email|token|signature|secret|password|^key$|keyId|company|cf-turnstile-response/i,
+
+    /**
+     * Apply settings and restore the persisted buffer
+     *
+     * @param {object} options - { level, bufferSize, persist }
+     */
+    configure({ level, bufferSize, persist } = {}) {
+        if (level && this.levels[level] !== undefined) {
+            this.level = level;
+        }
+        if (bufferSize) {
+            this.bufferSize = bufferSize;
+        }
+        if (persist !== undefined) {
+            this.persist = persist;
+        }
+
+        if (this.persist && !this.restored) {
+            this.restored = true;
+            try {
+                const saved = JSON.parse(sessionStorage.getItem(this.storageKey) || '[]');
+                this.buffer = saved.concat(this.buffer).slice(-this.bufferSize);
+            } catch (error) {
+                // Storage unavailable or corrupt: start with an empty buffer
+            }
+        }
+    },
+
+    debug(...args) {
+        this.write('debug', args);
+    },
+
+    info(...args) {
+        this.write('info', args);
+    },
+
+    warn(...args) {
+        this.write('warn', args);
+    },
+
+    error(...args) {
+        this.write('error', args);
+    },
+
+    /**
+     * Record an entry and print it if the level allows
+     *
+     * @param {string} level - debug | info | warn | error
+     * @param {Array} args - Values to log
+     */
+    write(level, args) {
+        const redacted = args.map(arg => this.redact(arg));
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            page: window.location.pathname,
+            message: redacted.map(arg => (typeof arg === 'string' ? arg : this.stringify(arg))).join(' ')
+        };
+
+        this.buffer.push(entry);
+        if (this.buffer.length > this.bufferSize) {
+            this.buffer.splice(0, this.buffer.length - this.bufferSize);
+        }
+
+        this.scheduleFlush();
+
+        for (const listener of this.listeners) {
+            try {
+                listener(entry);
+            } catch (error) {
+                // A broken listener must never break logging
+            }
+        }
+
+        if (this.levels[level] >= this.levels[this.level]) {
+            console[level](...redacted);
+        }
+    },
+
+    /**
+     * Redact personal data from any value (strings, errors, objects, arrays)
+     *
+     * @param {*} value - Value to redact
+     * @param {number} depth - Current nesting depth
+     * @returns {*} Redacted copy
+     */
+    redact(value, depth = 0) {
+        if (typeof value === 'string') {
+            return this.redactString(value);
+        }
+
+        if (value instanceof Error) {
+            return this.redactString(`${value.name}: ${value.message}`);
+        }
+
+        if (value === null || typeof value !== 'object') {
+            return value;
+        }
+
+        if (depth > 4) {
+            return '[object]';
+        }
+
+        if (Array.isArray(value)) {
+            return value.map(item => this.redact(item, depth + 1));
+        }
+
+        const copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            copy[key] = this.sensitiveKeys.test(key) && item ? '[redacted]' : this.redact(item, depth + 1);
+        }
+        return copy;
+    },
+
+    /**
+     * Replace emails, tokens and IDs inside free text
+     *
+     * @param {string} text - Text to redact
+     * @returns {string}
+     */
+    redactString(text) {
+        return text
+            // Email addresses
+            .replace(/[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)+/g, '[email]')
+            // Turnstile tokens (0.xxxx...)
+            .replace(/\b0\.[A-Za-z0-9_.-]{20,}/g, '[token]')
+            // UUIDs
+            .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '[id]')
+            // Client reference IDs: keep the last 4 characters for correlation
+            .replace(/\bCX-[0-9A-Z]{10}-[0-9A-Z]{9}([0-9A-Z]{4})\b/g, '[ref …$1]')
+            // Reference IDs from before js/reference-id.js (still in old outboxes)
+            .replace(/\breq_[a-z0-9]+_[a-z0-9]*([a-z0-9]{4})\b/gi, '[ref …$1]')
+            // Any other long opaque value (signatures, keys, hashes)
+            .replace(/[A-Za-z0-9_-]{32,}/g, '[secret]');
+    },
+
+    /**
+     * @param {*} value - Redacted value
+     * @returns {string}
+     */
+    stringify(value) {
+        try {
+            return JSON.stringify(value);
+        } catch (error) {
+            return String(value);
+        }
+    },
+
+    /**
+     * Mirror the buffer to sessionStorage at most once per task
+     */
+    scheduleFlush() {
+        if (!this.persist || this.flushScheduled) {
+            return;
+        }
+
+        this.flushScheduled = true;
+        setTimeout(() => {
+            this.flushScheduled = false;
+            try {
+                sessionStorage.setItem(this.storageKey, JSON.stringify(this.buffer));
+            } catch (error) {
+                // Quota exceeded or storage disabled: the in-memory buffer is enough
+            }
+        }, 0);
+    },
+
+    /**
+     * @returns {object[]} Copy of the buffered entries, oldest first
+     */
+    entries() {
+        return this.buffer.slice();
+    },
+
+    /**
+     * @returns {string} Buffer as pretty-printed JSON (for download)
+     */
+    export() {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            entries: this.entries()
+        }, null, 2);
+    },
+
+    /**
+     * Empty the buffer (and its persisted copy)
+     */
+    clear() {
+        this.buffer = [];
+        try {
+            sessionStorage.removeItem(this.storageKey);
+        } catch (error) {
+            // Storage unavailable
+        }
+    },
+
+    /**
+     * Receive every new entry
+     *
+     * @param {Function} listener - Called with { time, level, page, message }
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+};
+
+Logger.configure({
+    level: CONFIG.logging.level === 'auto' ? (CONFIG.debug ? 'debug' : 'silent') : CONFIG.logging.level,
+    bufferSize: CONFIG.logging.bufferSize,
+    persist: CONFIG.logging.persist
+});
+
+Logger.debug(ConfigLoader.errors.length
+    ? `AI Compute Exchange config loaded (${ConfigLoader.errors.length} problem(s))`
+    : 'AI Compute Exchange config loaded');
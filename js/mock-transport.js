@@ -0,0 +1,542 @@
+/**
+ * AI Compute Exchange - Mock Transport
+ *
+ * Local development and demos without real endpoints. When enabled
+ * (CONFIG.mock.enabled, or ?cx-mock=<profile>), the configured endpoints are
+ * answered in the page and the Turnstile widget is replaced, so every path
+ * of handleFormSubmit runs offline and nothing reaches production:
+ *
+ *   <edge>/session  session keys (real HMAC keys, kept in memory)
+ *   <edge>          leads: the request signature is checked and the response
+ *                   is signed, like edge/lead-handler.mjs does (a retry is
+ *                   answered as a duplicate, an update as updated)
+ *   <edge>/status   status lookups for leads sent in this tab (sealed leads,
+ *                   see js/lead-crypto.js, carry no email and match any)
+ *   <edge>/ping     signed pings (js/self-test.js)
+ *   <edge>/privacy  signed exports and deletions of leads sent in this tab
+ *   fallback        Formspree-style { ok: true }
+ *
+ * Any other URL goes to the real fetch. Each mocked call is logged (the
+ * console shows info level while mock mode is on). ?cx-mock is honoured on
+ * localhost only, unless CONFIG.mock.allowQueryParam is set.
+ *
+ * Behaviours (per profile, per primary node or for all of them):
+ *   ok             answer normally
+ *   network        fail like an unreachable host (TypeError)
+ *   hang           never answer (until the request is aborted)
+ *   http:<status>  answer with that HTTP status
+ *   malformed      200 with a body that is not JSON
+ *   bad-signature  200 with a response signature that does not verify
+ */
+
+// ============================================================================
+// PROFILES
+// ============================================================================
+
+const MOCK_PROFILES = {
+    ok: { latency: 150, primary: 'ok', fallback: 'ok' },
+    slow: { latency: 2000, primary: 'ok', fallback: 'ok' },
+    'http-error': { latency: 150, primary: 'http:500', fallback: 'http:503' },
+    timeout: { latency: 150, primary: 'hang', fallback: 'hang' },
+    'primary-down': { latency: 150, primary: ['network', 'ok'], fallback: 'ok' },
+    fallback: { latency: 150, primary: 'network', fallback: 'ok' },
+    malformed: { latency: 150, primary: 'malformed', fallback: 'http:502' },
+    'bad-signature': { latency: 150, primary: 'bad-signature', fallback: 'http:502' },
+    offline: { latency: 50, primary: 'network', fallback: 'network' },
+    'turnstile-error': { latency: 150, primary: 'ok', fallback: 'ok', turnstile: '110200' }
+};
+
+// ============================================================================
+// MOCK TRANSPORT
+// ============================================================================
+
+const MockTransport = {
+    enabled: false,
+    profileName: null,
+    profile: null,
+    realFetch: null,
+
+    // Issued session keys: keyId → raw key (Uint8Array)
+    keys: new Map(),
+
+    // Leads accepted in this tab: id → { id, email, company, gpuScale, qualification, sealed, receivedAt, updatedAt }
+    leads: new Map(),
+
+    // Call counter for log lines and mock IDs
+    calls: 0,
+
+    /**
+     * Turn mock mode on if the config or the URL asks for it
+     */
+    init() {
+        const requested = new URLSearchParams(window.location.search).get('cx-mock');
+        const isLocal = ['localhost', '127.0.0.1', '[::1]', ''].includes(window.location.hostname);
+        let name = CONFIG.mock.enabled ? CONFIG.mock.profile : null;
+
+        if (requested !== null) {
+            if (isLocal || CONFIG.mock.allowQueryParam) {
+                name = requested === '' || requested === '1' ? CONFIG.mock.profile : requested;
+            } else {
+                Logger.warn('?cx-mock ignored: not on localhost (set mock.allowQueryParam to allow it)');
+            }
+        }
+
+        if (name === null || name === '0') {
+            return;
+        }
+
+        if (!MOCK_PROFILES[name]) {
+            Logger.error(`Unknown mock profile "${name}". Profiles: ${Object.keys(MOCK_PROFILES).join(', ')}`);
+            return;
+        }
+
+        this.enabled = true;
+        this.profileName = name;
+        this.profile = { turnstile: 'pass', ...MOCK_PROFILES[name] };
+
+        // Mocked calls are logged at info level: make sure they are seen
+        if (Logger.levels[Logger.level] > Logger.levels.info) {
+            Logger.configure({ level: 'info' });
+        }
+
+        this.realFetch = window.fetch.bind(window);
+        window.fetch = (input, init) => this.fetch(input, init);
+        window.turnstile = this.createTurnstile();
+
+        Logger.info(`Mock transport on (profile "${name}"): no request leaves this tab`);
+        document.addEventListener('DOMContentLoaded', () => this.showBadge());
+    },
+
+    /**
+     * Label the page so a mocked demo is never mistaken for the real thing
+     */
+    showBadge() {
+        const badge = document.createElement('div');
+        badge.className = 'mock-badge';
+        badge.textContent = `Mock mode: ${this.profileName}`;
+        document.body.appendChild(badge);
+    },
+
+    /**
+     * fetch replacement: mocked endpoints are answered here, the rest passes through
+     *
+     * @param {RequestInfo} input - URL or Request
+     * @param {object} init - fetch options
+     * @returns {Promise<Response>}
+     */
+    fetch(input, init = {}) {
+        const url = typeof input === 'string' ? input : input.url;
+        const target = this.classify(url);
+        return target ? this.respond(target, init) : this.realFetch(input, init);
+    },
+
+    /**
+     * @param {string} url - Request URL
+     * @returns {object|null} { kind: 'lead'|'session'|'status'|'ping'|'privacy'|'fallback', node },
+     *                        or null if not mocked
+     */
+    classify(url) {
+        for (const [node, endpoint] of CONFIG.edgeEndpoints.entries()) {
+            if (url === endpoint) {
+                return { kind: 'lead', node };
+            }
+            for (const kind of ['session', 'status', 'ping', 'privacy']) {
+                if (url === new URL(kind, endpoint).toString()) {
+                    return { kind, node };
+                }
+            }
+        }
+
+        if (CONFIG.fallbackEndpoint && url === CONFIG.fallbackEndpoint) {
+            return { kind: 'fallback', node: CONFIG.edgeEndpoints.length };
+        }
+        return null;
+    },
+
+    /**
+     * @param {object} target - See classify()
+     * @returns {string} Behaviour for this call
+     */
+    behaviourOf(target) {
+        const configured = target.kind === 'fallback' ? this.profile.fallback : this.profile.primary;
+        const behaviour = Array.isArray(configured) ? configured[target.node] || 'ok' : configured;
+
+        // Response bodies are only broken on lead posts; the edge's other routes work
+        if ((behaviour === 'malformed' || behaviour === 'bad-signature') && target.kind !== 'lead') {
+            return 'ok';
+        }
+        return behaviour;
+    },
+
+    /**
+     * Answer one mocked call
+     *
+     * @param {object} target - See classify()
+     * @param {object} init - fetch options
+     * @returns {Promise<Response>}
+     */
+    async respond(target, init) {
+        const call = ++this.calls;
+        const behaviour = this.behaviourOf(target);
+        const label = `#${call} ${target.kind}${target.kind === 'fallback' ? '' : ` (node ${target.node})`}`;
+        const startedAt = Date.now();
+
+        try {
+            await this.delay(behaviour === 'network' ? Math.min(50, this.profile.latency) : this.profile.latency, init.signal);
+
+            if (behaviour === 'network') {
+                throw new TypeError('Failed to fetch');
+            }
+            if (behaviour === 'hang') {
+                await this.delay(Infinity, init.signal);
+            }
+
+            const response = behaviour.startsWith('http:')
+                ? this.json({ success: false, error: 'mock_http_error' }, Number(behaviour.slice(5)))
+                : await this.handle(target, behaviour, init);
+
+            Logger.info(`Mock ${label}: ${behaviour} → HTTP ${response.status} (${Date.now() - startedAt}ms)`);
+            return response;
+        } catch (error) {
+            Logger.info(`Mock ${label}: ${behaviour} → ${error.name} (${Date.now() - startedAt}ms)`);
+            throw error;
+        }
+    },
+
+    /**
+     * Answer a call that reached the mocked server
+     *
+     * @param {object} target - See classify()
+     * @param {string} behaviour - 'ok', 'malformed' or 'bad-signature'
+     * @param {object} init - fetch options
+     * @returns {Promise<Response>}
+     */
+    async handle(target, behaviour, init) {
+        const body = new URLSearchParams(init.body || '');
+
+        switch (target.kind) {
+            case 'session': {
+                const raw = crypto.getRandomValues(new Uint8Array(32));
+                const keyId = `mock-${this.calls}`;
+                this.keys.set(keyId, raw);
+                return this.json({
+                    keyId,
+                    key: RequestSigning.toBase64Url(raw),
+                    expiresAt: Date.now() + 10 * 60 * 1000,
+                    serverTime: Date.now()
+                });
+            }
+
+            case 'lead':
+                return this.handleLead(new Headers(init.headers), body, behaviour);
+
+            case 'status': {
+                const lead = this.lookup(body);
+                if (!lead) {
+                    return this.json({ success: false, error: 'not_found' }, 404);
+                }
+                return this.json({
+                    success: true,
+                    id: lead.id,
+                    state: 'received',
+                    queuePosition: Array.from(this.leads.keys()).indexOf(lead.id) + 1,
+                    receivedAt: lead.receivedAt,
+                    updatedAt: lead.updatedAt || lead.receivedAt
+                });
+            }
+
+            case 'ping':
+                return this.handlePing(new Headers(init.headers), body);
+
+            case 'privacy':
+                return this.handlePrivacy(new Headers(init.headers), body);
+
+            default:
+                if (!this.leads.has(body.get('reference_id'))) {
+                    this.store(body.get('reference_id'), body);
+                }
+                return this.json({ ok: true });
+        }
+    },
+
+    /**
+     * Check a request signature like the edge does (verifySigned)
+     *
+     * @param {Headers} headers - Request headers
+     * @param {URLSearchParams} body - Form body
+     * @returns {Promise<object>} { key, requestId }, or { response } with the error to answer
+     */
+    async verifySigned(headers, body) {
+        const raw = this.keys.get(headers.get('X-CX-Key-ID'));
+        if (!raw) {
+            return { response: this.json({ success: false, error: 'session_key_expired' }, 401) };
+        }
+
+        const key = await crypto.subtle.importKey('raw', raw, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+        const requestId = headers.get('X-CX-Request-ID');
+        const canonical = await RequestSigning.canonicalRequest({
+            origin: headers.get('X-CX-Origin'),
+            requestId,
+            timestamp: headers.get('X-CX-Timestamp'),
+            body
+        });
+        const validSignature = await crypto.subtle.verify(
+            'HMAC',
+            key,
+            RequestSigning.fromBase64Url(headers.get('X-CX-Signature') || ''),
+            new TextEncoder().encode(canonical)
+        );
+        if (!validSignature) {
+            return { response: this.json({ success: false, error: 'invalid_signature' }, 401) };
+        }
+
+        return { key, requestId };
+    },
+
+    /**
+     * Sign a response like the edge does (signResponse)
+     *
+     * @param {CryptoKey} key - Session key
+     * @param {object} fields - { requestId, id, success, duplicate, updated }
+     * @returns {Promise<string>} Base64url signature
+     */
+    async signResponse(key, fields) {
+        const signed = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(RequestSigning.canonicalResponse(fields)));
+        return RequestSigning.toBase64Url(signed);
+    },
+
+    /**
+     * Check the request signature, store the lead and sign the answer
+     *
+     * @param {Headers} headers - Request headers
+     * @param {URLSearchParams} body - Form body
+     * @param {string} behaviour - 'ok', 'malformed' or 'bad-signature'
+     * @returns {Promise<Response>}
+     */
+    async handleLead(headers, body, behaviour) {
+        const { key, requestId, response } = await this.verifySigned(headers, body);
+        if (response) {
+            return response;
+        }
+
+        if (behaviour === 'malformed') {
+            return new Response('<html><body>502 Bad Gateway</body></html>', { status: 200 });
+        }
+
+        // A retry with the same details is a duplicate; different details need
+        // the update flag and the same email, like on the edge
+        const existing = this.leads.get(requestId);
+        const fields = this.leadFields(body);
+        const duplicate = Boolean(existing) && Object.keys(fields).every(name => existing[name] === fields[name]);
+        const updated = Boolean(existing) && !duplicate;
+        if (updated && (body.get('update') !== '1' || existing.email.toLowerCase() !== fields.email.toLowerCase())) {
+            return this.json({ success: false, error: 'idempotency_key_reused' }, 409);
+        }
+        if (!duplicate) {
+            this.store(requestId, body);
+        }
+
+        const signature = behaviour === 'bad-signature'
+            ? RequestSigning.toBase64Url(crypto.getRandomValues(new Uint8Array(32)))
+            : await this.signResponse(key, { requestId, id: requestId, success: true, duplicate, updated });
+
+        return this.json({
+            success: true,
+            id: requestId,
+            ...(duplicate ? { duplicate: true } : {}),
+            ...(updated ? { updated: true } : {}),
+            signature
+        });
+    },
+
+    /**
+     * Answer a signed ping with the (mock) edge clock
+     *
+     * @param {Headers} headers - Request headers
+     * @param {URLSearchParams} body - Form body (empty)
+     * @returns {Promise<Response>}
+     */
+    async handlePing(headers, body) {
+        const { key, requestId, response } = await this.verifySigned(headers, body);
+        if (response) {
+            return response;
+        }
+
+        return this.json({
+            success: true,
+            id: 'ping',
+            serverTime: Date.now(),
+            signature: await this.signResponse(key, { requestId, id: 'ping', success: true })
+        });
+    },
+
+    /**
+     * Export or delete a lead sent in this tab (js/data-request.js)
+     *
+     * @param {Headers} headers - Request headers
+     * @param {URLSearchParams} body - Form body: action, reference, email
+     * @returns {Promise<Response>}
+     */
+    async handlePrivacy(headers, body) {
+        const { key, requestId, response } = await this.verifySigned(headers, body);
+        if (response) {
+            return response;
+        }
+
+        const action = body.get('action');
+        if (action !== 'export' && action !== 'delete') {
+            return this.json({ success: false, error: 'invalid_action' }, 422);
+        }
+
+        const lead = this.lookup(body);
+        if (!lead) {
+            return this.json({ success: false, error: 'not_found' }, 404);
+        }
+
+        const signature = await this.signResponse(key, { requestId, id: lead.id, success: true });
+        if (action === 'export') {
+            return this.json({ success: true, id: lead.id, action, lead: { ...lead }, signature });
+        }
+
+        this.leads.delete(lead.id);
+        return this.json({ success: true, id: lead.id, action, deletedAt: new Date().toISOString(), signature });
+    },
+
+    /**
+     * Lead named by a status or privacy request, if the email matches
+     *
+     * @param {URLSearchParams} body - Form body: reference, email
+     * @returns {object|null} Stored lead
+     */
+    lookup(body) {
+        const lead = this.leads.get(body.get('reference'));
+        if (!lead || (lead.email && lead.email.toLowerCase() !== String(body.get('email')).toLowerCase())) {
+            return null;
+        }
+        return lead;
+    },
+
+    /**
+     * @param {URLSearchParams} body - Lead form body
+     * @returns {object} Details a retry repeats and an update may change
+     */
+    leadFields(body) {
+        return {
+            email: body.get('email') || '',
+            company: body.get('company') || '',
+            gpuScale: body.get('gpuScale') || '',
+            qualification: body.get('qualification') || '',
+            sealed: body.get('sealed') || ''
+        };
+    },
+
+    /**
+     * Store a lead, or update one stored under the same reference
+     *
+     * @param {string} id - Reference ID
+     * @param {URLSearchParams} body - Lead form body
+     */
+    store(id, body) {
+        if (!id) {
+            return;
+        }
+
+        const existing = this.leads.get(id);
+        this.leads.set(id, existing
+            ? { ...existing, ...this.leadFields(body), updatedAt: new Date().toISOString() }
+            : { id, ...this.leadFields(body), receivedAt: new Date().toISOString() });
+    },
+
+    /**
+     * @param {object} body - Response body
+     * @param {number} status - HTTP status
+     * @returns {Response}
+     */
+    json(body, status = 200) {
+        return new Response(JSON.stringify(body), {
+            status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    },
+
+    /**
+     * Wait like a network round trip, ending early with an AbortError
+     *
+     * @param {number} ms - Delay (Infinity waits for the abort)
+     * @param {AbortSignal} signal - Abort signal of the request
+     * @returns {Promise<void>}
+     */
+    delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+            };
+            if (signal?.aborted) {
+                abort();
+                return;
+            }
+
+            const timer = Number.isFinite(ms) ? setTimeout(() => {
+                signal?.removeEventListener('abort', abort);
+                resolve();
+            }, ms) : null;
+            signal?.addEventListener('abort', abort, { once: true });
+        });
+    },
+
+    /**
+     * Stand-in for the Turnstile API (render, execute, reset, remove)
+     * Challenges pass after a short delay, or fail with profile.turnstile as
+     * the error code.
+     *
+     * @returns {object}
+     */
+    createTurnstile() {
+        const widgets = new Map();
+        let nextId = 0;
+        let tokens = 0;
+
+        const challenge = id => {
+            const widget = widgets.get(id);
+            clearTimeout(widget.timer);
+            widget.timer = setTimeout(() => {
+                if (this.profile.turnstile === 'pass') {
+                    Logger.info('Mock turnstile: challenge passed');
+                    // Shaped like a real token so Security.validateTurnstileToken accepts it
+                    widget.options.callback?.(`0.mock-token-${++tokens}.`.padEnd(200, 'x'));
+                } else {
+                    Logger.info(`Mock turnstile: challenge failed (${this.profile.turnstile})`);
+                    widget.options['error-callback']?.(this.profile.turnstile);
+                }
+            }, 300);
+        };
+
+        return {
+            render(container, options) {
+                const id = `mock-widget-${nextId++}`;
+                widgets.set(id, { options, timer: null });
+                if (options.execution !== 'execute') {
+                    challenge(id);
+                }
+                return id;
+            },
+            execute(id) {
+                challenge(id);
+            },
+            reset(id) {
+                const widget = widgets.get(id);
+                clearTimeout(widget.timer);
+                if (widget.options.execution !== 'execute') {
+                    challenge(id);
+                }
+            },
+            remove(id) {
+                clearTimeout(widgets.get(id)?.timer);
+                widgets.delete(id);
+            }
+        };
+    }
+};
+
+MockTransport.init();
@@ -0,0 +1,261 @@
+/**
+ * AI Compute Exchange - Offline Outbox
+ *
+ * Durable IndexedDB queue for lead submissions. Every payload is written
+ * here BEFORE the first network attempt and removed once an endpoint
+ * accepts it, so a failed race or a tab closed mid-flight still leaves a
+ * record that is replayed on the next page load, when the browser comes
+ * back online, or when the tab becomes visible again.
+ *
+ * Retries are bounded (CONFIG.outbox.maxAttempts) and entries expire after
+ * CONFIG.outbox.maxAgeMs so stale leads are never sent days later.
+ */
+
+// ============================================================================
+// OUTBOX (IndexedDB persistence)
+// ============================================================================
+
+const Outbox = {
+    dbName: 'cx-outbox',
+    storeName: 'leads',
+    dbVersion: 1,
+    dbPromise: null,
+    replaying: false,
+
+    /**
+     * Open (or create) the outbox database
+     * Resolves to null when IndexedDB is unavailable (e.g. private mode)
+     *
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            let request;
+            try {
+                request = indexedDB.open(this.dbName, this.dbVersion);
+            } catch (error) {
+                Logger.warn('Outbox unavailable:', error.message);
+                resolve(null);
+                return;
+            }
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                Logger.warn('Outbox unavailable:', request.error?.message);
+                resolve(null);
+            };
+        });
+
+        return this.dbPromise;
+    },
+
+    /**
+     * Run a single request against the leads store
+     *
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store, returns an IDBRequest
+     * @returns {Promise<*>} Request result (undefined if the outbox is unavailable)
+     */
+    async withStore(mode, operation) {
+        const db = await this.open();
+        if (!db) {
+            return undefined;
+        }
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * Persist a payload before it is sent
+     *
+     * @param {object} payload - Lead payload (keyed by payload.referenceId)
+     * @returns {Promise<object|null>} Stored entry, or null if it could not be stored
+     */
+    async enqueue(payload) {
+        const now = Date.now();
+        const entry = {
+            id: payload.referenceId,
+            payload,
+            attempts: 0,
+            createdAt: now,
+            // Leave the live attempt time to finish before any replay (in this or another tab)
+            nextAttemptAt: now + CONFIG.outbox.inFlightGrace,
+            lastError: null
+        };
+
+        try {
+            await this.withStore('readwrite', store => store.put(entry));
+            return entry;
+        } catch (error) {
+            Logger.warn('Could not persist lead to outbox:', error?.message);
+            return null;
+        }
+    },
+
+    /**
+     * Remove a delivered (or abandoned) entry
+     *
+     * @param {string} id - Reference ID
+     */
+    async remove(id) {
+        try {
+            await this.withStore('readwrite', store => store.delete(id));
+        } catch (error) {
+            Logger.warn('Could not remove outbox entry:', error?.message);
+        }
+    },
+
+    /**
+     * List all queued entries
+     *
+     * @returns {Promise<object[]>}
+     */
+    async all() {
+        try {
+            return (await this.withStore('readonly', store => store.getAll())) || [];
+        } catch (error) {
+            Logger.warn('Could not read outbox:', error?.message);
+            return [];
+        }
+    },
+
+    /**
+     * Record a failed delivery attempt and schedule the next one
+     * Entries that exhaust CONFIG.outbox.maxAttempts are dropped
+     *
+     * @param {string} id - Reference ID
+     * @param {Error} error - Failure reason
+     */
+    async markFailed(id, error) {
+        try {
+            const entry = await this.withStore('readonly', store => store.get(id));
+            if (!entry) {
+                return;
+            }
+
+            entry.attempts++;
+            entry.lastError = error?.message || String(error);
+
+            if (entry.attempts >= CONFIG.outbox.maxAttempts) {
+                Logger.error(`Outbox: giving up on lead after ${entry.attempts} attempts:`, entry.lastError);
+                await this.remove(id);
+                return;
+            }
+
+            // Exponential backoff between replays: base, 2x base, 4x base...
+            entry.nextAttemptAt = Date.now() + CONFIG.outbox.retryBaseDelay * Math.pow(2, entry.attempts - 1);
+            await this.withStore('readwrite', store => store.put(entry));
+        } catch (storeError) {
+            Logger.warn('Could not update outbox entry:', storeError?.message);
+        }
+    },
+
+    /**
+     * Replay queued entries that are due
+     *
+     * The stored Turnstile token was spent on the first attempt, so send
+     * (replayQueuedLead in script.js) takes a fresh one for each entry it
+     * delivers. shouldPause is asked before each entry, so the page can
+     * keep its token for a submission that started meanwhile.
+     *
+     * @param {Function} send - Async function(payload) that throws on failure
+     * @param {Function} [shouldPause] - Returns true to stop before the next entry
+     * @returns {Promise<boolean|undefined>} False if it stopped for shouldPause,
+     *                                      undefined if another replay was running
+     */
+    async replay(send, shouldPause = () => false) {
+        // Only one tab replays at a time to avoid duplicate deliveries
+        if (navigator.locks?.request) {
+            return navigator.locks.request('cx-outbox-replay', { ifAvailable: true }, lock => {
+                return lock ? this.replayDue(send, shouldPause) : undefined;
+            });
+        }
+
+        return this.replayDue(send, shouldPause);
+    },
+
+    /**
+     * Send every due entry once (see replay)
+     *
+     * @param {Function} send - Async function(payload) that throws on failure
+     * @param {Function} shouldPause - Returns true to stop before the next entry
+     * @returns {Promise<boolean|undefined>} See replay
+     */
+    async replayDue(send, shouldPause) {
+        if (this.replaying) {
+            return undefined;
+        }
+        this.replaying = true;
+
+        try {
+            const now = Date.now();
+            const entries = await this.all();
+
+            for (const entry of entries) {
+                if (now - entry.createdAt > CONFIG.outbox.maxAgeMs) {
+                    Logger.warn('Outbox: dropping expired lead');
+                    await this.remove(entry.id);
+                    continue;
+                }
+
+                if (entry.nextAttemptAt > now) {
+                    continue;
+                }
+
+                if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+                    break;
+                }
+
+                if (shouldPause()) {
+                    return false;
+                }
+
+                try {
+                    await send(entry.payload);
+                    await this.remove(entry.id);
+                    Logger.debug('Outbox: queued lead delivered');
+                } catch (error) {
+                    await this.markFailed(entry.id, error);
+                }
+            }
+        } finally {
+            this.replaying = false;
+        }
+        return true;
+    },
+
+    /**
+     * Replay on reconnect and whenever the tab becomes visible again
+     *
+     * @param {Function} replay - Starts a replay (e.g. () => Outbox.replay(send))
+     */
+    registerTriggers(replay) {
+        window.addEventListener('online', () => replay());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                replay();
+            }
+        });
+    }
+};
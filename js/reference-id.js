@@ -0,0 +1,134 @@
+/**
+ * AI Compute Exchange - Reference IDs
+ *
+ * One ID per lead, shown to the user, sent as X-CX-Request-ID and
+ * Idempotency-Key to every endpoint (and as reference_id to Formspree), and
+ * stored as the lead's record ID at the edge.
+ *
+ * Format: CX-TTTTTTTTTT-RRRRRRRRRRRRC (Crockford base32)
+ *   T  creation time in ms (10 chars), so IDs sort by time
+ *   R  60 random bits from crypto.getRandomValues (12 chars)
+ *   C  Luhn mod 32 check character over T and R, which catches any single
+ *      mistyped character and most swapped neighbours
+ *
+ * normalize() accepts what a customer reads out to support: any case, with or
+ * without hyphens, and the usual O/0 and I/L/1 confusions.
+ */
+
+// ============================================================================
+// REFERENCE IDS
+// ============================================================================
+
+const ReferenceId = {
+    alphabet: '0123456789ABCDEFGHJKMNPQRSTVWXYZ',
+    prefix: 'CX',
+    timeLength: 10,
+    randomLength: 12,
+
+    /**
+     * Create a new reference ID
+     *
+     * @param {number} now - Creation time (ms)
+     * @returns {string}
+     */
+    generate(now = Date.now()) {
+        let time = '';
+        let remaining = now;
+        for (let i = 0; i < this.timeLength; i++) {
+            time = this.alphabet[remaining % 32] + time;
+            remaining = Math.floor(remaining / 32);
+        }
+
+        // 256 is a multiple of 32, so masking keeps every character equally likely
+        const bytes = crypto.getRandomValues(new Uint8Array(this.randomLength));
+        const random = Array.from(bytes, byte => this.alphabet[byte & 31]).join('');
+
+        return this.format(time + random + this.checkCharacter(time + random));
+    },
+
+    /**
+     * Luhn mod 32 check character
+     *
+     * @param {string} body - Base32 characters to protect
+     * @returns {string}
+     */
+    checkCharacter(body) {
+        let sum = 0;
+        let factor = 2;
+
+        for (let i = body.length - 1; i >= 0; i--) {
+            const addend = factor * this.alphabet.indexOf(body[i]);
+            sum += Math.floor(addend / 32) + (addend % 32);
+            factor = factor === 2 ? 1 : 2;
+        }
+
+        return this.alphabet[(32 - (sum % 32)) % 32];
+    },
+
+    /**
+     * @param {string} compact - Time, random and check characters without hyphens
+     * @returns {string} CX-TTTTTTTTTT-RRRRRRRRRRRRC
+     */
+    format(compact) {
+        return `${this.prefix}-${compact.slice(0, this.timeLength)}-${compact.slice(this.timeLength)}`;
+    },
+
+    /**
+     * @param {*} value - Candidate ID
+     * @returns {boolean} True for a well-formed ID with a matching check character
+     */
+    isValid(value) {
+        return typeof value === 'string' && this.normalize(value) === value;
+    },
+
+    /**
+     * Canonical form of a typed or read-out ID
+     *
+     * @param {string} input - e.g. "cx 0hv3k8z9ao-7qf2m4xw8r1tk"
+     * @returns {string|null} Canonical ID, or null if it is not a valid reference
+     */
+    normalize(input) {
+        if (typeof input !== 'string') {
+            return null;
+        }
+
+        let compact = input
+            .toUpperCase()
+            .replace(/[\s-]/g, '')
+            .replace(/O/g, '0')
+            .replace(/[IL]/g, '1');
+
+        const length = this.timeLength + this.randomLength + 1;
+        if (compact.length === this.prefix.length + length && compact.startsWith(this.prefix)) {
+            compact = compact.slice(this.prefix.length);
+        }
+
+        if (compact.length !== length || [...compact].some(char => !this.alphabet.includes(char))) {
+            return null;
+        }
+
+        const body = compact.slice(0, -1);
+        if (this.checkCharacter(body) !== compact.slice(-1)) {
+            return null;
+        }
+
+        return this.format(compact);
+    },
+
+    /**
+     * @param {string} id - Valid reference ID
+     * @returns {Date|null} When the ID was created
+     */
+    timeOf(id) {
+        const canonical = this.normalize(id);
+        if (!canonical) {
+            return null;
+        }
+
+        let time = 0;
+        for (const char of canonical.slice(this.prefix.length + 1, this.prefix.length + 1 + this.timeLength)) {
+            time = time * 32 + this.alphabet.indexOf(char);
+        }
+        return new Date(time);
+    }
+};
@@ -0,0 +1,235 @@
+/**
+ * AI Compute Exchange - Request Signing (browser side)
+ *
+ * Per-request HMAC-SHA256 signatures with short-lived session keys issued
+ * by each edge endpoint (POST <endpoint>/session). Replaces the static
+ * X-CX-Frontend-Signature, which anyone reading this source could forge.
+ *
+ * Canonical forms must match edge/signing.mjs exactly.
+ */
+
+// ============================================================================
+// REQUEST SIGNING
+// ============================================================================
+
+const RequestSigning = {
+    version: 'CX-HMAC-SHA256-V1',
+
+    // Session keys by endpoint: { keyId, key (CryptoKey), expiresAt }
+    sessions: new Map(),
+
+    // Refresh a session key this long before it expires (ms)
+    refreshMargin: 30000,
+
+    /**
+     * @param {ArrayBuffer|Uint8Array} buffer
+     * @returns {string} base64url without padding
+     */
+    toBase64Url(buffer) {
+        let binary = '';
+        for (const byte of new Uint8Array(buffer)) {
+            binary += String.fromCharCode(byte);
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    /**
+     * @param {string} value - base64url string
+     * @returns {Uint8Array}
+     */
+    fromBase64Url(value) {
+        const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    },
+
+    /**
+     * Session endpoint for an edge endpoint (sibling path "session")
+     *
+     * @param {string} endpoint - Lead endpoint URL
+     * @returns {string}
+     */
+    sessionUrl(endpoint) {
+        return new URL('session', endpoint).toString();
+    },
+
+    /**
+     * Get a valid session key for an endpoint, fetching a new one if needed
+     *
+     * @param {string} endpoint - Lead endpoint URL
+     * @param {AbortSignal} signal - Abort signal of the surrounding request
+     * @returns {Promise<object>} { keyId, key, expiresAt }
+     */
+    async getSession(endpoint, signal) {
+        const cached = this.sessions.get(endpoint);
+        if (cached && cached.expiresAt - this.refreshMargin > Date.now()) {
+            return cached;
+        }
+
+        const response = await fetch(this.sessionUrl(endpoint), {
+            method: 'POST',
+            mode: 'cors',
+            credentials: 'omit',
+            cache: 'no-store',
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`Session key HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (!data.keyId || !data.key || !data.expiresAt) {
+            throw new Error('Malformed session key response');
+        }
+
+        const key = await crypto.subtle.importKey(
+            'raw',
+            this.fromBase64Url(data.key),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign', 'verify']
+        );
+
+        // Keep expiry on the local clock so a skewed device still refreshes in time
+        const lifetime = data.serverTime ? data.expiresAt - data.serverTime : data.expiresAt - Date.now();
+        const session = { keyId: data.keyId, key, expiresAt: Date.now() + lifetime };
+        this.sessions.set(endpoint, session);
+        return session;
+    },
+
+    /**
+     * Canonical form body: pairs sorted by name then value, percent-encoded
+     *
+     * @param {URLSearchParams} params - Form body
+     * @returns {string}
+     */
+    canonicalBody(params) {
+        return Array.from(params.entries())
+            .sort(([nameA, valueA], [nameB, valueB]) => {
+                if (nameA !== nameB) {
+                    return nameA < nameB ? -1 : 1;
+                }
+                return valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+            })
+            .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+            .join('&');
+    },
+
+    /**
+     * String that is signed for a request
+     *
+     * @param {object} fields - { origin, requestId, timestamp, body }
+     * @returns {Promise<string>}
+     */
+    async canonicalRequest({ origin, requestId, timestamp, body }) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(this.canonicalBody(body)));
+        const bodyHash = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+        return [this.version, origin, requestId, String(timestamp), bodyHash].join('\n');
+    },
+
+    /**
+     * String that is signed for a response
+     *
+     * @param {object} fields - { requestId, id, success, duplicate, updated }
+     * @returns {string}
+     */
+    canonicalResponse({ requestId, id, success, duplicate, updated }) {
+        return [
+            `${this.version}-RESPONSE`,
+            requestId,
+            id || '',
+            success ? '1' : '0',
+            duplicate ? '1' : '0',
+            updated ? '1' : '0'
+        ].join('\n');
+    },
+
+    /**
+     * Sign a request for an endpoint
+     *
+     * @param {string} endpoint - Lead endpoint URL
+     * @param {object} fields - { origin, requestId, timestamp, body (URLSearchParams) }
+     * @param {AbortSignal} signal - Abort signal of the surrounding request
+     * @returns {Promise<object>} { headers, session }
+     */
+    async sign(endpoint, fields, signal) {
+        const session = await this.getSession(endpoint, signal);
+        const message = new TextEncoder().encode(await this.canonicalRequest(fields));
+        const signature = await crypto.subtle.sign('HMAC', session.key, message);
+
+        return {
+            session,
+            headers: {
+                'X-CX-Key-ID': session.keyId,
+                'X-CX-Signature': this.toBase64Url(signature)
+            }
+        };
+    },
+
+    /**
+     * Sign and send a request, with one retry on a new session key
+     * The edge answers 401 (session_key_expired, invalid_signature) once it
+     * no longer knows the cached key, e.g. after a key rotation or restart.
+     *
+     * @param {string} endpoint - Lead endpoint URL (whose session signs)
+     * @param {object} fields - { origin, requestId, timestamp, body (URLSearchParams) }
+     * @param {Function} send - async function(signatureHeaders) returning the fetch Response
+     * @param {AbortSignal} signal - Abort signal of the surrounding request
+     * @returns {Promise<object>} { response, session }
+     */
+    async fetchSigned(endpoint, fields, send, signal) {
+        let signed = await this.sign(endpoint, fields, signal);
+        let response = await send(signed.headers);
+
+        if (response.status === 401) {
+            this.dropSession(endpoint, signed.session);
+            signed = await this.sign(endpoint, fields, signal);
+            response = await send(signed.headers);
+        }
+
+        return { response, session: signed.session };
+    },
+
+    /**
+     * Forget a session key the edge refused (unless a newer one replaced it already)
+     *
+     * @param {string} endpoint - Lead endpoint URL
+     * @param {object} session - Session that was refused
+     */
+    dropSession(endpoint, session) {
+        if (this.sessions.get(endpoint) === session) {
+            this.sessions.delete(endpoint);
+        }
+    },
+
+    /**
+     * Verify the signature of an edge response
+     *
+     * @param {object} session - Session the request was signed with
+     * @param {string} requestId - X-CX-Request-ID of the request
+     * @param {object} data - Parsed response body ({ success, id, duplicate, updated, signature })
+     * @returns {Promise<boolean>}
+     */
+    async verifyResponse(session, requestId, data) {
+        if (!data || typeof data.signature !== 'string') {
+            return false;
+        }
+
+        let signature;
+        try {
+            signature = this.fromBase64Url(data.signature);
+        } catch (error) {
+            return false;
+        }
+
+        const message = this.canonicalResponse({
+            requestId,
+            id: data.id,
+            success: data.success,
+            duplicate: data.duplicate,
+            updated: data.updated
+        });
+        return crypto.subtle.verify('HMAC', session.key, signature, new TextEncoder().encode(message));
+    }
+};
@@ -0,0 +1,178 @@
+/**
+ * AI Compute Exchange - Input Security
+ *
+ * Sanitization and validation of what visitors type: shared by the portal
+ * (script.js) and the embeddable form (js/cx-lead-form.js), which loads it
+ * from the portal. Messages come from I18n and the email verdict from
+ * EmailPolicy; sanitizeString and validateEmail need neither.
+ */
+
+// ============================================================================
+// SECURITY LAYER: Input Sanitization & Validation
+// ============================================================================
+
+const Security = {
+    // GPU scale options (index.html, js/cx-lead-form.js; GPU_SCALES in edge/lead-handler.mjs)
+    gpuScales: ['testing', 'team', 'department', 'enterprise'],
+
+    /**
+     * Strict email validation using RFC 5322 compliant regex
+     * Rejects invalid formats and overlong addresses; what is accepted per
+     * domain is decided by EmailPolicy (js/email-policy.js)
+     *
+     * @param {string} email - Email to validate
+     * @param {number} maxLength - Longest accepted address
+     * @returns {boolean} True if well-formed
+     */
+    validateEmail(email, maxLength = CONFIG.maxEmailLength) {
+        // Strict RFC 5322 compliant regex (simplified for practical use)
+        const emailRegex = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)+$/;
+
+        // Additional security checks
+        if (!email || typeof email !== 'string') {
+            return false;
+        }
+
+        // Length check (RFC 5321)
+        if (email.length > maxLength) {
+            return false;
+        }
+
+        return emailRegex.test(email);
+    },
+
+    /**
+     * Sanitize string input to prevent XSS and injection attacks
+     *
+     * @param {string} input - Input to sanitize
+     * @param {number} maxLength - Maximum allowed length
+     * @returns {string} Sanitized string
+     */
+    sanitizeString(input, maxLength = CONFIG.maxStringLength) {
+        if (!input || typeof input !== 'string') {
+            return '';
+        }
+
+        // Trim whitespace
+        let sanitized = input.trim();
+
+        // Remove null bytes and other control characters
+        sanitized = sanitized.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
+
+        // Escape HTML entities (prevent XSS)
+        sanitized = sanitized
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#x27;');
+
+        // Enforce length limit
+        if (sanitized.length > maxLength) {
+            sanitized = sanitized.substring(0, maxLength);
+        }
+
+        return sanitized;
+    },
+
+    /**
+     * Check honeypot field for bot detection
+     * Bots will fill this hidden field, humans won't see it (its name
+     * changes on every render, see js/bot-signals.js)
+     *
+     * @param {string} honeypotValue - Value from honeypot field
+     * @returns {boolean} True if bot detected
+     */
+    isBot(honeypotValue) {
+        // If honeypot has any value, it's a bot
+        return honeypotValue && honeypotValue.trim().length > 0;
+    },
+
+    /**
+     * Validate Turnstile token
+     *
+     * @param {string} token - Turnstile token
+     * @returns {boolean} True if token exists and is valid format
+     */
+    validateTurnstileToken(token) {
+        if (!token || typeof token !== 'string') {
+            return false;
+        }
+
+        // Turnstile tokens are typically 200-1000 characters (invisible mode can be longer)
+        const isValidLength = token.length >= 100 && token.length <= 2000;
+        Logger.debug('Token length check:', token.length, 'Valid:', isValidLength);
+
+        // Check if token starts with expected format (0.xxxx)
+        const hasValidPrefix = token.startsWith('0.');
+        Logger.debug('Token prefix check:', hasValidPrefix);
+
+        return isValidLength && hasValidPrefix;
+    },
+
+    /**
+     * Validate one contact field (also used when a field loses focus)
+     *
+     * @param {string} name - Field name
+     * @param {string|null} value - Field value
+     * @returns {string|null} Error message, or null if valid
+     */
+    validateField(name, value) {
+        switch (name) {
+            case 'company':
+                return !value || value.trim().length < 2 ? I18n.t('error.company') : null;
+
+            case 'email': {
+                if (!this.validateEmail(value)) {
+                    return I18n.t('error.email');
+                }
+                const policy = EmailPolicy.evaluate(value);
+                return policy.verdict === 'block' ? policy.message : null;
+            }
+
+            case 'gpu-scale':
+                return this.gpuScales.includes(value) ? null : I18n.t('error.gpuScale');
+
+            case 'consent':
+                return value ? null : I18n.t('error.consent');
+
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Validate all form inputs
+     *
+     * @param {object} formData - Form data to validate
+     * @returns {object} { valid: boolean, errors: { [field]: message }, fields: string[] (form order) }
+     */
+    validateForm(formData) {
+        const errors = {};
+
+        // Check honeypot (silent bot detection)
+        const honeypot = BotSignals.honeypotName();
+        if (this.isBot(formData.get(honeypot))) {
+            Logger.warn('Bot detected via honeypot field');
+            return { valid: false, errors: { [honeypot]: 'Bot detected' }, fields: [honeypot], silent: true };
+        }
+
+        // Contact fields and consent, in form order (sanitized later)
+        for (const name of ['company', 'email', 'gpu-scale', 'consent']) {
+            const message = this.validateField(name, formData.get(name));
+            if (message) {
+                errors[name] = message;
+            }
+        }
+
+        const fields = Object.keys(errors);
+        Logger.debug('Validation result:', fields.length === 0 ? 'VALID' : 'INVALID', fields);
+
+        return {
+            valid: fields.length === 0,
+            errors,
+            fields,
+            silent: false
+        };
+    }
+};
@@ -0,0 +1,590 @@
+/**
+ * AI Compute Exchange - Endpoint Self-Test
+ *
+ * The checks behind diagnostic.html. Every edge endpoint in CONFIG is tested
+ * one layer at a time, so a failure names the layer that broke:
+ *
+ *   reachability  the host answers at all (opaque no-cors request)
+ *   session       POST <endpoint>/session: this origin is allowed and the
+ *                 key response has the expected shape
+ *   cors          a signed POST <endpoint>/ping with the real X-CX-* headers
+ *                 gets through the CORS preflight
+ *   signature     the edge accepts the request signature and signs its answer
+ *   latency       several session probes, compared with the hedge delay
+ *   timeout       probes finish inside CONFIG.requestTimeout and an aborted
+ *                 request is cancelled on time
+ *
+ * The fallback only gets reachability, latency and timeout: it takes
+ * unsigned form posts that need no preflight, and a test post would create
+ * a submission. On top come the configuration itself (ConfigLoader problems
+ * and combinations that cannot work) and the clock skew against the edge's
+ * serverTime. Nothing here creates a lead.
+ *
+ * Each check is { status: 'pass'|'skip'|'warn'|'fail', detail, ...data }.
+ * Must load after js/reference-id.js and js/request-signing.js.
+ */
+
+// ============================================================================
+// SELF-TEST
+// ============================================================================
+
+// Check statuses, least severe first (a skipped layer does not lower "pass")
+const SELF_TEST_STATUSES = ['skip', 'pass', 'warn', 'fail'];
+
+// Hosts where development settings are expected
+const SELF_TEST_LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+const SelfTest = {
+    // Latency probes per endpoint
+    probes: 5,
+
+    // Replay window of the edge (maxClockSkewMs in edge/lead-handler.mjs, ms);
+    // a tenth of it is already worth a warning
+    maxClockSkew: 5 * 60 * 1000,
+
+    // Timeout of the request used to check that aborting works (ms)
+    abortProbeTimeout: 1,
+
+    /**
+     * Run every check
+     *
+     * @param {object} options - { onProgress(report) after each endpoint, extraChecks (merged into report.checks) }
+     * @returns {Promise<object>} Report (JSON-serialisable)
+     */
+    async run({ onProgress = () => {}, extraChecks = {} } = {}) {
+        const startedAt = Date.now();
+        const report = {
+            generatedAt: new Date(startedAt).toISOString(),
+            page: window.location.origin + window.location.pathname,
+            userAgent: navigator.userAgent,
+            status: null,
+            config: this.summarizeConfig(),
+            checks: { config: this.checkConfig(), ...extraChecks },
+            endpoints: []
+        };
+        onProgress(report);
+
+        for (const [node, endpoint] of CONFIG.edgeEndpoints.entries()) {
+            report.endpoints.push(await this.checkEdge(endpoint, node));
+            onProgress(report);
+        }
+
+        if (CONFIG.fallbackEndpoint) {
+            report.endpoints.push(await this.checkFallback(CONFIG.fallbackEndpoint));
+        }
+
+        report.checks.clock = this.checkClock(report.endpoints);
+        report.status = this.worst([
+            ...Object.values(report.checks),
+            ...report.endpoints
+        ].map(check => check.status));
+        report.durationMs = Date.now() - startedAt;
+
+        onProgress(report);
+        return report;
+    },
+
+    /**
+     * @param {string} status - pass | skip | warn | fail
+     * @param {string} detail - What was found, for a person
+     * @param {object} data - Measurements
+     * @returns {object} Check
+     */
+    check(status, detail, data = {}) {
+        return { status, detail, ...data };
+    },
+
+    /**
+     * @param {string[]} statuses - Check statuses
+     * @returns {string} The most severe one ('pass' for none or only skipped)
+     */
+    worst(statuses) {
+        return statuses.reduce((worst, status) => (
+            SELF_TEST_STATUSES.indexOf(status) > SELF_TEST_STATUSES.indexOf(worst) ? status : worst
+        ), 'pass');
+    },
+
+    /**
+     * Settings that matter for delivery (no salts or other secrets)
+     *
+     * @returns {object}
+     */
+    summarizeConfig() {
+        return {
+            edgeEndpoints: CONFIG.edgeEndpoints,
+            fallbackEndpoint: CONFIG.fallbackEndpoint,
+            requestTimeout: CONFIG.requestTimeout,
+            submission: CONFIG.submission,
+            turnstileSiteKey: CONFIG.turnstileSiteKey,
+            turnstile: CONFIG.turnstile,
+            mock: CONFIG.mock,
+            debug: CONFIG.debug
+        };
+    },
+
+    // ------------------------------------------------------------------------
+    // Configuration and clock
+    // ------------------------------------------------------------------------
+
+    /**
+     * @returns {object} Check with problems: [{ status, message }]
+     */
+    checkConfig() {
+        const problems = ConfigLoader.errors.map(message => ({ status: 'warn', message }));
+        const add = (status, message) => problems.push({ status, message });
+        const local = SELF_TEST_LOCAL_HOSTS.includes(window.location.hostname);
+
+        if (CONFIG.edgeEndpoints.length === 0) {
+            add(CONFIG.fallbackEndpoint ? 'warn' : 'fail', CONFIG.fallbackEndpoint
+                ? 'No edge endpoints: every lead goes to the fallback'
+                : 'No endpoints configured: leads cannot be delivered');
+        }
+
+        if (new Set(CONFIG.edgeEndpoints).size !== CONFIG.edgeEndpoints.length) {
+            add('warn', 'edgeEndpoints lists the same endpoint twice');
+        }
+
+        for (const endpoint of [...CONFIG.edgeEndpoints, CONFIG.fallbackEndpoint].filter(Boolean)) {
+            const url = new URL(endpoint);
+            if (url.protocol !== 'https:' && !SELF_TEST_LOCAL_HOSTS.includes(url.hostname)) {
+                add('fail', `${endpoint} is not HTTPS (blocked as mixed content)`);
+            }
+        }
+
+        // submission.deadline against requestTimeout is enforced by ConfigLoader.crossCheck
+        if (CONFIG.submission.hedgeDelay >= CONFIG.requestTimeout) {
+            add('warn', 'submission.hedgeDelay is not below requestTimeout: requests are never hedged');
+        }
+
+        // Cloudflare's test keys (1x..., 2x..., 3x...) pass or fail every visitor
+        if (/^[123]x0{20}/.test(CONFIG.turnstileSiteKey) && !local) {
+            add('fail', 'turnstileSiteKey is a Cloudflare test key');
+        }
+
+        if (CONFIG.privacy.encryptLeads && !CONFIG.privacy.publicKey) {
+            add('fail', 'privacy.encryptLeads is on without privacy.publicKey: every lead is refused');
+        }
+
+        if (CONFIG.mock.enabled) {
+            add(local ? 'warn' : 'fail', 'mock.enabled is on: leads never leave the browser');
+        }
+        if (CONFIG.debug && !local) {
+            add('warn', 'debug is on (verbose console output in production)');
+        }
+
+        const status = this.worst(problems.map(problem => problem.status));
+        return this.check(status, problems.length === 0 ? 'Configuration is valid' : `${problems.length} problem(s)`, { problems });
+    },
+
+    /**
+     * Clock skew from the sample with the shortest round trip
+     *
+     * @param {object[]} endpoints - Endpoint results (with clock samples)
+     * @returns {object} Check
+     */
+    checkClock(endpoints) {
+        const samples = endpoints.flatMap(endpoint => endpoint.clock || []);
+        if (samples.length === 0) {
+            return this.check('skip', 'No edge endpoint reported its time');
+        }
+
+        const best = samples.reduce((a, b) => (b.rttMs < a.rttMs ? b : a));
+        const skewMs = Math.round(best.skewMs);
+        const uncertaintyMs = Math.ceil(best.rttMs / 2);
+        const detail = `This device is ${Math.abs(skewMs)} ms ${skewMs > 0 ? 'behind' : 'ahead of'} the edge (±${uncertaintyMs} ms)`;
+
+        let status = 'pass';
+        if (Math.abs(skewMs) > this.maxClockSkew) {
+            status = 'fail';
+        } else if (Math.abs(skewMs) > this.maxClockSkew / 10) {
+            status = 'warn';
+        }
+
+        return this.check(status, status === 'fail' ? `${detail}: outside the replay window, signed requests are rejected` : detail, {
+            skewMs,
+            uncertaintyMs
+        });
+    },
+
+    // ------------------------------------------------------------------------
+    // Endpoints
+    // ------------------------------------------------------------------------
+
+    /**
+     * @param {string} endpoint - Edge endpoint
+     * @param {number} node - Index in CONFIG.edgeEndpoints (X-Edge-Node)
+     * @returns {Promise<object>} { url, type, node, status, checks, clock }
+     */
+    async checkEdge(endpoint, node) {
+        const checks = {};
+        const clock = [];
+        const result = () => this.endpointResult(endpoint, 'primary', node, checks, clock);
+
+        checks.reachability = await this.checkReachability(endpoint);
+        if (checks.reachability.status === 'fail') {
+            return result();
+        }
+
+        const { check, session } = await this.checkSession(endpoint, clock);
+        checks.session = check;
+        if (session) {
+            Object.assign(checks, await this.checkPing(endpoint, node, session, clock));
+        }
+
+        Object.assign(checks, await this.checkLatency(RequestSigning.sessionUrl(endpoint), { method: 'POST', mode: 'cors' }, clock));
+        return result();
+    },
+
+    /**
+     * @param {string} endpoint - Fallback endpoint
+     * @returns {Promise<object>} Endpoint result
+     */
+    async checkFallback(endpoint) {
+        const checks = {
+            reachability: await this.checkReachability(endpoint),
+            session: this.check('skip', 'Not signed'),
+            cors: this.check('skip', 'Simple form post, no preflight'),
+            signature: this.check('skip', 'Not signed')
+        };
+
+        if (checks.reachability.status !== 'fail') {
+            Object.assign(checks, await this.checkLatency(endpoint, { method: 'GET', mode: 'no-cors' }));
+        }
+
+        return this.endpointResult(endpoint, 'fallback', CONFIG.edgeEndpoints.length, checks, []);
+    },
+
+    /**
+     * @param {string} url - Endpoint
+     * @param {string} type - 'primary' | 'fallback'
+     * @param {number} node - Edge node index
+     * @param {object} checks - Checks run so far (missing layers become 'skip')
+     * @param {object[]} clock - Clock samples: [{ skewMs, rttMs }]
+     * @returns {object}
+     */
+    endpointResult(url, type, node, checks, clock) {
+        const all = {};
+        for (const layer of ['reachability', 'session', 'cors', 'signature', 'latency', 'timeout']) {
+            all[layer] = checks[layer] || this.check('skip', 'Not reached (an earlier layer failed)');
+        }
+
+        return { url, type, node, status: this.worst(Object.values(all).map(check => check.status)), checks: all, clock };
+    },
+
+    /**
+     * @param {string} endpoint - Endpoint URL
+     * @returns {Promise<object>} Check
+     */
+    async checkReachability(endpoint) {
+        try {
+            const { ms } = await this.timedFetch(endpoint, { method: 'GET', mode: 'no-cors' });
+            return this.check('pass', `Host answered in ${ms} ms`, { ms });
+        } catch (error) {
+            return this.check('fail', error.timedOut
+                ? `No answer within requestTimeout (${CONFIG.requestTimeout} ms)`
+                : 'Host unreachable (DNS, TLS or network)');
+        }
+    },
+
+    /**
+     * Fetch a session key and check its shape
+     *
+     * @param {string} endpoint - Edge endpoint
+     * @param {object[]} clock - Clock samples are appended here
+     * @returns {Promise<object>} { check, session ({ keyId, key, expiresAt }) or null }
+     */
+    async checkSession(endpoint, clock) {
+        let probe;
+        try {
+            probe = await this.probeSession(RequestSigning.sessionUrl(endpoint));
+        } catch (error) {
+            return {
+                check: this.check('fail', error.timedOut
+                    ? 'Session request timed out'
+                    : `Blocked by CORS: ${window.location.origin} is probably missing from the edge's ALLOWED_ORIGINS`),
+                session: null
+            };
+        }
+
+        if (!probe.response.ok) {
+            return { check: this.check('fail', `HTTP ${probe.response.status}${await this.errorCode(probe.response)}`), session: null };
+        }
+
+        const data = probe.data;
+        const problem = this.validateSession(data);
+        if (problem) {
+            return { check: this.check('fail', `Malformed session response: ${problem}`), session: null };
+        }
+        if (probe.skewMs !== null) {
+            clock.push({ skewMs: probe.skewMs, rttMs: probe.ms });
+        }
+
+        const key = await crypto.subtle.importKey(
+            'raw',
+            RequestSigning.fromBase64Url(data.key),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign', 'verify']
+        );
+
+        return {
+            check: this.check('pass', `Key issued, valid for ${Math.round((data.expiresAt - data.serverTime) / 1000)} s`, { ms: probe.ms }),
+            session: { keyId: data.keyId, key, expiresAt: data.expiresAt }
+        };
+    },
+
+    /**
+     * @param {object} data - Parsed /session response
+     * @returns {string|null} First problem, or null if the shape is right
+     */
+    validateSession(data) {
+        if (!data || typeof data !== 'object') {
+            return 'not JSON';
+        }
+        if (typeof data.keyId !== 'string' || !data.keyId) {
+            return 'keyId missing';
+        }
+
+        try {
+            if (typeof data.key !== 'string' || RequestSigning.fromBase64Url(data.key).length < 32) {
+                return 'key missing or shorter than 256 bits';
+            }
+        } catch (error) {
+            return 'key is not base64url';
+        }
+
+        if (!Number.isFinite(data.serverTime)) {
+            return 'serverTime missing';
+        }
+        if (!Number.isFinite(data.expiresAt) || data.expiresAt <= data.serverTime) {
+            return 'expiresAt missing or in the past';
+        }
+        return null;
+    },
+
+    /**
+     * Signed ping with the headers a lead carries (preflight, then signatures)
+     *
+     * @param {string} endpoint - Edge endpoint
+     * @param {number} node - X-Edge-Node
+     * @param {object} session - Session key from checkSession
+     * @param {object[]} clock - Clock samples are appended here
+     * @returns {Promise<object>} { cors, signature } checks
+     */
+    async checkPing(endpoint, node, session, clock) {
+        const origin = window.location.origin;
+        const requestId = ReferenceId.generate();
+        const timestamp = Date.now().toString();
+        const body = new URLSearchParams();
+        const message = new TextEncoder().encode(await RequestSigning.canonicalRequest({ origin, requestId, timestamp, body }));
+        const signature = await crypto.subtle.sign('HMAC', session.key, message);
+
+        let response;
+        let sentAt;
+        try {
+            sentAt = Date.now();
+            ({ response } = await this.timedFetch(new URL('ping', endpoint).toString(), {
+                method: 'POST',
+                mode: 'cors',
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'X-CX-Request-ID': requestId,
+                    'Idempotency-Key': requestId,
+                    'X-CX-Timestamp': timestamp,
+                    'X-CX-Origin': origin,
+                    'X-CX-Key-ID': session.keyId,
+                    'X-CX-Signature': RequestSigning.toBase64Url(signature),
+                    'X-Edge-Node': node.toString(),
+                    'Cache-Control': 'no-cache, no-store, must-revalidate'
+                },
+                body
+            }));
+        } catch (error) {
+            return {
+                cors: this.check('fail', error.timedOut
+                    ? 'Signed request timed out'
+                    : 'Preflight rejected: the edge does not allow the X-CX-* headers (ALLOWED_HEADERS)')
+            };
+        }
+        const receivedAt = Date.now();
+
+        const cors = this.check('pass', 'Preflight with the X-CX-* headers accepted');
+        const data = await response.json().catch(() => null);
+
+        if (response.ok) {
+            if (!data || data.success !== true || typeof data.signature !== 'string') {
+                return { cors, signature: this.check('fail', 'Unexpected ping response (no signed success)') };
+            }
+            if (Number.isFinite(data.serverTime)) {
+                clock.push({ skewMs: data.serverTime - (sentAt + receivedAt) / 2, rttMs: receivedAt - sentAt });
+            }
+
+            return {
+                cors,
+                signature: await RequestSigning.verifyResponse(session, requestId, data)
+                    ? this.check('pass', 'Request signature accepted, response signature valid')
+                    : this.check('fail', 'Response signature does not verify (edge/signing.mjs and js/request-signing.js disagree)')
+            };
+        }
+
+        const reasons = {
+            invalid_signature: 'Edge rejected the request signature (edge/signing.mjs and js/request-signing.js disagree)',
+            session_key_expired: 'Edge rejected its own session key (instances with different CX_SIGNING_SECRET?)',
+            timestamp_out_of_range: 'Request timestamp outside the replay window (see clock skew)',
+            origin_mismatch: 'X-CX-Origin does not match the Origin header (proxy rewriting Origin?)'
+        };
+        const code = data?.error;
+
+        // An edge without the /ping route treats the ping as an empty lead:
+        // it got past the signature check, but nothing signed came back
+        if (response.status === 422 && code === 'invalid_email') {
+            return { cors, signature: this.check('warn', 'Request signature accepted; this edge has no /ping route, so the response signature was not checked') };
+        }
+
+        return { cors, signature: this.check('fail', reasons[code] || `HTTP ${response.status}${code ? ` ${code}` : ''}`) };
+    },
+
+    /**
+     * Latency probes, then the timeout layer from the same samples
+     *
+     * @param {string} url - Probe URL
+     * @param {object} init - fetch options (simple requests only: no preflight in the numbers)
+     * @param {object[]} clock - Clock samples are appended here (JSON probes only)
+     * @returns {Promise<object>} { latency, timeout } checks
+     */
+    async checkLatency(url, init, clock = null) {
+        const samples = [];
+        let failures = 0;
+        let timeouts = 0;
+
+        for (let i = 0; i < this.probes; i++) {
+            try {
+                const probe = clock ? await this.probeSession(url) : await this.timedFetch(url, init);
+                if (clock && !probe.response.ok) {
+                    failures++;
+                    continue;
+                }
+                samples.push(probe.ms);
+                if (clock && probe.skewMs !== null) {
+                    clock.push({ skewMs: probe.skewMs, rttMs: probe.ms });
+                }
+            } catch (error) {
+                if (error.timedOut) {
+                    timeouts++;
+                } else {
+                    failures++;
+                }
+            }
+        }
+
+        samples.sort((a, b) => a - b);
+        const stats = {
+            samples,
+            failures,
+            timeouts,
+            medianMs: samples.length ? samples[Math.floor(samples.length / 2)] : null,
+            maxMs: samples.length ? samples[samples.length - 1] : null
+        };
+
+        let latency;
+        if (samples.length === 0) {
+            latency = this.check('fail', `All ${this.probes} probes failed`, stats);
+        } else if (failures > 0 || timeouts > 0) {
+            latency = this.check('warn', `${failures + timeouts} of ${this.probes} probes failed; median ${stats.medianMs} ms`, stats);
+        } else if (stats.medianMs > CONFIG.submission.hedgeDelay) {
+            latency = this.check('warn', `Median ${stats.medianMs} ms is above hedgeDelay (${CONFIG.submission.hedgeDelay} ms): every lead also starts the next endpoint`, stats);
+        } else {
+            latency = this.check('pass', `Median ${stats.medianMs} ms, max ${stats.maxMs} ms over ${this.probes} probes`, stats);
+        }
+
+        return { latency, timeout: await this.checkTimeout(url, init, stats) };
+    },
+
+    /**
+     * @param {string} url - Probe URL
+     * @param {object} init - fetch options
+     * @param {object} stats - Latency stats from checkLatency
+     * @returns {Promise<object>} Check
+     */
+    async checkTimeout(url, init, stats) {
+        // A request that cannot finish in time must be cancelled, not hang
+        let abort;
+        const startedAt = performance.now();
+        try {
+            await this.timedFetch(url, init, this.abortProbeTimeout);
+            abort = 'not exercised (answered within the probe timeout)';
+        } catch (error) {
+            const ms = Math.round(performance.now() - startedAt);
+            abort = error.timedOut ? `aborted after ${ms} ms` : `failed without aborting (${error.message})`;
+        }
+
+        const data = { requestTimeout: CONFIG.requestTimeout, abort };
+        if (stats.timeouts > 0) {
+            return this.check('fail', `${stats.timeouts} of ${this.probes} probes exceeded requestTimeout (${CONFIG.requestTimeout} ms)`, data);
+        }
+        if (stats.maxMs !== null && stats.maxMs > CONFIG.requestTimeout / 2) {
+            return this.check('warn', `Slowest probe (${stats.maxMs} ms) used over half of requestTimeout (${CONFIG.requestTimeout} ms)`, data);
+        }
+        if (abort.startsWith('failed')) {
+            return this.check('warn', `Abort check ${abort}`, data);
+        }
+        return this.check('pass', `Every probe inside requestTimeout (${CONFIG.requestTimeout} ms); abort ${abort}`, data);
+    },
+
+    // ------------------------------------------------------------------------
+    // Requests
+    // ------------------------------------------------------------------------
+
+    /**
+     * fetch with a timeout; errors carry timedOut when the timeout fired
+     *
+     * @param {string} url - URL
+     * @param {object} init - fetch options
+     * @param {number} timeout - Timeout (ms)
+     * @returns {Promise<object>} { response, ms }
+     */
+    async timedFetch(url, init, timeout = CONFIG.requestTimeout) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        const startedAt = performance.now();
+
+        try {
+            const response = await fetch(url, { credentials: 'omit', cache: 'no-store', ...init, signal: controller.signal });
+            return { response, ms: Math.round(performance.now() - startedAt) };
+        } catch (error) {
+            error.timedOut = controller.signal.aborted;
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    },
+
+    /**
+     * One POST to a session URL, with the clock skew it implies
+     *
+     * @param {string} url - Session URL
+     * @returns {Promise<object>} { response, data, ms, skewMs (null without serverTime) }
+     */
+    async probeSession(url) {
+        const sentAt = Date.now();
+        const { response, ms } = await this.timedFetch(url, { method: 'POST', mode: 'cors' });
+        const receivedAt = Date.now();
+        const data = response.ok ? await response.json().catch(() => null) : null;
+
+        return {
+            response,
+            data,
+            ms,
+            skewMs: Number.isFinite(data?.serverTime) ? data.serverTime - (sentAt + receivedAt) / 2 : null
+        };
+    },
+
+    /**
+     * @param {Response} response - Failed response
+     * @returns {Promise<string>} " <error code>" from a { success: false, error } body, or ''
+     */
+    async errorCode(response) {
+        const data = await response.json().catch(() => null);
+        return data?.error ? ` ${data.error}` : '';
+    }
+};
@@ -0,0 +1,182 @@
+/**
+ * AI Compute Exchange - Request Status Client
+ *
+ * Looks up a lead by reference ID and email (POST <endpoint>/status, see
+ * edge/lead-handler.mjs) for status.html and the success screen.
+ *
+ * Endpoints are asked in health order. A lead is stored by whichever
+ * endpoint accepted it, so "not found" only counts once every endpoint that
+ * answered said so.
+ *
+ * Answers are cached in localStorage for CONFIG.status.cacheTtl under a
+ * salted hash of reference + email, so the cache never holds the address.
+ * After a 429 no endpoint is asked again until Retry-After has passed; the
+ * last known answer (if any) is returned with the outcome instead.
+ */
+
+// ============================================================================
+// LEAD STATES
+// ============================================================================
+
+// In order (must match LEAD_STATES in edge/lead-handler.mjs)
+const STATUS_STATES = ['received', 'under_review', 'scheduled', 'provisioned'];
+
+// ============================================================================
+// STATUS CLIENT
+// ============================================================================
+
+const StatusClient = {
+    storageKey: 'cx-status-cache',
+
+    // Cached answers are dropped after this long, fresh or not (ms)
+    maxCacheAge: 7 * 24 * 60 * 60 * 1000,
+
+    // Wait after a 429 without a usable Retry-After (ms)
+    defaultRetryAfter: 60000,
+
+    /**
+     * Look up the status of a lead
+     *
+     * @param {string} reference - Canonical reference ID (ReferenceId.normalize)
+     * @param {string} email - Email the lead was submitted with
+     * @param {object} options - { force: skip a fresh cached answer }
+     * @returns {Promise<object>} { outcome: 'found'|'not_found'|'rate_limited'|'unavailable',
+     *                             result (last known answer or null), fetchedAt, cached, retryAt }
+     */
+    async lookup(reference, email, { force = false } = {}) {
+        const key = await this.cacheKey(reference, email);
+        const cache = this.load();
+        const entry = cache.entries[key] || null;
+        const now = Date.now();
+        const known = { result: entry?.result || null, fetchedAt: entry?.fetchedAt || null, cached: Boolean(entry) };
+
+        if (entry && !force && now - entry.fetchedAt < CONFIG.status.cacheTtl) {
+            return { outcome: 'found', ...known };
+        }
+
+        if (cache.blockedUntil > now) {
+            return { outcome: 'rate_limited', retryAt: cache.blockedUntil, ...known };
+        }
+
+        const body = new URLSearchParams({ reference, email: email.trim() });
+        let notFound = false;
+
+        for (const endpoint of EndpointHealth.rank(CONFIG.edgeEndpoints)) {
+            let response;
+            try {
+                response = await this.send(endpoint, body);
+            } catch (error) {
+                Logger.warn('Status lookup failed:', endpoint, error.message);
+                continue;
+            }
+
+            if (response.ok) {
+                const result = await response.json();
+                cache.entries[key] = { result, fetchedAt: Date.now() };
+                this.save(cache);
+                return { outcome: 'found', result, fetchedAt: cache.entries[key].fetchedAt, cached: false };
+            }
+
+            if (response.status === 429) {
+                const seconds = Number(response.headers.get('Retry-After'));
+                cache.blockedUntil = Date.now() + (seconds > 0 ? seconds * 1000 : this.defaultRetryAfter);
+                this.save(cache);
+                return { outcome: 'rate_limited', retryAt: cache.blockedUntil, ...known };
+            }
+
+            if (response.status === 404) {
+                notFound = true;
+            } else {
+                Logger.warn(`Status lookup: HTTP ${response.status} from`, endpoint);
+            }
+        }
+
+        if (notFound) {
+            delete cache.entries[key];
+            this.save(cache);
+            return { outcome: 'not_found', result: null, fetchedAt: null, cached: false };
+        }
+
+        return { outcome: 'unavailable', ...known };
+    },
+
+    /**
+     * @param {string} endpoint - Lead endpoint URL
+     * @param {URLSearchParams} body - Lookup fields
+     * @returns {Promise<Response>}
+     */
+    async send(endpoint, body) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), CONFIG.requestTimeout);
+
+        try {
+            return await fetch(new URL('status', endpoint).toString(), {
+                method: 'POST',
+                mode: 'cors',
+                credentials: 'omit',
+                cache: 'no-store',
+                body,
+                signal: controller.signal
+            });
+        } finally {
+            clearTimeout(timer);
+        }
+    },
+
+    /**
+     * Drop the cached answer for a lead (after it was deleted)
+     *
+     * @param {string} reference - Canonical reference ID
+     * @param {string} email - Email address
+     */
+    async forget(reference, email) {
+        const key = await this.cacheKey(reference, email);
+        const cache = this.load();
+        delete cache.entries[key];
+        this.save(cache);
+    },
+
+    /**
+     * @param {string} reference - Canonical reference ID
+     * @param {string} email - Email address
+     * @returns {Promise<string>} Hex SHA-256 of reference, email and CONFIG.emailHashSalt
+     */
+    async cacheKey(reference, email) {
+        const data = new TextEncoder().encode(`${reference}:${email.toLowerCase().trim()}${CONFIG.emailHashSalt}`);
+        const hash = await crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(hash), byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    /**
+     * @returns {object} { entries: { [key]: { result, fetchedAt } }, blockedUntil }
+     */
+    load() {
+        let cache;
+        try {
+            cache = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            cache = {};
+        }
+
+        const now = Date.now();
+        const entries = {};
+        for (const [key, entry] of Object.entries(cache.entries || {})) {
+            if (now - entry.fetchedAt < this.maxCacheAge) {
+                entries[key] = entry;
+            }
+        }
+
+        return { entries, blockedUntil: cache.blockedUntil || 0 };
+    },
+
+    /**
+     * @param {object} cache - See load()
+     */
+    save(cache) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(cache));
+        } catch (error) {
+            Logger.warn('Could not cache status lookup:', error.message);
+        }
+    }
+};
@@ -0,0 +1,346 @@
+/**
+ * AI Compute Exchange - Request Status Page
+ *
+ * Drives status.html: the customer enters the reference ID from the success
+ * screen (prefilled from ?ref=) and their email, and sees where the request
+ * is, its queue position and when it last changed. Lookups go through
+ * StatusClient, which caches answers and respects rate limits.
+ *
+ * The same reference ID and email download or delete the stored lead
+ * ("Your data", DataRequestClient); a deletion is confirmed first.
+ */
+
+// ============================================================================
+// STATUS PAGE
+// ============================================================================
+
+const StatusPage = {
+    form: null,
+    reference: null,
+    email: null,
+    message: null,
+    result: null,
+    isLoading: false,
+    isRequesting: false,
+
+    // Last successful lookup input, used by the refresh button
+    lastQuery: null,
+
+    init() {
+        this.form = document.getElementById('status-form');
+        this.reference = document.getElementById('reference');
+        this.email = document.getElementById('status-email');
+        this.message = document.getElementById('status-message');
+        this.result = document.getElementById('status-result');
+
+        const ref = new URLSearchParams(window.location.search).get('ref');
+        if (ref) {
+            this.reference.value = ReferenceId.normalize(ref) || ref;
+            this.email.focus();
+        }
+
+        this.form.addEventListener('submit', event => {
+            event.preventDefault();
+            this.submit();
+        });
+
+        document.getElementById('status-refresh').addEventListener('click', () => {
+            if (this.lastQuery) {
+                this.check(this.lastQuery.reference, this.lastQuery.email, { force: true });
+            }
+        });
+
+        document.getElementById('data-export').addEventListener('click', () => this.requestData('export'));
+        document.getElementById('data-delete').addEventListener('click', () => this.confirmDelete());
+        document.getElementById('data-confirm-delete').addEventListener('click', () => this.requestData('delete'));
+        document.getElementById('data-cancel').addEventListener('click', () => this.showConfirm(false));
+    },
+
+    /**
+     * Validate the form and look the request up
+     */
+    submit() {
+        this.clearMessage();
+
+        const query = this.readQuery();
+        if (query) {
+            this.check(query.reference, query.email);
+        }
+    },
+
+    /**
+     * Reference ID and email from the form (a problem is shown on its field)
+     *
+     * @returns {object|null} { reference, email }, or null if either is invalid
+     */
+    readQuery() {
+        const reference = ReferenceId.normalize(this.reference.value);
+        if (!reference) {
+            this.showMessage(I18n.t('status.error.reference'), this.reference);
+            return null;
+        }
+        this.reference.value = reference;
+
+        if (!this.email.value.trim() || !this.email.checkValidity()) {
+            this.showMessage(I18n.t('error.email'), this.email);
+            return null;
+        }
+
+        return { reference, email: this.email.value.trim() };
+    },
+
+    /**
+     * @param {string} reference - Canonical reference ID
+     * @param {string} email - Email address
+     * @param {object} options - Passed to StatusClient.lookup
+     */
+    async check(reference, email, options = {}) {
+        if (this.isLoading) {
+            return;
+        }
+
+        this.setLoading(true);
+        let lookup;
+        try {
+            lookup = await StatusClient.lookup(reference, email, options);
+        } catch (error) {
+            Logger.error('Status lookup failed:', error.message);
+            lookup = { outcome: 'unavailable', result: null };
+        } finally {
+            this.setLoading(false);
+        }
+
+        this.clearMessage();
+        switch (lookup.outcome) {
+            case 'found':
+                this.lastQuery = { reference, email };
+                this.render(lookup.result, lookup.fetchedAt);
+                return;
+            case 'not_found':
+                this.result.hidden = true;
+                this.showMessage(I18n.t('status.notFound'));
+                return;
+            case 'rate_limited':
+                this.showMessage(I18n.t('status.rateLimited', {
+                    time: I18n.formatDate(lookup.retryAt, { timeStyle: 'short' })
+                }));
+                break;
+            default:
+                this.showMessage(I18n.t('status.unavailable'));
+        }
+
+        // Rate limited or unreachable: the last known answer is better than none
+        if (lookup.result) {
+            this.lastQuery = { reference, email };
+            this.render(lookup.result, lookup.fetchedAt, { stale: true });
+        }
+    },
+
+    /**
+     * Ask before deleting, naming the request that would go
+     */
+    confirmDelete() {
+        this.clearMessage();
+        this.showDataMessage(null);
+
+        const query = this.readQuery();
+        if (query) {
+            document.getElementById('data-confirm-text').textContent = I18n.t('data.confirmDelete', { reference: query.reference });
+            this.showConfirm(true);
+        }
+    },
+
+    /**
+     * @param {boolean} visible - Show the delete confirmation instead of the actions
+     * @param {object} options - { focus: move focus to the buttons now shown }
+     */
+    showConfirm(visible, { focus = true } = {}) {
+        document.getElementById('data-confirm').hidden = !visible;
+        document.getElementById('data-actions').hidden = visible;
+
+        if (focus) {
+            document.getElementById(visible ? 'data-cancel' : 'data-delete').focus();
+        }
+    },
+
+    /**
+     * Export or delete the lead the form points at
+     *
+     * @param {string} action - 'export' | 'delete'
+     */
+    async requestData(action) {
+        if (this.isRequesting) {
+            return;
+        }
+
+        this.clearMessage();
+        this.showDataMessage(null);
+        const query = this.readQuery();
+        if (!query) {
+            this.showConfirm(false, { focus: false });
+            return;
+        }
+
+        this.setRequesting(true);
+        let request;
+        try {
+            request = await DataRequestClient.send(action, query.reference, query.email);
+        } catch (error) {
+            Logger.error('Data request failed:', error.message);
+            request = { outcome: 'unavailable' };
+        } finally {
+            this.setRequesting(false);
+        }
+
+        this.showConfirm(false, { focus: false });
+        switch (request.outcome) {
+            case 'done':
+                if (action === 'export') {
+                    DataRequestClient.download(request.result);
+                    this.showDataMessage(I18n.t('data.exported', { reference: query.reference }));
+                } else {
+                    // Nothing is left to show or refresh
+                    this.lastQuery = null;
+                    this.result.hidden = true;
+                    this.showDataMessage(I18n.t('data.deleted', { reference: query.reference }));
+                }
+                return;
+            case 'partial':
+                this.showDataMessage(I18n.t('data.partial', { reference: query.reference }));
+                return;
+            case 'not_found':
+                this.showDataMessage(I18n.t('status.notFound'));
+                return;
+            case 'rate_limited':
+                this.showDataMessage(I18n.t('status.rateLimited', {
+                    time: I18n.formatDate(request.retryAt, { timeStyle: 'short' })
+                }));
+                return;
+            default:
+                this.showDataMessage(I18n.t('status.unavailable'));
+        }
+    },
+
+    /**
+     * @param {string|null} text - Outcome of a data request, or null to hide it
+     */
+    showDataMessage(text) {
+        const message = document.getElementById('data-message');
+        message.textContent = text || '';
+        message.hidden = !text;
+    },
+
+    /**
+     * @param {boolean} requesting - Data request in progress
+     */
+    setRequesting(requesting) {
+        this.isRequesting = requesting;
+        for (const button of document.querySelectorAll('#your-data button')) {
+            button.disabled = requesting;
+        }
+    },
+
+    /**
+     * Show a lookup result
+     *
+     * @param {object} status - { id, state, queuePosition, receivedAt, updatedAt }
+     * @param {number} fetchedAt - When the edge answered (ms)
+     * @param {object} options - { stale: the answer could not be refreshed }
+     */
+    render(status, fetchedAt, { stale = false } = {}) {
+        const stateIndex = Math.max(0, STATUS_STATES.indexOf(status.state));
+        const state = STATUS_STATES[stateIndex];
+        const heading = document.getElementById('status-state');
+
+        heading.textContent = I18n.t(`status.state.${state}`);
+        document.getElementById('status-description').textContent = I18n.t(`status.description.${state}`);
+
+        for (const step of document.querySelectorAll('#status-steps li')) {
+            const index = STATUS_STATES.indexOf(step.dataset.state);
+            step.classList.toggle('done', index < stateIndex);
+            step.classList.toggle('current', index === stateIndex);
+            if (index === stateIndex) {
+                step.setAttribute('aria-current', 'step');
+            } else {
+                step.removeAttribute('aria-current');
+            }
+        }
+
+        document.getElementById('status-reference').textContent = status.id;
+
+        const queueItem = document.getElementById('status-queue-item');
+        queueItem.hidden = !status.queuePosition;
+        if (status.queuePosition) {
+            document.getElementById('status-queue').textContent = I18n.t('status.queueValue', { position: status.queuePosition });
+        }
+
+        this.setTime(document.getElementById('status-received'), status.receivedAt);
+        this.setTime(document.getElementById('status-updated'), status.updatedAt);
+
+        const checkedAt = I18n.formatDate(fetchedAt);
+        document.getElementById('status-checked').textContent = stale
+            ? I18n.t('status.stale', { time: checkedAt })
+            : I18n.t('status.checkedAt', { time: checkedAt });
+
+        this.result.hidden = false;
+        heading.focus();
+    },
+
+    /**
+     * @param {HTMLTimeElement} element - Target
+     * @param {string} iso - ISO 8601 timestamp from the edge
+     */
+    setTime(element, iso) {
+        const date = new Date(iso);
+        if (Number.isNaN(date.getTime())) {
+            element.removeAttribute('datetime');
+            element.textContent = '-';
+            return;
+        }
+
+        element.dateTime = date.toISOString();
+        element.textContent = I18n.formatDate(date);
+    },
+
+    /**
+     * @param {string} text - Message
+     * @param {HTMLElement} field - Field the message is about (focused and marked invalid)
+     */
+    showMessage(text, field = null) {
+        this.message.textContent = text;
+        this.message.hidden = false;
+
+        if (field) {
+            field.setAttribute('aria-invalid', 'true');
+            field.setAttribute('aria-describedby', this.message.id);
+            field.focus();
+        }
+    },
+
+    clearMessage() {
+        this.message.hidden = true;
+        this.message.textContent = '';
+
+        for (const field of [this.reference, this.email]) {
+            field.removeAttribute('aria-invalid');
+            field.removeAttribute('aria-describedby');
+        }
+    },
+
+    /**
+     * @param {boolean} loading - Lookup in progress
+     */
+    setLoading(loading) {
+        this.isLoading = loading;
+        const button = document.getElementById('status-submit');
+        button.disabled = loading;
+        button.classList.toggle('loading', loading);
+    }
+};
+
+// Wait for the locale so the first result is rendered in the right language
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => I18n.ready.then(() => StatusPage.init()));
+} else {
+    I18n.ready.then(() => StatusPage.init());
+}
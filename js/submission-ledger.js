@@ -0,0 +1,127 @@
+/**
+ * AI Compute Exchange - Submission Ledger
+ *
+ * Remembers, in localStorage, which leads this browser sent: the salted hash
+ * of the email (hashEmail in script.js, never the address itself), the
+ * reference ID, when, and whether an endpoint confirmed it yet. It outlives
+ * reloads, so:
+ *
+ *   - a second lead for the same email within CONFIG.ledger.duplicateWindow
+ *     is offered as an update of the first one instead of a new lead (or,
+ *     while the first is still queued in the outbox, the visitor is told so)
+ *   - at most CONFIG.ledger.maxLeads leads leave this browser per
+ *     CONFIG.ledger.throttleWindow; retries and updates of a lead count once
+ *
+ * Clearing site data resets both; the edge's own limits still apply.
+ */
+
+// ============================================================================
+// SUBMISSION LEDGER
+// ============================================================================
+
+const SubmissionLedger = {
+    storageKey: 'cx-submission-ledger',
+
+    /**
+     * Lead sent for an email within the duplicate window
+     *
+     * @param {string} emailHash - hashEmail(email)
+     * @returns {object|null} { hash, referenceId, sentAt, confirmed }
+     */
+    find(emailHash) {
+        return this.load().leads.find(lead => lead.hash === emailHash) || null;
+    },
+
+    /**
+     * Note a lead as it is handed to the outbox
+     * An update keeps its entry (original time and confirmation); each
+     * reference ID counts once towards the throttle.
+     *
+     * @param {string} emailHash - hashEmail(email)
+     * @param {string} referenceId - Reference ID of the lead
+     */
+    record(emailHash, referenceId) {
+        const ledger = this.load();
+        const now = Date.now();
+
+        if (!ledger.leads.some(lead => lead.hash === emailHash && lead.referenceId === referenceId)) {
+            ledger.leads = ledger.leads.filter(lead => lead.hash !== emailHash);
+            ledger.leads.push({ hash: emailHash, referenceId, sentAt: now, confirmed: false });
+        }
+        if (!ledger.sends.some(send => send.referenceId === referenceId)) {
+            ledger.sends.push({ referenceId, at: now });
+        }
+
+        this.save(ledger);
+    },
+
+    /**
+     * Mark a lead as accepted by an endpoint
+     *
+     * @param {string} referenceId - Reference ID of the lead
+     */
+    confirm(referenceId) {
+        const ledger = this.load();
+        const lead = ledger.leads.find(entry => entry.referenceId === referenceId);
+        if (lead && !lead.confirmed) {
+            lead.confirmed = true;
+            this.save(ledger);
+        }
+    },
+
+    /**
+     * Drop a lead and its send, e.g. once a retry replaced it, the edge
+     * refused it or it was deleted (status.html)
+     *
+     * @param {string} referenceId - Reference ID of the lead
+     */
+    forget(referenceId) {
+        const ledger = this.load();
+        ledger.leads = ledger.leads.filter(lead => lead.referenceId !== referenceId);
+        ledger.sends = ledger.sends.filter(send => send.referenceId !== referenceId);
+        this.save(ledger);
+    },
+
+    /**
+     * @returns {number|null} Time (ms) from which another lead may be sent, or null if it may now
+     */
+    throttledUntil() {
+        const { sends } = this.load();
+        if (sends.length < CONFIG.ledger.maxLeads) {
+            return null;
+        }
+
+        // The oldest send that still counts has to leave the window first
+        return sends[sends.length - CONFIG.ledger.maxLeads].at + CONFIG.ledger.throttleWindow;
+    },
+
+    /**
+     * @returns {object} { leads: [{ hash, referenceId, sentAt, confirmed }], sends: [{ referenceId, at }] }
+     *                   without expired entries
+     */
+    load() {
+        let ledger;
+        try {
+            ledger = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+        } catch (error) {
+            ledger = {};
+        }
+
+        const now = Date.now();
+        return {
+            leads: (ledger.leads || []).filter(lead => now - lead.sentAt < CONFIG.ledger.duplicateWindow),
+            sends: (ledger.sends || []).filter(send => now - send.at < CONFIG.ledger.throttleWindow)
+        };
+    },
+
+    /**
+     * @param {object} ledger - See load()
+     */
+    save(ledger) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(ledger));
+        } catch (error) {
+            Logger.warn('Could not update the submission ledger:', error.message);
+        }
+    }
+};
@@ -0,0 +1,312 @@
+/**
+ * AI Compute Exchange - Telemetry
+ *
+ * Consent-aware funnel analytics:
+ * - Funnel events (form_view → form_start → turnstile_solved → form_submit →
+ *   lead_delivered) are queued and flushed in batches to every configured
+ *   adapter: Plausible, GA4 (gtag) and a generic sendBeacon collector
+ * - Events carry an event name, the page path and a few short enumerated
+ *   properties (field names, error codes, delivery path) - never form values,
+ *   tokens or reference IDs
+ * - Nothing is sent when Do Not Track or Global Privacy Control is on, or
+ *   (with CONFIG.analytics.requireConsent) before the visitor opts in.
+ *   Events recorded before the choice are held in memory and sent or dropped
+ *   once it is made.
+ *
+ * Must load after js/logger.js.
+ */
+
+// ============================================================================
+// ADAPTERS
+// ============================================================================
+
+const TelemetryAdapters = {
+    /**
+     * Plausible Events API (one request per event)
+     *
+     * @param {object} options - { domain, endpoint }
+     * @returns {object} Adapter
+     */
+    plausible({ domain, endpoint }) {
+        return {
+            name: 'plausible',
+            send(events) {
+                for (const event of events) {
+                    // text/plain keeps the request CORS-simple, as Plausible's own script does
+                    fetch(endpoint, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'text/plain' },
+                        body: JSON.stringify({
+                            name: event.name,
+                            url: window.location.origin + event.path,
+                            domain,
+                            referrer: null,
+                            props: event.props
+                        }),
+                        credentials: 'omit',
+                        keepalive: true
+                    }).catch(error => Logger.debug('Plausible event not sent:', error.message));
+                }
+            }
+        };
+    },
+
+    /**
+     * Google Analytics 4 through gtag.js (loaded on first use)
+     *
+     * @param {object} options - { measurementId }
+     * @returns {object} Adapter
+     */
+    ga4({ measurementId }) {
+        let ready = false;
+
+        const load = () => {
+            if (ready) {
+                return;
+            }
+            ready = true;
+
+            window.dataLayer = window.dataLayer || [];
+            if (typeof window.gtag !== 'function') {
+                window.gtag = function gtag() {
+                    window.dataLayer.push(arguments);
+                };
+
+                const script = document.createElement('script');
+                script.async = true;
+                script.src = `https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(measurementId)}`;
+                document.head.appendChild(script);
+            }
+
+            window.gtag('js', new Date());
+            window.gtag('config', measurementId, {
+                send_page_view: false,
+                allow_google_signals: false,
+                allow_ad_personalization_signals: false
+            });
+        };
+
+        return {
+            name: 'ga4',
+            send(events) {
+                load();
+                for (const event of events) {
+                    window.gtag('event', event.name, { ...event.props, page_path: event.path });
+                }
+            }
+        };
+    },
+
+    /**
+     * Generic collector: the whole batch in one sendBeacon (fetch keepalive as fallback)
+     *
+     * @param {object} options - { endpoint }
+     * @returns {object} Adapter
+     */
+    beacon({ endpoint }) {
+        return {
+            name: 'beacon',
+            send(events) {
+                const body = JSON.stringify({ sentAt: new Date().toISOString(), events });
+                const blob = new Blob([body], { type: 'text/plain' });
+
+                if (navigator.sendBeacon && navigator.sendBeacon(endpoint, blob)) {
+                    return;
+                }
+
+                fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'text/plain' },
+                    body,
+                    credentials: 'omit',
+                    keepalive: true
+                }).catch(error => Logger.debug('Telemetry beacon not sent:', error.message));
+            }
+        };
+    }
+};
+
+// ============================================================================
+// TELEMETRY (Privacy-First)
+// ============================================================================
+
+const Telemetry = {
+    // Event counters for this page (kept even when nothing is sent)
+    metrics: {},
+
+    adapters: [],
+    queue: [],
+    flushTimer: null,
+
+    // Events held while consent is undecided are capped
+    maxPending: 50,
+
+    consentKey: 'cx-analytics-consent',
+
+    // Property values must look like identifiers, so free text can never leak
+    propPattern: /^[a-z0-9_.-]{1,40}$/i,
+
+    /**
+     * Set up adapters from CONFIG.analytics and flush triggers
+     */
+    init() {
+        const analytics = CONFIG.analytics;
+
+        if (analytics.plausibleDomain) {
+            this.addAdapter(TelemetryAdapters.plausible({
+                domain: analytics.plausibleDomain,
+                endpoint: analytics.plausibleEndpoint
+            }));
+        }
+        if (analytics.ga4MeasurementId) {
+            this.addAdapter(TelemetryAdapters.ga4({ measurementId: analytics.ga4MeasurementId }));
+        }
+        if (analytics.beaconEndpoint) {
+            this.addAdapter(TelemetryAdapters.beacon({ endpoint: analytics.beaconEndpoint }));
+        }
+
+        // Last chance to deliver the batch before the page goes away
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush();
+            }
+        });
+        window.addEventListener('pagehide', () => this.flush());
+    },
+
+    /**
+     * Register an adapter: { name, send(events) }
+     *
+     * @param {object} adapter - Adapter to add
+     */
+    addAdapter(adapter) {
+        this.adapters.push(adapter);
+    },
+
+    /**
+     * @returns {boolean} True when the browser asks not to be tracked (DNT or GPC)
+     */
+    isOptedOut() {
+        return navigator.doNotTrack === '1' ||
+            window.doNotTrack === '1' ||
+            navigator.globalPrivacyControl === true;
+    },
+
+    /**
+     * @returns {string} 'granted' | 'denied' | 'unset'
+     */
+    getConsent() {
+        if (!CONFIG.analytics.requireConsent) {
+            return 'granted';
+        }
+
+        try {
+            return localStorage.getItem(this.consentKey) || 'unset';
+        } catch (error) {
+            return 'unset';
+        }
+    },
+
+    /**
+     * Record the visitor's choice; held events are sent or dropped accordingly
+     *
+     * @param {boolean} granted - True to allow analytics
+     */
+    setConsent(granted) {
+        try {
+            localStorage.setItem(this.consentKey, granted ? 'granted' : 'denied');
+        } catch (error) {
+            // Storage unavailable: the choice lasts for this page only
+        }
+
+        if (granted) {
+            this.flush();
+        } else {
+            this.queue = [];
+        }
+    },
+
+    /**
+     * @returns {boolean} True when events may leave the page
+     */
+    canSend() {
+        return CONFIG.analytics.enabled &&
+            this.adapters.length > 0 &&
+            !this.isOptedOut() &&
+            this.getConsent() === 'granted';
+    },
+
+    /**
+     * Record a funnel event
+     *
+     * @param {string} name - Event name, e.g. 'validation_error'
+     * @param {object} props - Short enumerated properties, e.g. { field: 'email' }
+     */
+    track(name, props = {}) {
+        this.metrics[name] = (this.metrics[name] || 0) + 1;
+
+        const safeProps = {};
+        for (const [key, value] of Object.entries(props)) {
+            if ((typeof value === 'string' && this.propPattern.test(value)) || Number.isFinite(value)) {
+                safeProps[key] = value;
+            }
+        }
+
+        Logger.debug('Telemetry:', name, safeProps);
+
+        if (!CONFIG.analytics.enabled || this.isOptedOut() || this.getConsent() === 'denied') {
+            return;
+        }
+
+        this.queue.push({
+            name,
+            props: safeProps,
+            path: window.location.pathname,
+            time: Date.now()
+        });
+
+        if (!this.canSend()) {
+            // Consent undecided: hold a bounded number of events
+            this.queue.splice(0, Math.max(0, this.queue.length - this.maxPending));
+            return;
+        }
+
+        if (this.queue.length >= CONFIG.analytics.batchSize) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), CONFIG.analytics.flushInterval);
+        }
+    },
+
+    /**
+     * Send queued events to every adapter
+     */
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        if (this.queue.length === 0 || !this.canSend()) {
+            return;
+        }
+
+        const events = this.queue;
+        this.queue = [];
+
+        for (const adapter of this.adapters) {
+            try {
+                adapter.send(events);
+            } catch (error) {
+                Logger.warn(`Telemetry adapter ${adapter.name} failed:`, error.message);
+            }
+        }
+    },
+
+    /**
+     * @returns {object} Copy of the event counters
+     */
+    getMetrics() {
+        return { ...this.metrics };
+    }
+};
+
+Telemetry.init();
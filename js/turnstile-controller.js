@@ -0,0 +1,379 @@
+/**
+ * AI Compute Exchange - Turnstile Controller
+ *
+ * Owns the Cloudflare Turnstile widget for the lead form:
+ * - Waits for api.js (up to CONFIG.turnstile.loadTimeout) and renders once
+ * - Hands out single-use tokens with take(); each token is spent on one
+ *   submission attempt and the widget is reset for the next one
+ * - Re-challenges when a token expires or an interactive challenge times out
+ * - Re-renders with exponential backoff after an error, then reports a
+ *   friendly message (the operator explanation goes to the log)
+ *
+ * Modes (CONFIG.turnstile.mode):
+ *   render   the challenge runs on page load; submit is enabled once it passes
+ *   execute  the challenge runs when the form is submitted; submit is never
+ *            blocked by a slow challenge
+ */
+
+// ============================================================================
+// ERROR CODES
+// ============================================================================
+
+// First match wins; key is the visitor message (js/i18n.js)
+const TURNSTILE_ERRORS = [
+    {
+        match: /^110200$/,
+        key: 'turnstile.error.domain',
+        explanation: 'Domain not authorized for this site key. Add it under Turnstile → site key → Hostnames in the Cloudflare dashboard (localhost and 127.0.0.1 for development).'
+    },
+    {
+        match: /^110130$/,
+        key: 'turnstile.error.insecure',
+        explanation: 'Not on HTTPS or localhost. Serve the page over HTTPS, or locally with python3 -m http.server 8000 (a port the dev edge allows).'
+    },
+    {
+        match: /^1101[01]0$/,
+        key: 'error.turnstileFailed',
+        explanation: 'Invalid site key. Check turnstileSiteKey in config.js.'
+    },
+    {
+        match: /^timeout$/,
+        key: 'turnstile.error.timeout',
+        explanation: 'No token within CONFIG.turnstile.tokenTimeout.'
+    }
+];
+
+const TURNSTILE_DEFAULT_ERROR = {
+    key: 'error.turnstileFailed',
+    explanation: 'Check the Cloudflare dashboard for the site key and domain configuration.'
+};
+
+// ============================================================================
+// TURNSTILE CONTROLLER
+// ============================================================================
+
+const TurnstileController = {
+    container: null,
+    widgetId: null,
+
+    // Unspent token and when it was issued (tokens are valid for 300s)
+    token: null,
+    tokenIssuedAt: 0,
+    tokenLifetime: 290000,
+
+    // True while the widget is working on a token
+    challenging: false,
+
+    // Error retries since the last token, and the scheduled re-render
+    retries: 0,
+    retryTimer: null,
+
+    // Error code once retries are exhausted (cleared by the next take())
+    failure: null,
+
+    // Pending take() calls: [{ resolve, reject }]
+    waiters: [],
+
+    // Callbacks: onReadyChange(canSubmit), onError(message)
+    onReadyChange: null,
+    onError: null,
+    lastReady: null,
+
+    /**
+     * Render the widget as soon as api.js is available
+     *
+     * @param {HTMLElement} container - Widget container
+     * @param {object} options - { onReadyChange(canSubmit) (submit button state), onError(message) (retries exhausted) }
+     * @returns {Promise<void>} Resolves once the widget is rendered (or failed)
+     */
+    async init(container, { onReadyChange = null, onError = null } = {}) {
+        this.container = container;
+        this.onReadyChange = onReadyChange;
+        this.onError = onError;
+        this.notify();
+
+        try {
+            await this.waitForApi();
+        } catch (error) {
+            Logger.error('Turnstile:', error.message);
+            this.giveUp('api');
+            return;
+        }
+
+        this.render();
+    },
+
+    /**
+     * @returns {'render'|'execute'}
+     */
+    get mode() {
+        return CONFIG.turnstile.mode;
+    },
+
+    /**
+     * Poll for the global turnstile object (api.js is loaded with defer)
+     *
+     * @returns {Promise<void>}
+     */
+    waitForApi() {
+        const started = Date.now();
+
+        return new Promise((resolve, reject) => {
+            const poll = () => {
+                if (typeof turnstile !== 'undefined') {
+                    resolve();
+                } else if (Date.now() - started >= CONFIG.turnstile.loadTimeout) {
+                    reject(new Error(`api.js not loaded after ${CONFIG.turnstile.loadTimeout}ms`));
+                } else {
+                    setTimeout(poll, 100);
+                }
+            };
+            poll();
+        });
+    },
+
+    /**
+     * (Re-)render the widget
+     */
+    render() {
+        if (this.widgetId !== null) {
+            turnstile.remove(this.widgetId);
+            this.widgetId = null;
+        }
+
+        try {
+            this.widgetId = turnstile.render(this.container, {
+                sitekey: CONFIG.turnstileSiteKey,
+                theme: CONFIG.turnstileTheme,
+                language: I18n.turnstileLanguage(),
+                execution: this.mode,
+                'refresh-expired': 'manual',
+                callback: token => this.handleToken(token),
+                'error-callback': code => {
+                    this.handleError(code);
+                    return true; // handled: Turnstile does not throw
+                },
+                'expired-callback': () => this.handleExpired(),
+                'timeout-callback': () => this.handleTimeout()
+            });
+        } catch (error) {
+            Logger.error('Turnstile render failed:', error.message);
+            this.handleError('render');
+            return;
+        }
+
+        Logger.debug(`Turnstile rendered (${this.mode} mode)`);
+        this.challenging = this.mode === 'render';
+        if (this.waiters.length > 0) {
+            this.request();
+        }
+    },
+
+    /**
+     * @param {number} now - Current time (ms)
+     * @returns {boolean} True if an unspent, unexpired token is available
+     */
+    hasFreshToken(now = Date.now()) {
+        return this.token !== null && now - this.tokenIssuedAt < this.tokenLifetime;
+    },
+
+    /**
+     * @returns {boolean} True if the submit button should be enabled
+     */
+    canSubmit() {
+        return this.mode === 'execute' || this.hasFreshToken();
+    },
+
+    /**
+     * Tell the page when canSubmit() changes
+     */
+    notify() {
+        const ready = this.canSubmit();
+        if (ready !== this.lastReady) {
+            this.lastReady = ready;
+            if (this.onReadyChange) {
+                this.onReadyChange(ready);
+            }
+        }
+    },
+
+    /**
+     * Get a token for one submission attempt
+     * Uses the waiting token, or runs a challenge and waits for one. After
+     * exhausted retries, a new take() starts over with a fresh render.
+     *
+     * @returns {Promise<string>} Token (rejects with Error(code), see explain())
+     */
+    take() {
+        if (this.hasFreshToken()) {
+            const token = this.token;
+            this.spend();
+            return Promise.resolve(token);
+        }
+
+        if (this.failure !== null && typeof turnstile === 'undefined') {
+            return Promise.reject(new Error(this.failure));
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                resolve: token => {
+                    clearTimeout(timer);
+                    resolve(token);
+                },
+                reject: error => {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            };
+            const timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(other => other !== waiter);
+
+                // A stuck challenge is dropped so the next take() starts a new one
+                if (this.waiters.length === 0 && this.widgetId !== null) {
+                    turnstile.reset(this.widgetId);
+                    this.challenging = this.mode === 'render';
+                }
+                reject(new Error('timeout'));
+            }, CONFIG.turnstile.tokenTimeout);
+
+            this.waiters.push(waiter);
+
+            if (this.failure !== null) {
+                this.failure = null;
+                this.retries = 0;
+                this.render();
+            } else {
+                this.request();
+            }
+        });
+    },
+
+    /**
+     * Start a challenge unless one is running (or the widget is not rendered yet)
+     */
+    request() {
+        if (this.challenging || this.widgetId === null) {
+            return;
+        }
+
+        this.challenging = true;
+        if (this.mode === 'execute') {
+            turnstile.execute(this.widgetId);
+        } else {
+            turnstile.reset(this.widgetId);
+        }
+    },
+
+    /**
+     * Forget the current token and reset the widget (tokens are single-use)
+     * In render mode the reset starts the next challenge right away.
+     */
+    spend() {
+        this.token = null;
+        this.notify();
+
+        if (this.widgetId === null) {
+            return;
+        }
+
+        turnstile.reset(this.widgetId);
+        this.challenging = this.mode === 'render';
+        if (this.waiters.length > 0) {
+            this.request();
+        }
+    },
+
+    /**
+     * @param {string} token - New token
+     */
+    handleToken(token) {
+        this.challenging = false;
+        this.retries = 0;
+        Telemetry.track('turnstile_solved');
+
+        const waiter = this.waiters.shift();
+        if (waiter) {
+            waiter.resolve(token);
+            this.spend();
+            return;
+        }
+
+        this.token = token;
+        this.tokenIssuedAt = Date.now();
+        this.notify();
+    },
+
+    handleExpired() {
+        Logger.debug('Turnstile token expired, re-challenging');
+        Telemetry.track('turnstile_expired');
+        this.token = null;
+        this.challenging = false;
+        this.notify();
+
+        // Execute mode waits for the next submit
+        if (this.mode === 'render') {
+            this.request();
+        }
+    },
+
+    handleTimeout() {
+        Logger.warn('Turnstile challenge timed out');
+        this.challenging = false;
+
+        if (this.mode === 'render' || this.waiters.length > 0) {
+            this.request();
+        }
+    },
+
+    /**
+     * Retry with backoff, then give up and tell the visitor
+     *
+     * @param {string} code - Turnstile error code (or 'render')
+     */
+    handleError(code) {
+        const { explanation } = this.explain(code);
+        Logger.error(`Turnstile error ${code}: ${explanation}`);
+        Telemetry.track('turnstile_failed', { code: String(code) });
+
+        this.token = null;
+        this.challenging = false;
+        this.notify();
+
+        if (this.retries < CONFIG.turnstile.maxRetries) {
+            const delay = CONFIG.turnstile.retryBaseDelay * Math.pow(2, this.retries);
+            this.retries++;
+            Logger.warn(`Turnstile: re-rendering in ${delay}ms (retry ${this.retries}/${CONFIG.turnstile.maxRetries})`);
+            clearTimeout(this.retryTimer);
+            this.retryTimer = setTimeout(() => this.render(), delay);
+            return;
+        }
+
+        this.giveUp(String(code));
+    },
+
+    /**
+     * Fail every pending take() and show the visitor message
+     *
+     * @param {string} code - Error code
+     */
+    giveUp(code) {
+        this.failure = code;
+
+        for (const waiter of this.waiters.splice(0)) {
+            waiter.reject(new Error(code));
+        }
+
+        if (this.onError) {
+            this.onError(I18n.t(this.explain(code).key));
+        }
+    },
+
+    /**
+     * @param {string} code - Turnstile error code, 'timeout', 'render' or 'api'
+     * @returns {object} { key (visitor message), explanation (for the log) }
+     */
+    explain(code) {
+        return TURNSTILE_ERRORS.find(error => error.match.test(String(code))) || TURNSTILE_DEFAULT_ERROR;
+    }
+};
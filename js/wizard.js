@@ -0,0 +1,407 @@
+/**
+ * AI Compute Exchange - Qualification Wizard
+ *
+ * Step 1 of the form is the lead itself (company, email, GPU scale). The
+ * prospect can submit from there, or continue through optional steps that
+ * tell sales what they need:
+ *
+ *   hardware    GPU model, quantity (GPUs or nodes), interconnect
+ *   deployment  region, start date
+ *   commercial  commitment length, monthly budget band
+ *
+ * Each step is validated when leaving it forward and again on submit. A
+ * step the prospect reached but left untouched (after Next and Back) counts
+ * as skipped: it is not validated on submit and not sent. Only steps the
+ * prospect reached and answered end up in the qualification object, which
+ * script.js sends to the Worker (as JSON) and flattens for Formspree.
+ *
+ * Allowed values must match QUALIFICATION_OPTIONS in edge/lead-handler.mjs.
+ */
+
+// ============================================================================
+// QUALIFICATION OPTIONS
+// ============================================================================
+
+const QUALIFICATION_OPTIONS = {
+    gpuModel: ['h100', 'h200', 'either'],
+    quantityUnit: ['gpus', 'nodes'],
+    interconnect: ['unsure', 'infiniband', 'roce', 'ethernet'],
+    region: ['us-east', 'us-west', 'europe', 'asia-pacific', 'any'],
+    commitment: ['on-demand', '1-month', '3-months', '6-months', '12-months', '24-months-plus'],
+    budget: ['under-10k', '10k-50k', '50k-250k', '250k-plus', 'undisclosed']
+};
+
+// Largest quantity per unit (a request beyond this is a typo, not a lead)
+const QUALIFICATION_MAX_QUANTITY = { gpus: 100000, nodes: 12500 };
+
+// Latest accepted start date, counted from today (days)
+const QUALIFICATION_MAX_START_DAYS = 2 * 365;
+
+// ============================================================================
+// WIZARD
+// ============================================================================
+
+const Wizard = {
+    form: null,
+    steps: [],
+    progress: null,
+    nav: null,
+    current: 0,
+
+    // Highest step index the prospect has reached
+    furthest: 0,
+
+    // Per-step validators: step name → (form) => [{ field, message }]
+    validators: {},
+
+    // Called with the first problem when a step does not validate
+    onError: null,
+
+    /**
+     * Find the steps and wire the navigation buttons
+     *
+     * @param {HTMLFormElement} form - Lead form
+     * @param {object} options - { validators (extra per-step validators), onError(message, field) (shows and focuses the field) }
+     */
+    init(form, { validators = {}, onError = null } = {}) {
+        this.form = form;
+        this.steps = Array.from(form.querySelectorAll('.wizard-step'));
+        this.progress = document.getElementById('wizard-progress');
+        this.nav = document.getElementById('wizard-nav');
+        this.validators = { ...this.builtInValidators, ...validators };
+        this.onError = onError;
+
+        form.addEventListener('click', event => {
+            const button = event.target.closest('[data-wizard]');
+            if (!button) {
+                return;
+            }
+
+            if (button.dataset.wizard === 'next') {
+                this.next();
+            } else if (button.dataset.wizard === 'back') {
+                this.back();
+            }
+        });
+
+        this.show(0, { focus: false });
+    },
+
+    /**
+     * @param {number} index - Step index
+     * @returns {string} Step name (data-step)
+     */
+    stepName(index) {
+        return this.steps[index]?.dataset.step;
+    },
+
+    /**
+     * Show one step and update progress and navigation
+     *
+     * @param {number} index - Step index
+     * @param {object} options - { focus: move focus to the step's first field }
+     */
+    show(index, { focus = true } = {}) {
+        const target = Math.max(0, Math.min(index, this.steps.length - 1));
+        const changed = target !== this.current;
+        this.current = target;
+        this.furthest = Math.max(this.furthest, this.current);
+
+        this.steps.forEach((step, i) => {
+            step.hidden = i !== this.current;
+        });
+
+        const inWizard = this.current > 0;
+        const isLast = this.current === this.steps.length - 1;
+
+        if (this.progress) {
+            this.progress.hidden = !inWizard;
+            this.progress.textContent = I18n.t('wizard.progress', {
+                step: this.current + 1,
+                total: this.steps.length,
+                title: I18n.t(`wizard.step.${this.stepName(this.current)}`)
+            });
+        }
+
+        if (this.nav) {
+            this.nav.hidden = !inWizard;
+            this.nav.querySelector('[data-wizard="next"]').hidden = isLast;
+        }
+
+        if (focus) {
+            this.steps[this.current].querySelector('.input-field')?.focus();
+        }
+
+        if (inWizard && changed) {
+            Telemetry.track('qualification_step', { step: this.stepName(this.current) });
+        }
+    },
+
+    /**
+     * Validate the current step and move forward
+     *
+     * @returns {boolean} True if the step changed
+     */
+    next() {
+        const errors = this.validateStep(this.current);
+        if (errors.length > 0) {
+            this.reportError(errors[0]);
+            return false;
+        }
+
+        this.show(this.current + 1);
+        return true;
+    },
+
+    /**
+     * Move back without validating (the prospect may be going back to fix something)
+     */
+    back() {
+        this.show(this.current - 1);
+    },
+
+    /**
+     * Count the steps holding these fields as reached, so answers the
+     * prospect gave before a reload (js/form-draft.js) are validated and sent
+     *
+     * @param {string[]} names - Field names
+     */
+    markReached(names) {
+        for (const name of names) {
+            const field = this.form.elements.namedItem(name);
+            const index = this.steps.indexOf(field?.closest?.('.wizard-step'));
+            this.furthest = Math.max(this.furthest, index);
+        }
+    },
+
+    /**
+     * @param {number} index - Step index
+     * @returns {object[]} Problems: [{ field, message }]
+     */
+    validateStep(index) {
+        const validator = this.validators[this.stepName(index)];
+        return validator ? validator.call(this, this.form) : [];
+    },
+
+    /**
+     * @param {number} index - Step index
+     * @returns {boolean} True if any field of the step differs from its initial value
+     */
+    isAnswered(index) {
+        const fields = this.steps[index]?.querySelectorAll('.input-field') || [];
+        return Array.from(fields).some(field => {
+            const initial = field instanceof HTMLSelectElement
+                ? (Array.from(field.options).find(option => option.defaultSelected) || field.options[0])?.value ?? ''
+                : field.defaultValue;
+            return field.value !== initial;
+        });
+    },
+
+    /**
+     * Validate every optional step the prospect reached and answered (step 1 is validated by script.js)
+     * Shows the first failing step.
+     *
+     * @returns {object|null} { step, field, message } for the first problem, or null
+     */
+    validate() {
+        for (let index = 1; index <= this.furthest; index++) {
+            if (!this.isAnswered(index)) {
+                continue;
+            }
+
+            const errors = this.validateStep(index);
+            if (errors.length > 0) {
+                this.show(index, { focus: false });
+                return { step: this.stepName(index), ...errors[0] };
+            }
+        }
+        return null;
+    },
+
+    /**
+     * @param {object} error - { field, message }
+     */
+    reportError(error) {
+        Telemetry.track('validation_error', { field: error.field });
+        if (this.onError) {
+            this.onError(error.message, error.field);
+        }
+    },
+
+    /**
+     * @param {string} name - Field name
+     * @returns {number} Index of the step containing the field (0 if none)
+     */
+    stepIndexOf(name) {
+        const field = this.form.elements.namedItem(name);
+        const index = field instanceof HTMLElement ? this.steps.findIndex(step => step.contains(field)) : -1;
+        return Math.max(0, index);
+    },
+
+    /**
+     * Validate a single field with its step's validator (used on blur)
+     *
+     * @param {string} name - Field name
+     * @returns {string|null} Error message for that field, or null (also for an untouched optional step)
+     */
+    validateField(name) {
+        const index = this.stepIndexOf(name);
+        if (index > 0 && !this.isAnswered(index)) {
+            return null;
+        }
+
+        const errors = this.validateStep(index);
+        return errors.find(error => error.field === name)?.message || null;
+    },
+
+    /**
+     * @param {string} name - Field name
+     * @returns {string} Trimmed value
+     */
+    value(name) {
+        const field = this.form.elements.namedItem(name);
+        return field ? String(field.value).trim() : '';
+    },
+
+    /**
+     * Check a qualification object against the options, like parseQualification
+     * in edge/lead-handler.mjs (for payloads a submit hook changed)
+     *
+     * @param {*} qualification - Qualification, or null
+     * @returns {boolean} True if the edge would accept it
+     */
+    isValidQualification(qualification) {
+        if (qualification === null || qualification === undefined) {
+            return true;
+        }
+        if (typeof qualification !== 'object' || Array.isArray(qualification)) {
+            return false;
+        }
+
+        return Object.entries(qualification).every(([key, value]) => {
+            if (key === 'quantity') {
+                return QUALIFICATION_OPTIONS.quantityUnit.includes(value?.unit) &&
+                    Number.isInteger(value.count) && value.count >= 1 && value.count <= QUALIFICATION_MAX_QUANTITY[value.unit];
+            }
+            if (key === 'startDate') {
+                return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+            }
+            return key !== 'quantityUnit' && Object.hasOwn(QUALIFICATION_OPTIONS, key) && QUALIFICATION_OPTIONS[key].includes(value);
+        });
+    },
+
+    builtInValidators: {
+        hardware() {
+            const errors = [];
+
+            if (!QUALIFICATION_OPTIONS.gpuModel.includes(this.value('gpu-model'))) {
+                errors.push({ field: 'gpu-model', message: I18n.t('error.gpuModel') });
+            }
+
+            const unit = this.value('quantity-unit');
+            const quantity = Number(this.value('quantity'));
+            if (!QUALIFICATION_OPTIONS.quantityUnit.includes(unit)) {
+                errors.push({ field: 'quantity-unit', message: I18n.t('error.quantityUnit') });
+            } else if (!/^\d+$/.test(this.value('quantity')) || quantity < 1 || quantity > QUALIFICATION_MAX_QUANTITY[unit]) {
+                errors.push({
+                    field: 'quantity',
+                    message: I18n.t('error.quantity', {
+                        unit: I18n.t(`error.quantity.${unit}`),
+                        max: QUALIFICATION_MAX_QUANTITY[unit]
+                    })
+                });
+            }
+
+            const interconnect = this.value('interconnect');
+            if (interconnect && !QUALIFICATION_OPTIONS.interconnect.includes(interconnect)) {
+                errors.push({ field: 'interconnect', message: I18n.t('error.interconnect') });
+            }
+
+            return errors;
+        },
+
+        deployment() {
+            const errors = [];
+
+            if (!QUALIFICATION_OPTIONS.region.includes(this.value('region'))) {
+                errors.push({ field: 'region', message: I18n.t('error.region') });
+            }
+
+            const startDate = this.value('start-date');
+            if (startDate) {
+                // Compare calendar dates in the prospect's time zone
+                const today = new Date();
+                today.setHours(0, 0, 0, 0);
+                const latest = new Date(today);
+                latest.setDate(latest.getDate() + QUALIFICATION_MAX_START_DAYS);
+                const [year, month, day] = startDate.split('-').map(Number);
+                const date = new Date(year, month - 1, day);
+
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate) || Number.isNaN(date.getTime())) {
+                    errors.push({ field: 'start-date', message: I18n.t('error.startDate') });
+                } else if (date < today || date > latest) {
+                    errors.push({ field: 'start-date', message: I18n.t('error.startDateRange') });
+                }
+            }
+
+            return errors;
+        },
+
+        commercial() {
+            const errors = [];
+
+            if (!QUALIFICATION_OPTIONS.commitment.includes(this.value('commitment'))) {
+                errors.push({ field: 'commitment', message: I18n.t('error.commitment') });
+            }
+            if (!QUALIFICATION_OPTIONS.budget.includes(this.value('budget'))) {
+                errors.push({ field: 'budget', message: I18n.t('error.budget') });
+            }
+
+            return errors;
+        }
+    },
+
+    /**
+     * Structured answers from the steps the prospect reached and answered
+     *
+     * @returns {object|null} Qualification, or null if only step 1 was used
+     */
+    collect() {
+        const reached = name => {
+            const index = this.steps.findIndex(step => step.dataset.step === name);
+            return index <= this.furthest && this.isAnswered(index);
+        };
+        const qualification = {};
+
+        if (reached('hardware')) {
+            qualification.gpuModel = this.value('gpu-model');
+            qualification.quantity = {
+                count: Number(this.value('quantity')),
+                unit: this.value('quantity-unit')
+            };
+            qualification.interconnect = this.value('interconnect') || 'unsure';
+        }
+
+        if (reached('deployment')) {
+            qualification.region = this.value('region');
+            if (this.value('start-date')) {
+                qualification.startDate = this.value('start-date');
+            }
+        }
+
+        if (reached('commercial')) {
+            qualification.commitment = this.value('commitment');
+            qualification.budget = this.value('budget');
+        }
+
+        return Object.keys(qualification).length > 0 ? qualification : null;
+    },
+
+    /**
+     * Back to step 1 with no optional steps reached
+     */
+    reset() {
+        this.furthest = 0;
+        this.show(0, { focus: false });
+    }
+};
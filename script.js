@@ -2,223 +2,17 @@
  * AI Compute Exchange - Zero-Trust Lead Capture System
  * Security-enhanced implementation with:
  * - Cloudflare Turnstile bot defense
- * - Input sanitization with strict regex
- * - Honeypot field detection
- * - Secure Race Pattern with custom headers
+ * - Input sanitization with strict regex (js/security.js)
+ * - Honeypot field detection and behavioural risk scoring
+ * - Hedged submission with endpoint health scoring and per-request HMAC signatures
  * - Debouncing to prevent spam
  * - Strict CORS validation
  *
  * Architecture: Privacy-first with institutional-grade security
  */
 
-// ============================================================================
-// SECURITY CONFIGURATION
-// ============================================================================
-
-const CONFIG = {
-    // Edge endpoints for Race Pattern
-    edgeEndpoints: [
-        'https://compute-exchange-lead-capture.cx-portal.workers.dev/'
-    ],
-
-    // Fallback endpoint (Formspree)
-    fallbackEndpoint: 'https://formspree.io/f/xqakplkw',
-
-    // Request timeout (ms)
-    requestTimeout: 5000,
-
-    // Optimistic UI delay (ms)
-    optimisticDelay: 40,
-
-    // Email hash salt (rotate periodically in production)
-    emailHashSalt: 'ai-compute-exchange-2025-salt-v1',
-
-    // Security: Frontend signature for backend validation
-    frontendSignature: 'CX-FE-2025-V1',
-
-    // Security: Debounce delay (ms) to prevent double-tap spam
-    debounceDelay: 1000,
-
-    // Security: Max email length (prevent DoS)
-    maxEmailLength: 254,
-
-    // Security: Max string length (prevent buffer overflow)
-    maxStringLength: 100
-};
-
-// ============================================================================
-// SECURITY LAYER: Input Sanitization & Validation
-// ============================================================================
-
-const Security = {
-    /**
-     * Strict email validation using RFC 5322 compliant regex
-     * Rejects invalid formats, obvious typos, and suspicious patterns
-     *
-     * @param {string} email - Email to validate
-     * @returns {boolean} True if valid
-     */
-    validateEmail(email) {
-        // Strict RFC 5322 compliant regex (simplified for practical use)
-        const emailRegex = /^[a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)+$/;
-
-        // Additional security checks
-        if (!email || typeof email !== 'string') {
-            return false;
-        }
-
-        // Length check (RFC 5321)
-        if (email.length > CONFIG.maxEmailLength) {
-            return false;
-        }
-
-        // Regex validation
-        if (!emailRegex.test(email)) {
-            return false;
-        }
-
-        const domain = email.split('@')[1]?.toLowerCase();
-
-        // Block common temporary email domains
-        const blockedDomains = ['tempmail.com', 'throwaway.com', 'guerrillamail.com'];
-        if (blockedDomains.some(blocked => domain?.endsWith(blocked))) {
-            return false;
-        }
-
-        // Allow whitelisted domains (for testing/development)
-        const whitelistedDomains = ['lb-labs.com', 'bdtec.ai', 'gmail.com', 'outlook.com'];
-        if (whitelistedDomains.some(allowed => domain?.endsWith(allowed))) {
-            return true;
-        }
-
-        // For production, require business domains (not generic email providers)
-        // Comment this out to allow all valid email addresses
-        const genericDomains = ['gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'aol.com'];
-        if (genericDomains.some(generic => domain?.endsWith(generic))) {
-            // Allow generic domains for now, but you can restrict later
-            // return false;
-        }
-
-        return true;
-    },
-
-    /**
-     * Sanitize string input to prevent XSS and injection attacks
-     *
-     * @param {string} input - Input to sanitize
-     * @param {number} maxLength - Maximum allowed length
-     * @returns {string} Sanitized string
-     */
-    sanitizeString(input, maxLength = CONFIG.maxStringLength) {
-        if (!input || typeof input !== 'string') {
-            return '';
-        }
-
-        // Trim whitespace
-        let sanitized = input.trim();
-
-        // Remove null bytes and other control characters
-        sanitized = sanitized.replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, '');
-
-        // Escape HTML entities (prevent XSS)
-        sanitized = sanitized
-            .replace(/&/g, '&amp;')
-            .replace(/</g, '&lt;')
-            .replace(/>/g, '&gt;')
-            .replace(/"/g, '&quot;')
-            .replace(/'/g, '&#x27;');
-
-        // Enforce length limit
-        if (sanitized.length > maxLength) {
-            sanitized = sanitized.substring(0, maxLength);
-        }
-
-        return sanitized;
-    },
-
-    /**
-     * Check honeypot field for bot detection
-     * Bots will fill this hidden field, humans won't see it
-     *
-     * @param {string} honeypotValue - Value from honeypot field
-     * @returns {boolean} True if bot detected
-     */
-    isBot(honeypotValue) {
-        // If honeypot has any value, it's a bot
-        return honeypotValue && honeypotValue.trim().length > 0;
-    },
-
-    /**
-     * Validate Turnstile token
-     *
-     * @param {string} token - Turnstile token
-     * @returns {boolean} True if token exists and is valid format
-     */
-    validateTurnstileToken(token) {
-        if (!token || typeof token !== 'string') {
-            return false;
-        }
-
-        // Turnstile tokens are typically 200-1000 characters (invisible mode can be longer)
-        const isValidLength = token.length >= 100 && token.length <= 2000;
-        console.log('Token length check:', token.length, 'Valid:', isValidLength);
-
-        // Check if token starts with expected format (0.xxxx)
-        const hasValidPrefix = token.startsWith('0.');
-        console.log('Token prefix check:', hasValidPrefix);
-
-        return isValidLength && hasValidPrefix;
-    },
-
-    /**
-     * Validate all form inputs
-     *
-     * @param {object} formData - Form data to validate
-     * @returns {object} { valid: boolean, errors: string[] }
-     */
-    validateForm(formData) {
-        const errors = [];
-
-        // Check honeypot (silent bot detection)
-        if (this.isBot(formData.get('website-url'))) {
-            console.warn('Bot detected via honeypot field');
-            return { valid: false, errors: ['Bot detected'], silent: true };
-        }
-
-        // Validate email
-        const email = formData.get('email');
-        console.debug('Validating email:', email);
-        if (!this.validateEmail(email)) {
-            console.error('Email validation failed for:', email);
-            errors.push('Invalid email address');
-        }
-
-        // Validate company (required, sanitized)
-        const company = formData.get('company');
-        console.debug('Validating company:', company);
-        if (!company || company.trim().length < 2) {
-            errors.push('Company name is required');
-        }
-
-        // Validate Turnstile token
-        console.debug('Validating Turnstile token:', window.turnstileToken ? `Present (${window.turnstileToken.length} chars)` : 'MISSING');
-        console.debug('Token validation check:', this.validateTurnstileToken(window.turnstileToken));
-        if (!this.validateTurnstileToken(window.turnstileToken)) {
-            console.error('Turnstile token validation failed');
-            console.error('Token value:', window.turnstileToken);
-            console.error('Token length:', window.turnstileToken?.length);
-            errors.push('Please complete the security verification');
-        }
-
-        console.debug('Validation result:', errors.length === 0 ? 'VALID' : 'INVALID', errors);
-
-        return {
-            valid: errors.length === 0,
-            errors,
-            silent: errors.length === 1 && errors[0] === 'Bot detected'
-        };
-    }
-};
+// Configuration: the global CONFIG is built and validated by js/config-loader.js
+// Input sanitization and validation: the global Security from js/security.js
 
 // ============================================================================
 // DEBOUNCE UTILITY
@@ -274,163 +68,430 @@ async function hashEmail(email) {
     return hashHex;
 }
 
+// ============================================================================
+// HEDGED SUBMISSION
+// ============================================================================
+
 /**
- * Generate unique reference ID
+ * Wait for a delay
  *
- * @returns {string} Unique reference ID
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
  */
-function generateReferenceId() {
-    const timestamp = Date.now().toString(36);
-    const randomStr = Math.random().toString(36).substring(2, 9);
-    return `req_${timestamp}_${randomStr}`;
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// ============================================================================
-// SECURE RACE PATTERN IMPLEMENTATION
-// ============================================================================
-
 /**
- * Submit lead data using Race Pattern with security headers
- * Primary: Cloudflare Worker (high-performance path)
- * Fallback: Formspree (redundancy path)
+ * Send a lead to one endpoint with security headers
+ * Primary (Cloudflare Worker): signed form post, signed JSON response
+ * Fallback (Formspree): plain form post with Formspree field names
  *
+ * @param {string} endpoint - Endpoint URL
  * @param {object} payload - Lead data payload
- * @returns {Promise<object>} First successful response
+ * @param {object} options - { isFallback, edgeNode, signal }
+ * @returns {Promise<object>} { data, requestId }
  */
-async function racePatternSubmit(payload) {
-    const requestId = generateReferenceId();
-
-    // Create security headers for backend validation
-    const securityHeaders = {
-        'X-CX-Frontend-Signature': CONFIG.frontendSignature,
-        'X-CX-Request-ID': requestId,
-        'X-CX-Timestamp': Date.now().toString(),
-        'X-CX-Origin': window.location.origin
-    };
+async function sendToEndpoint(endpoint, payload, { isFallback, edgeNode, signal }) {
+    let body, headers, signedFields, session;
+
+    // The lead's reference ID is the request ID on every attempt, so any
+    // endpoint can recognise a retry of a lead it already stored
+    const requestId = payload.referenceId;
+
+    if (isFallback && payload.sealed) {
+        // Privacy mode: Formspree only ever holds ciphertext (scripts/decrypt-leads.mjs opens it)
+        body = new URLSearchParams({
+            reference_id: payload.referenceId,
+            sealed: payload.sealed,
+            ...consentFields(payload.consent),
+            ...riskFields(payload.security?.risk),
+            ...attributionFields(payload.attribution),
+            ...(payload.update ? { update: 'yes' } : {}),
+            _subject: `${payload.update ? 'Updated' : 'New'} Lead: ${payload.referenceId}`
+        });
+        headers = {
+            'Content-Type': 'application/x-www-form-urlencoded'
+        };
+    } else if (isFallback) {
+        // Formspree fallback (qualification flattened into readable fields)
+        body = new URLSearchParams({
+            company: payload.company,
+            email: payload.email, // Clear email now
+            gpu_scale: payload.gpuScale,
+            ...qualificationFields(payload.qualification),
+            ...consentFields(payload.consent),
+            ...riskFields(payload.security?.risk),
+            ...attributionFields(payload.attribution),
+            reference_id: payload.referenceId,
+            ...(payload.update ? { update: 'yes' } : {}),
+            _subject: `${payload.update ? 'Updated' : 'New'} Lead: ${payload.company}`
+        });
+        headers = {
+            'Content-Type': 'application/x-www-form-urlencoded'
+        };
+    } else {
+        // Primary Worker - send clear email + company + gpu scale (or their envelope in privacy mode)
+        body = new URLSearchParams(payload.sealed ? {
+            sealed: payload.sealed,
+            'cf-turnstile-response': payload.turnstileToken
+        } : {
+            email: payload.email,
+            company: payload.company,
+            gpuScale: payload.gpuScale,
+            'cf-turnstile-response': payload.turnstileToken
+        });
 
-    // Create array of promises for all endpoints (primary + fallback)
-    const allEndpoints = [...CONFIG.edgeEndpoints, CONFIG.fallbackEndpoint];
+        // Qualification wizard answers travel as one JSON field (covered by the signature)
+        if (payload.qualification) {
+            body.set('qualification', JSON.stringify(payload.qualification));
+        }
 
-    const requests = allEndpoints.map(async (endpoint, index) => {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), CONFIG.requestTimeout);
+        // Consent stays in clear in privacy mode: it is the record, not contact data
+        if (payload.consent) {
+            body.set('consentVersion', payload.consent.version);
+            body.set('consentAt', payload.consent.acceptedAt);
+            body.set('consentLocale', payload.consent.locale);
+        }
+
+        // Risk vector (also in clear): counts and flags, no contact data
+        if (payload.security?.risk) {
+            body.set('risk', JSON.stringify(payload.security.risk));
+        }
+
+        // First and last marketing touch (also in clear): campaign tags, no contact data
+        if (payload.attribution) {
+            body.set('attribution', JSON.stringify(payload.attribution));
+        }
+
+        // Replace the details of the lead stored under this reference ID (same email only)
+        if (payload.update) {
+            body.set('update', '1');
+        }
+
+        // HMAC over body + request ID + timestamp + origin with this edge's session key
+        const origin = window.location.origin;
+        const timestamp = Date.now().toString();
+        signedFields = { origin, requestId, timestamp, body };
+
+        headers = {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'X-CX-Request-ID': requestId,
+            'Idempotency-Key': requestId,
+            'X-CX-Timestamp': timestamp,
+            'X-CX-Origin': origin,
+            'X-Edge-Node': edgeNode.toString(),
+            'Cache-Control': 'no-cache, no-store, must-revalidate'
+        };
+    }
+
+    const post = signatureHeaders => fetch(endpoint, {
+        method: 'POST',
+        mode: 'cors', // Explicit CORS mode
+        headers: { ...headers, ...signatureHeaders },
+        body,
+        signal,
+        credentials: 'omit' // Don't send cookies for security
+    });
+
+    let response;
+    if (isFallback) {
+        response = await post({});
+    } else {
+        // A key the edge no longer knows is replaced once (js/request-signing.js)
+        ({ response, session } = await RequestSigning.fetchSigned(endpoint, signedFields, post, signal));
+    }
+
+    if (!response.ok) {
+        // The edge names what it refused ({ success: false, error })
+        const code = isFallback ? null : (await response.json().catch(() => null))?.error;
+        const error = new Error(code ? `HTTP ${response.status} ${code}` : `HTTP ${response.status}`);
+        error.status = response.status;
+        error.code = code || null;
+        throw error;
+    }
 
+    // Parse response based on endpoint type
+    let data;
+    if (isFallback) {
+        // Formspree returns simple OK
+        data = { ok: true };
+    } else {
+        // Worker returns JSON with { success: true, id: "..." }
+        const responseText = await response.text();
         try {
-            // For fallback (Formspree), use form-encoded data with different field names
-            // For primary Worker, use form-encoded data with Turnstile token
-            const isFallback = index === CONFIG.edgeEndpoints.length;
-
-            let body, headers;
-
-            if (isFallback) {
-                // Formspree fallback
-                body = new URLSearchParams({
-                    company: payload.company,
-                    email: payload.email, // Clear email now
-                    gpu_scale: payload.gpuScale,
-                    reference_id: payload.referenceId,
-                    _subject: `New Lead: ${payload.company}`
-                });
-                headers = {
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                };
-            } else {
-                // Primary Worker - send clear email + company + gpu scale
-                body = new URLSearchParams({
-                    email: payload.email,
-                    company: payload.company,
-                    gpuScale: payload.gpuScale,
-                    'cf-turnstile-response': payload.turnstileToken
-                });
-                headers = {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                    ...securityHeaders,
-                    'X-Edge-Node': index.toString(),
-                    'Cache-Control': 'no-cache, no-store, must-revalidate'
-                };
-            }
+            data = responseText ? JSON.parse(responseText) : { ok: true };
+        } catch (e) {
+            data = { ok: true, raw: responseText };
+        }
+    }
 
-            const response = await fetch(endpoint, {
-                method: 'POST',
-                mode: 'cors', // Explicit CORS mode
-                headers,
-                body,
-                signal: controller.signal,
-                credentials: 'omit' // Don't send cookies for security
-            });
+    // Verify the edge signed this response with our session key
+    if (!isFallback && !await RequestSigning.verifyResponse(session, requestId, data)) {
+        throw new Error('Invalid response signature');
+    }
 
-            clearTimeout(timeoutId);
+    return { data, requestId };
+}
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
+/**
+ * A refusal another endpoint or round would only repeat: the edge is up and
+ * rejected this lead or its token (4xx). Timeouts (408) and rate limits (429)
+ * pass with time; network errors and 5xx are failures of the endpoint.
+ *
+ * @param {Error} error - Error from sendToEndpoint
+ * @returns {boolean} True if the submission should end with this error
+ */
+function isPermanentFailure(error) {
+    return error.status >= 400 && error.status < 500 && error.status !== 408 && error.status !== 429;
+}
 
-            // Parse response based on endpoint type
-            let data;
-            if (isFallback) {
-                // Formspree returns simple OK
-                data = { ok: true };
-            } else {
-                // Worker returns JSON with { success: true, id: "..." }
-                const responseText = await response.text();
-                try {
-                    data = responseText ? JSON.parse(responseText) : { ok: true };
-                } catch (e) {
-                    data = { ok: true, raw: responseText };
-                }
-            }
+/**
+ * Flatten a qualification object into Formspree fields
+ *
+ * @param {object|null} qualification - Wizard answers (see js/wizard.js)
+ * @returns {object} Field map (empty without a qualification)
+ */
+function qualificationFields(qualification) {
+    if (!qualification) {
+        return {};
+    }
 
-            // Verify response signature (if implemented)
-            if (!isFallback && data.signature && data.signature !== CONFIG.frontendSignature) {
-                throw new Error('Invalid response signature');
-            }
+    const fields = {
+        gpu_model: qualification.gpuModel,
+        quantity: qualification.quantity && `${qualification.quantity.count} ${qualification.quantity.unit}`,
+        interconnect: qualification.interconnect,
+        region: qualification.region,
+        start_date: qualification.startDate,
+        commitment: qualification.commitment,
+        budget: qualification.budget
+    };
 
-            return {
-                success: true,
-                endpoint: index,
-                endpointType: isFallback ? 'fallback' : 'primary',
-                data,
-                requestId
-            };
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value));
+}
 
-        } catch (error) {
-            clearTimeout(timeoutId);
+/**
+ * Formspree fields for a consent record
+ *
+ * @param {object|undefined} consent - { version, acceptedAt, locale } (missing on leads queued before consent existed)
+ * @returns {object} Field map
+ */
+function consentFields(consent) {
+    if (!consent) {
+        return {};
+    }
+
+    return {
+        consent_version: consent.version,
+        consent_at: consent.acceptedAt,
+        consent_locale: consent.locale
+    };
+}
 
-            // Log error without revealing endpoint details (security)
-            console.debug(`Request ${index} (${index === CONFIG.edgeEndpoints.length ? 'fallback' : 'primary'}) failed:`, error.message);
+/**
+ * Formspree fields for a bot risk vector
+ *
+ * @param {object|undefined} risk - BotSignals.assess() (missing on leads queued before it existed)
+ * @returns {object} Field map
+ */
+function riskFields(risk) {
+    if (!risk) {
+        return {};
+    }
 
-            return {
-                success: false,
-                endpoint: index,
-                error: error.message,
-                requestId
-            };
+    return {
+        risk_score: String(risk.score),
+        risk_flags: risk.flags.join(' ') || 'none'
+    };
+}
+
+/**
+ * Formspree fields for first and last touch attribution
+ * (first_utm_source, first_referrer, ..., last_utm_source, ...)
+ *
+ * @param {object|null|undefined} attribution - Attribution.collect() (missing on leads queued before it existed)
+ * @returns {object} Field map
+ */
+function attributionFields(attribution) {
+    const fields = {};
+
+    for (const [prefix, touch] of [['first', attribution?.first], ['last', attribution?.last]]) {
+        if (!touch) {
+            continue;
+        }
+
+        for (const [name, value] of Object.entries(touch.params)) {
+            fields[`${prefix}_${name}`] = value;
         }
+        fields[`${prefix}_referrer`] = touch.referrer || 'direct';
+        fields[`${prefix}_landing_path`] = touch.landingPath;
+        fields[`${prefix}_touch_at`] = touch.at;
+    }
+
+    return fields;
+}
+
+/**
+ * One hedged round over the primaries: start with the healthiest endpoint and
+ * start the next one when the current one fails or after CONFIG.submission.hedgeDelay.
+ * The first verified response wins and the other requests are cancelled.
+ *
+ * @param {string[]} endpoints - Primary endpoints, healthiest first
+ * @param {object} payload - Lead data payload
+ * @param {number} deadline - Time (ms) by which the round must be over
+ * @returns {Promise<object>} racePatternSubmit result
+ */
+function hedgedRound(endpoints, payload, deadline) {
+    return new Promise((resolve, reject) => {
+        const controllers = new Set();
+        let next = 0;
+        let pending = 0;
+        let settled = false;
+        let hedgeTimer = null;
+
+        // A refused Turnstile token, held back while another request may still store the lead
+        let refusal = null;
+
+        const finish = () => {
+            settled = true;
+            clearTimeout(hedgeTimer);
+            for (const controller of controllers) {
+                controller.abort();
+            }
+        };
+
+        const launch = () => {
+            if (settled || next >= endpoints.length) {
+                return;
+            }
+
+            const endpoint = endpoints[next++];
+            const edgeNode = CONFIG.edgeEndpoints.indexOf(endpoint);
+            const controller = new AbortController();
+            const timeout = Math.max(0, Math.min(CONFIG.requestTimeout, deadline - Date.now()));
+            const timeoutId = setTimeout(() => controller.abort(), timeout);
+            const startedAt = performance.now();
+
+            controllers.add(controller);
+            pending++;
+
+            // Hedge: don't wait for a slow endpoint longer than hedgeDelay
+            clearTimeout(hedgeTimer);
+            hedgeTimer = setTimeout(launch, CONFIG.submission.hedgeDelay);
+
+            sendToEndpoint(endpoint, payload, { isFallback: false, edgeNode, signal: controller.signal })
+                .then(({ data, requestId }) => {
+                    EndpointHealth.recordSuccess(endpoint, Math.round(performance.now() - startedAt));
+                    if (!settled) {
+                        finish();
+                        resolve({ success: true, endpoint: edgeNode, endpointType: 'primary', data, requestId });
+                    }
+                })
+                .catch(error => {
+                    // Requests cancelled because another endpoint won are not failures,
+                    // but they were at least this slow
+                    if (settled) {
+                        EndpointHealth.recordLatency(endpoint, Math.round(performance.now() - startedAt));
+                        return;
+                    }
+
+                    // Log error without revealing endpoint details (security)
+                    Logger.debug(`Request ${edgeNode} (primary) failed:`, error.message);
+
+                    // The token is shared by every request of the lead: while an earlier
+                    // one is still in flight, it may be the one storing the lead
+                    if (error.code === 'turnstile_failed' && pending > 1) {
+                        EndpointHealth.recordLatency(endpoint, Math.round(performance.now() - startedAt));
+                        refusal = error;
+                        return;
+                    }
+
+                    // Not the endpoint's fault, and every other endpoint would answer the same
+                    if (isPermanentFailure(error)) {
+                        EndpointHealth.recordLatency(endpoint, Math.round(performance.now() - startedAt));
+                        finish();
+                        reject(error);
+                        return;
+                    }
+
+                    EndpointHealth.recordFailure(endpoint);
+
+                    if (next < endpoints.length) {
+                        launch();
+                    } else if (pending === 1) {
+                        finish();
+                        reject(refusal || new Error('All primary endpoints failed'));
+                    }
+                })
+                .finally(() => {
+                    clearTimeout(timeoutId);
+                    controllers.delete(controller);
+                    pending--;
+                });
+        };
+
+        launch();
     });
+}
+
+/**
+ * Submit lead data with hedged requests under one overall deadline
+ * Primary: Cloudflare Workers, healthiest first, retried with backoff + jitter
+ * Fallback: Formspree, only after every primary attempt failed
+ * A lead an edge refuses (isPermanentFailure) ends the submission with that error.
+ *
+ * @param {object} payload - Lead data payload
+ * @returns {Promise<object>} First successful response
+ */
+async function racePatternSubmit(payload) {
+    const settings = CONFIG.submission;
+    const deadline = Date.now() + settings.deadline;
+
+    // Keep the last requestTimeout of the deadline for the fallback
+    const primaryDeadline = CONFIG.fallbackEndpoint ? deadline - CONFIG.requestTimeout : deadline;
 
-    // Wait for ALL requests to complete (redundancy)
-    const results = await Promise.allSettled(requests);
+    for (let round = 0; round <= settings.maxRetries; round++) {
+        try {
+            return await hedgedRound(EndpointHealth.rank(CONFIG.edgeEndpoints), payload, primaryDeadline);
+        } catch (error) {
+            if (isPermanentFailure(error)) {
+                // Neither another round nor the fallback should get a lead the edge refused
+                throw error;
+            }
+            Logger.debug(`Primary round ${round + 1} failed:`, error.message);
+        }
 
-    // Find first successful result (prefer primary over fallback)
-    const primarySuccess = results.find((result, idx) =>
-        result.status === 'fulfilled' &&
-        result.value.success &&
-        idx < CONFIG.edgeEndpoints.length
-    );
+        // Exponential backoff with "equal jitter": half fixed, half random
+        const backoff = Math.min(settings.retryMaxDelay, settings.retryBaseDelay * 2 ** round);
+        const delay = backoff / 2 + Math.random() * backoff / 2;
 
-    if (primarySuccess) {
-        return primarySuccess.value;
+        if (round === settings.maxRetries || Date.now() + delay >= primaryDeadline) {
+            break;
+        }
+        await wait(delay);
     }
 
-    // Fall back to fallback endpoint
-    const fallbackSuccess = results.find((result, idx) =>
-        result.status === 'fulfilled' &&
-        result.value.success &&
-        idx === CONFIG.edgeEndpoints.length
-    );
+    if (CONFIG.fallbackEndpoint) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), Math.max(0, deadline - Date.now()));
 
-    if (fallbackSuccess) {
-        return fallbackSuccess.value;
+        try {
+            const { data, requestId } = await sendToEndpoint(CONFIG.fallbackEndpoint, payload, {
+                isFallback: true,
+                signal: controller.signal
+            });
+            return {
+                success: true,
+                endpoint: CONFIG.edgeEndpoints.length,
+                endpointType: 'fallback',
+                data,
+                requestId
+            };
+        } catch (error) {
+            Logger.debug('Fallback request failed:', error.message);
+        } finally {
+            clearTimeout(timeoutId);
+        }
     }
 
     // If all failed, return error without revealing which endpoints failed
@@ -444,10 +505,66 @@ async function racePatternSubmit(payload) {
 const UI = {
     form: document.getElementById('lead-form'),
     successState: document.getElementById('success-state'),
+    successTitle: document.getElementById('success-title'),
+    announcer: document.getElementById('form-announcer'),
+    successMessage: document.getElementById('success-message'),
+    retryBtn: document.getElementById('retry-btn'),
+    statusLink: document.getElementById('status-link'),
     submitBtn: document.getElementById('submit-btn'),
     refIdDisplay: document.getElementById('ref-id'),
+    duplicateNotice: document.getElementById('duplicate-notice'),
+    draftNotice: document.getElementById('draft-notice'),
     isSubmitting: false,
 
+    // Submission state machine: idle → submitting → confirmed | failed (→ idle on retry)
+    submissionState: 'idle',
+    submissionRef: null,
+    submittedValues: null,
+    submissionIsUpdate: false,
+
+    // The edge refused the failed lead (isPermanentFailure): it is not retried in the background
+    submissionRefused: false,
+
+    // Reference ID the visitor chose to update from the "already on the waitlist" notice
+    updateOf: null,
+
+    // Last time the visitor typed in or focused the form (page load to start with), and
+    // the timer of an outbox replay that waits for them (replayOutbox)
+    lastActivityAt: 0,
+    replayTimer: null,
+
+    // Failed lead that "Try again" replaces; it stays queued until the new one is
+    retryOf: null,
+
+    // When the consent box was ticked (ms), or null while it is not
+    consentAt: null,
+
+    // Panel copy per state (message keys) - the panel never claims success before delivery
+    stateCopy: {
+        submitting: {
+            title: 'state.submitting.title',
+            message: 'state.submitting.message'
+        },
+        confirmed: {
+            title: 'state.confirmed.title',
+            message: 'state.confirmed.message'
+        },
+        failed: {
+            title: 'state.failed.title',
+            message: 'state.failed.message'
+        },
+        // "confirmed" for an update of an earlier lead
+        updated: {
+            title: 'state.updated.title',
+            message: 'state.updated.message'
+        },
+        // "failed" for a lead the edge refused
+        refused: {
+            title: 'state.refused.title',
+            message: 'state.refused.message'
+        }
+    },
+
     /**
      * Show loading state
      */
@@ -462,110 +579,469 @@ const UI = {
      */
     hideLoading() {
         this.submitBtn.classList.remove('loading');
-        this.submitBtn.disabled = !window.turnstileToken; // Keep disabled if no Turnstile token
+        this.submitBtn.disabled = !TurnstileController.canSubmit(); // Render mode: wait for a token
         this.isSubmitting = false;
     },
 
     /**
-     * Show success state (OPTIMISTIC - <50ms)
+     * Enter the "submitting" state and remember the form values for a retry
+     * The panel itself is revealed by showSuccess after CONFIG.optimisticDelay
+     *
+     * @param {string} referenceId - Client reference ID
+     * @param {boolean} isUpdate - True when it updates an earlier lead
+     */
+    beginSubmission(referenceId, isUpdate = false) {
+        this.submissionState = 'submitting';
+        this.submissionRef = referenceId;
+        this.submissionIsUpdate = isUpdate;
+        this.submittedValues = Array.from(new FormData(this.form).entries());
+        this.setLoading();
+    },
+
+    /**
+     * Show the submission panel in its current state (OPTIMISTIC - <50ms)
      *
      * @param {string} referenceId - Submission reference ID
      */
     showSuccess(referenceId) {
-        console.log('showSuccess called with referenceId:', referenceId, 'Type:', typeof referenceId);
+        Logger.debug('showSuccess called with referenceId:', referenceId, 'Type:', typeof referenceId);
         this.form.style.display = 'none';
         this.successState.classList.add('active');
 
         // Defensive: Ensure referenceId is valid before setting
         if (referenceId && typeof referenceId === 'string' && referenceId !== 'NaN') {
             this.refIdDisplay.textContent = referenceId;
-            console.log('✓ Reference ID set to:', referenceId);
+            Logger.debug('✓ Reference ID set to:', referenceId);
         } else {
-            console.error('✗ Invalid referenceId passed to showSuccess:', referenceId);
-            this.refIdDisplay.textContent = 'Processing...';
+            Logger.error('✗ Invalid referenceId passed to showSuccess:', referenceId);
+            this.refIdDisplay.textContent = I18n.t('success.processing');
+        }
+
+        this.renderSubmissionState();
+    },
+
+    /**
+     * Apply the copy and controls for the current submission state
+     */
+    renderSubmissionState() {
+        const updated = this.submissionState === 'confirmed' && this.submissionIsUpdate;
+        const refused = this.submissionState === 'failed' && this.submissionRefused;
+        const copy = this.stateCopy[updated ? 'updated' : refused ? 'refused' : this.submissionState];
+        if (!copy) {
+            return;
         }
 
+        this.successState.dataset.state = this.submissionState;
+        this.successTitle.textContent = I18n.t(copy.title);
+        this.successMessage.textContent = I18n.t(copy.message);
+        this.retryBtn.hidden = this.submissionState !== 'failed';
+        this.statusLink.hidden = this.submissionState !== 'confirmed';
+
+        // The form (and the focused button) just disappeared: move focus to the
+        // heading, which reads out the message through aria-describedby
+        this.successTitle.focus();
+    },
+
+    /**
+     * Move to "confirmed" once an endpoint accepted the lead
+     * The reference shown is the one the edge stored the lead under, so
+     * support can look it up as the customer reads it out.
+     */
+    confirmSubmission() {
+        this.submissionState = 'confirmed';
+        this.hideLoading();
+        this.showSubmittedAt(new Date());
+        this.showSuccess(this.submissionRef);
         this.updateQueuePosition();
     },
 
     /**
-     * Show error message
+     * Show when the lead was confirmed, in the visitor's locale and time zone
      *
-     * @param {string} message - Error message
-     * @param {boolean} silent - If true, don't show error to user (bot detection)
+     * @param {Date} date - Confirmation time
      */
-    showError(message, silent = false) {
-        // Silent failure for bots (don't reveal bot detection)
-        if (silent) {
-            console.warn('Silent rejection:', message);
+    showSubmittedAt(date) {
+        const submittedAt = document.getElementById('submitted-at');
+        if (!submittedAt) {
             return;
         }
 
-        // Remove existing error
-        const existingError = this.form.querySelector('.error-message');
-        if (existingError) {
-            existingError.remove();
-        }
+        submittedAt.dateTime = date.toISOString();
+        submittedAt.textContent = I18n.formatDate(date);
+        document.getElementById('submitted-at-item').hidden = false;
+    },
 
-        // Create error element
-        const errorEl = document.createElement('div');
-        errorEl.className = 'error-message';
-        errorEl.textContent = message;
-        errorEl.style.cssText = `
-            color: #ef4444;
-            font-size: 0.875rem;
-            margin-top: 0.5rem;
-            padding: 0.75rem;
-            background: rgba(239, 68, 68, 0.1);
-            border: 1px solid rgba(239, 68, 68, 0.2);
-            border-radius: 6px;
-        `;
-
-        this.submitBtn.parentNode.insertBefore(errorEl, this.submitBtn);
-
-        // Auto-remove after 5 seconds
-        setTimeout(() => errorEl.remove(), 5000);
+    /**
+     * Move to "failed" when every endpoint rejected the lead
+     *
+     * @param {boolean} refused - True if the edge refused it (nothing is retried in the background)
+     */
+    failSubmission(refused = false) {
+        this.submissionState = 'failed';
+        this.submissionRefused = refused;
+        this.hideLoading();
+        this.showSuccess(this.submissionRef);
     },
 
     /**
-     * Update queue position display
+     * Leave the "failed" state: bring the form back with the submitted values
      */
-    updateQueuePosition() {
-        // Use ID selector to be more specific and avoid selecting wrong element
-        const queuePosition = document.querySelector('.confirmation-details .detail-item:last-child .detail-value');
-        if (queuePosition) {
-            const currentText = queuePosition.textContent.replace('#', '').trim();
-            const currentPosition = parseInt(currentText);
-            console.log('Current queue position:', currentPosition);
-
-            if (!isNaN(currentPosition)) {
-                queuePosition.textContent = `#${currentPosition + 1}`;
-                console.log('✓ Queue position updated to:', currentPosition + 1);
-            } else {
-                console.warn('⚠️ Could not parse queue position from:', currentText);
-            }
-        } else {
-            console.warn('⚠️ Queue position element not found');
+    retrySubmission() {
+        if (this.submissionState !== 'failed') {
+            return;
         }
-    }
-};
 
-// ============================================================================
-// FORM HANDLER (Secure & Debounced)
-// ============================================================================
+        this.submissionState = 'idle';
+        this.successState.classList.remove('active');
+        delete this.successState.dataset.state;
+        this.form.style.display = '';
 
-/**
- * Handle form submission with security validation and Race Pattern
- */
-async function handleFormSubmit(event) {
-    event.preventDefault();
+        for (const [name, value] of this.submittedValues || []) {
+            const field = this.form.elements.namedItem(name);
+            if (field && typeof value === 'string') {
+                field.value = value;
+            }
+        }
+
+        const firstInput = this.form.querySelector('.input-field');
+        if (firstInput) {
+            firstInput.focus();
+        }
+    },
+
+    /**
+     * Back to an empty form in the "idle" state (CX.reset, "Clear form")
+     * A lead still queued in the outbox is replayed regardless; a saved draft is dropped.
+     */
+    resetSubmission() {
+        this.submissionState = 'idle';
+        this.submissionRef = null;
+        this.submittedValues = null;
+        this.submissionIsUpdate = false;
+        this.submissionRefused = false;
+        this.retryOf = null;
+        this.hideDuplicate();
+        this.successState.classList.remove('active');
+        delete this.successState.dataset.state;
+        document.getElementById('submitted-at-item').hidden = true;
+        document.getElementById('queue-position-item').hidden = true;
+
+        this.form.reset();
+        FormDraft.clear();
+        this.draftNotice.hidden = true;
+        this.consentAt = null;
+        this.form.style.display = '';
+        this.clearErrors();
+        this.clearFieldHint('email');
+        Wizard.reset();
+        BotSignals.reset();
+    },
+
+    /**
+     * Announce a message to screen readers through the polite live region
+     *
+     * @param {string} message - Text to announce
+     */
+    announce(message) {
+        // Clear first so the same message twice is announced twice
+        this.announcer.textContent = '';
+        setTimeout(() => {
+            this.announcer.textContent = message;
+        }, 50);
+    },
+
+    /**
+     * Show a form-level error (not tied to one field)
+     *
+     * @param {string} message - Error message
+     * @param {boolean} silent - If true, don't show error to user (bot detection)
+     */
+    showError(message, silent = false) {
+        // Silent failure for bots (don't reveal bot detection)
+        if (silent) {
+            Logger.warn('Silent rejection:', message);
+            return;
+        }
+
+        this.renderFormError(message);
+        this.announce(message);
+    },
+
+    /**
+     * Render the form-level error above the submit button (stays until the next attempt)
+     *
+     * @param {string} message - Error message
+     */
+    renderFormError(message) {
+        let errorEl = this.form.querySelector('.error-message');
+        if (!errorEl) {
+            errorEl = document.createElement('div');
+            errorEl.className = 'error-message';
+            errorEl.id = 'form-error';
+            this.submitBtn.parentNode.insertBefore(errorEl, this.submitBtn);
+        }
+        errorEl.textContent = message;
+    },
+
+    /**
+     * Show an inline error under a field and link it with aria-describedby
+     *
+     * @param {string} name - Field name
+     * @param {string} message - Error message
+     * @returns {boolean} False if there is no such field (e.g. Turnstile)
+     */
+    setFieldError(name, message) {
+        const field = this.form.elements.namedItem(name);
+        const group = field instanceof HTMLElement ? field.closest('.input-group') : null;
+        if (!group) {
+            return false;
+        }
+
+        const errorId = `${name}-error`;
+        let errorEl = document.getElementById(errorId);
+        if (!errorEl) {
+            errorEl = document.createElement('p');
+            errorEl.className = 'field-error';
+            errorEl.id = errorId;
+            group.appendChild(errorEl);
+        }
+        errorEl.textContent = message;
+
+        this.addDescription(field, errorId);
+        field.setAttribute('aria-invalid', 'true');
+        return true;
+    },
+
+    /**
+     * Remove a field's inline error
+     *
+     * @param {string} name - Field name
+     */
+    clearFieldError(name) {
+        const field = this.form.elements.namedItem(name);
+        const errorId = `${name}-error`;
+        document.getElementById(errorId)?.remove();
+
+        if (field instanceof HTMLElement) {
+            field.removeAttribute('aria-invalid');
+            this.removeDescription(field, errorId);
+        }
+    },
+
+    /**
+     * Show a non-blocking hint under a field, e.g. a typo suggestion
+     *
+     * @param {string} name - Field name
+     * @param {string} message - Hint text
+     * @param {object|null} action - { label, onClick } for an optional button after the text
+     */
+    setFieldHint(name, message, action = null) {
+        this.clearFieldHint(name);
+
+        const field = this.form.elements.namedItem(name);
+        const group = field instanceof HTMLElement ? field.closest('.input-group') : null;
+        if (!group) {
+            return;
+        }
+
+        const hintEl = document.createElement('p');
+        hintEl.className = 'field-hint';
+        hintEl.id = `${name}-hint`;
+        hintEl.textContent = message;
+
+        if (action) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'field-hint-action';
+            button.textContent = action.label;
+            button.addEventListener('click', action.onClick);
+            hintEl.append(' ', button);
+        }
+
+        group.appendChild(hintEl);
+        this.addDescription(field, hintEl.id);
+    },
+
+    /**
+     * @param {string} name - Field name
+     */
+    clearFieldHint(name) {
+        const field = this.form.elements.namedItem(name);
+        document.getElementById(`${name}-hint`)?.remove();
+
+        if (field instanceof HTMLElement) {
+            this.removeDescription(field, `${name}-hint`);
+        }
+    },
+
+    /**
+     * @param {HTMLElement} field - Form field
+     * @param {string} id - ID of an element describing it
+     */
+    addDescription(field, id) {
+        const describedBy = new Set((field.getAttribute('aria-describedby') || '').split(' ').filter(Boolean));
+        describedBy.add(id);
+        field.setAttribute('aria-describedby', Array.from(describedBy).join(' '));
+    },
+
+    /**
+     * @param {HTMLElement} field - Form field
+     * @param {string} id - ID to drop from aria-describedby
+     */
+    removeDescription(field, id) {
+        const describedBy = (field.getAttribute('aria-describedby') || '').split(' ').filter(other => other && other !== id);
+        if (describedBy.length > 0) {
+            field.setAttribute('aria-describedby', describedBy.join(' '));
+        } else {
+            field.removeAttribute('aria-describedby');
+        }
+    },
+
+    /**
+     * Remove the form-level error
+     */
+    clearFormError() {
+        this.form.querySelector('.error-message')?.remove();
+    },
+
+    /**
+     * Remove every inline and form-level error
+     */
+    clearErrors() {
+        this.clearFormError();
+        for (const field of this.form.querySelectorAll('[aria-invalid="true"]')) {
+            this.clearFieldError(field.name);
+        }
+    },
+
+    /**
+     * "You're already on the waitlist": the original reference, a link to its
+     * status and the offer to update it instead of sending a second lead.
+     * A lead no endpoint confirmed yet is still queued in the outbox: the
+     * notice says so, without the status link.
+     *
+     * @param {object} previous - SubmissionLedger entry { referenceId, sentAt, confirmed }
+     */
+    showDuplicate(previous) {
+        const keys = previous.confirmed
+            ? { title: 'duplicate.title', message: 'duplicate.message' }
+            : { title: 'duplicate.queuedTitle', message: 'duplicate.queuedMessage' };
+        const title = I18n.t(keys.title);
+        const message = I18n.t(keys.message, {
+            date: I18n.formatDate(previous.sentAt, { dateStyle: 'medium' }),
+            reference: previous.referenceId
+        });
+
+        const titleEl = this.duplicateNotice.querySelector('.duplicate-title');
+        titleEl.dataset.i18n = keys.title;
+        titleEl.textContent = title;
+        document.getElementById('duplicate-message').textContent = message;
+        document.getElementById('duplicate-status').href = `status.html?ref=${encodeURIComponent(previous.referenceId)}`;
+        document.getElementById('duplicate-status').hidden = !previous.confirmed;
+        this.duplicateNotice.dataset.reference = previous.referenceId;
+        this.duplicateNotice.hidden = false;
+        this.announce(`${title}. ${message}`);
+        document.getElementById('duplicate-update').focus();
+    },
+
+    /**
+     * Hide the notice and forget a chosen update
+     */
+    hideDuplicate() {
+        this.duplicateNotice.hidden = true;
+        delete this.duplicateNotice.dataset.reference;
+        this.updateOf = null;
+    },
+
+    /**
+     * Show validation errors: inline per field, one announcement, focus on the first invalid field
+     *
+     * @param {object} errors - { [field]: message } in form order
+     */
+    showFieldErrors(errors) {
+        this.clearErrors();
+
+        const names = Object.keys(errors);
+        let firstField = null;
+
+        for (const name of names) {
+            if (this.setFieldError(name, errors[name])) {
+                firstField = firstField || name;
+            } else {
+                // Errors without a field of their own (Turnstile) go above the button
+                this.renderFormError(errors[name]);
+            }
+        }
+
+        const messages = names.map(name => errors[name]);
+        this.announce(messages.length === 1
+            ? messages[0]
+            : `${I18n.t('error.summary', { count: messages.length })} ${messages.join('. ')}`);
+
+        if (firstField) {
+            // The field may be on a wizard step that is not shown
+            Wizard.show(Wizard.stepIndexOf(firstField), { focus: false });
+            this.form.elements.namedItem(firstField).focus();
+        }
+    },
+
+    /**
+     * Link the confirmed lead to status.html and show its queue position
+     * The position comes from the edge that stored the lead; leads only
+     * Formspree received are not found there and show no position.
+     */
+    async updateQueuePosition() {
+        const reference = this.submissionRef;
+        this.statusLink.href = `status.html?ref=${encodeURIComponent(reference)}`;
+
+        const item = document.getElementById('queue-position-item');
+        item.hidden = true;
+        if (!CONFIG.features.showQueuePosition) {
+            return;
+        }
+
+        const email = new Map(this.submittedValues || []).get('email');
+        if (!email) {
+            return;
+        }
+
+        try {
+            const { outcome, result } = await StatusClient.lookup(reference, email);
+            if (outcome === 'found' && result.queuePosition && reference === this.submissionRef) {
+                document.getElementById('queue-position').textContent = I18n.t('status.queueValue', { position: result.queuePosition });
+                item.hidden = false;
+            }
+        } catch (error) {
+            Logger.warn('Could not look up queue position:', error.message);
+        }
+    }
+};
+
+// ============================================================================
+// FORM HANDLER (Secure & Debounced)
+// ============================================================================
+
+/**
+ * Handle form submission with security validation and hedged delivery
+ *
+ * @returns {Promise<object>} { outcome: 'busy'|'rejected'|'invalid'|'duplicate'|'throttled'|'turnstile'|'vetoed'|
+ *                             'delivered'|'failed', referenceId, endpointType } (for CX.submit; for 'duplicate'
+ *                             the reference of the earlier lead)
+ */
+async function handleFormSubmit(event) {
+    event.preventDefault();
 
     // Prevent double-submit (already submitting)
     if (UI.isSubmitting) {
-        console.warn('Form already submitting');
-        return;
+        Logger.warn('Form already submitting');
+        return { outcome: 'busy', referenceId: UI.submissionRef, endpointType: null };
     }
 
+    // One reference ID for this lead across all retries, endpoints and host events
+    // (an update takes over the reference of the lead it updates)
+    let referenceId = ReferenceId.generate();
+    const outcome = (name, endpointType = null) => ({ outcome: name, referenceId, endpointType });
+
     // Get form data
     const formData = new FormData(event.target);
 
@@ -574,15 +1050,87 @@ async function handleFormSubmit(event) {
 
     if (!validation.valid) {
         if (validation.silent) {
-            // Silent rejection for bots
-            console.warn('Bot silently rejected');
-            return;
+            // Silent rejection for bots (the host page is not told either)
+            Logger.warn('Bot silently rejected');
+            Telemetry.track('bot_rejected', { reason: 'honeypot' });
+            return outcome('rejected');
         }
 
-        UI.showError(validation.errors[0]);
-        return;
+        for (const field of validation.fields) {
+            Telemetry.track('validation_error', { field });
+        }
+
+        UI.showFieldErrors(validation.errors);
+        HostEvents.emit('validate', { referenceId, valid: false, fields: validation.fields });
+        return outcome('invalid');
+    }
+
+    // Optional qualification steps the prospect reached
+    const wizardError = Wizard.validate();
+    if (wizardError) {
+        Wizard.reportError(wizardError);
+        HostEvents.emit('validate', { referenceId, valid: false, fields: [wizardError.field] });
+        return outcome('invalid');
+    }
+
+    // SECURITY: how the form was filled (js/bot-signals.js); too risky is as silent as the honeypot
+    const risk = BotSignals.assess();
+    if (risk.score > CONFIG.botDefense.riskThreshold) {
+        Logger.warn('Bot silently rejected, risk score', risk.score, risk.flags);
+        Telemetry.track('bot_rejected', { reason: 'risk' });
+        return outcome('rejected');
     }
 
+    // REPEATS: leads this browser already sent, reloads included (js/submission-ledger.js)
+    const emailHash = await hashEmail(formData.get('email'));
+    const previous = SubmissionLedger.find(emailHash);
+    const isUpdate = Boolean(previous) && UI.updateOf === previous.referenceId;
+    const isRetry = Boolean(previous) && UI.retryOf === previous.referenceId;
+    if (previous && !isUpdate && !isRetry) {
+        UI.clearErrors();
+        UI.showDuplicate(previous);
+        Telemetry.track('duplicate_detected');
+        return { outcome: 'duplicate', referenceId: previous.referenceId, endpointType: null };
+    }
+
+    // Retries and updates were counted with the lead they replace
+    const throttledUntil = isUpdate || isRetry ? null : SubmissionLedger.throttledUntil();
+    if (throttledUntil) {
+        UI.showError(I18n.t('error.throttled', { time: I18n.formatDate(throttledUntil, { timeStyle: 'short' }) }));
+        Telemetry.track('lead_throttled');
+        return outcome('throttled');
+    }
+
+    if (isUpdate) {
+        referenceId = previous.referenceId;
+    }
+
+    UI.clearErrors();
+    HostEvents.emit('validate', { referenceId, valid: true, fields: [] });
+
+    // SECURITY: a fresh single-use Turnstile token for this attempt
+    // (execute mode runs the challenge now, behind the loading button)
+    UI.setLoading();
+    let turnstileToken;
+    try {
+        turnstileToken = await TurnstileController.take();
+    } catch (error) {
+        UI.hideLoading();
+        Telemetry.track('validation_error', { field: 'turnstile' });
+        HostEvents.emit('turnstile', { referenceId, success: false, error: error.message });
+        UI.showError(I18n.t(TurnstileController.explain(error.message).key));
+        return outcome('turnstile');
+    }
+    if (!Security.validateTurnstileToken(turnstileToken)) {
+        Logger.error('Turnstile token validation failed, length:', turnstileToken?.length);
+        UI.hideLoading();
+        Telemetry.track('validation_error', { field: 'turnstile' });
+        HostEvents.emit('turnstile', { referenceId, success: false, error: 'invalid_token' });
+        UI.showError(I18n.t('error.turnstile'));
+        return outcome('turnstile');
+    }
+    HostEvents.emit('turnstile', { referenceId, success: true });
+
     // Sanitize inputs
     const sanitizedData = {
         company: Security.sanitizeString(formData.get('company'), 100),
@@ -590,103 +1138,356 @@ async function handleFormSubmit(event) {
         gpuScale: Security.sanitizeString(formData.get('gpu-scale'), 20)
     };
 
-    // Generate reference ID
-    const referenceId = generateReferenceId();
-
-    // OPTIMISTIC UI: Show success state in <50ms
-    setTimeout(() => {
-        UI.showSuccess(referenceId);
-    }, CONFIG.optimisticDelay);
-
     // Prepare secure payload - sending CLEAR email for direct communication
-    const payload = {
+    let payload = await applySubmitHooks({
         referenceId,
         timestamp: Date.now(),
         company: sanitizedData.company,
         email: sanitizedData.email, // Clear text - you can email them directly!
         gpuScale: sanitizedData.gpuScale, // Lead qualification metric
-        turnstileToken: window.turnstileToken, // For backend verification
+        qualification: Wizard.collect(), // Wizard answers (enumerated values only), or null
+        consent: consentRecord(), // What was agreed to, when and in which language
+        attribution: Attribution.collect(), // First and last marketing touch, or null
+        update: isUpdate, // Replaces the details of the lead stored under referenceId
+        turnstileToken, // For backend verification (spent by this attempt)
         security: {
-            signature: CONFIG.frontendSignature,
             origin: window.location.origin,
-            userAgent: navigator.userAgent.substring(0, 200) // Truncated for privacy
+            userAgent: navigator.userAgent.substring(0, 200), // Truncated for privacy
+            risk // Bot risk vector, for triage on the CRM side
         }
-    };
+    });
+    if (!payload) {
+        UI.hideLoading();
+        return outcome('vetoed');
+    }
+
+    // The ledger keys the lead by the email that is sent, which a hook may have changed
+    const sentEmailHash = await hashEmail(payload.email);
+
+    // PRIVACY MODE: contact fields leave the browser sealed, or not at all
+    if (LeadCrypto.enabled()) {
+        try {
+            payload = await LeadCrypto.seal(payload);
+        } catch (error) {
+            Logger.error('Lead encryption failed:', error.message);
+            UI.hideLoading();
+            UI.showError(I18n.t('error.encryption'));
+            HostEvents.emit('failed', { referenceId, error: 'encryption_failed' });
+            return outcome('failed');
+        }
+    }
+
+    UI.beginSubmission(referenceId, isUpdate);
+    UI.hideDuplicate();
+    Telemetry.track('form_submit');
 
-    // RACE PATTERN: Fire redundant requests
+    // OPTIMISTIC UI: Show the "submitting" panel in <50ms (success is only shown once delivered)
+    setTimeout(() => {
+        if (UI.submissionState === 'submitting' && UI.submissionRef === referenceId) {
+            UI.showSuccess(referenceId);
+        }
+    }, CONFIG.optimisticDelay);
+
+    // DURABILITY: Persist before sending so a failed delivery or closed tab is replayed later
+    // (and a reload is recognised as a repeat, even before delivery)
+    SubmissionLedger.record(sentEmailHash, referenceId);
+    await Outbox.enqueue(payload);
+
+    // A retry replaces the failed lead, which is dropped only now that this one is queued
+    // (an update is queued under the same reference and replaces it itself)
+    if (UI.retryOf && UI.retryOf !== referenceId) {
+        await Outbox.remove(UI.retryOf);
+        SubmissionLedger.forget(UI.retryOf);
+    }
+    UI.retryOf = null;
+
+    // HEDGED DELIVERY: healthiest primary first, Formspree only if every primary fails
     try {
         const result = await racePatternSubmit(payload);
-        console.debug('Lead submitted securely:', result.requestId);
-        console.log('Full result object:', JSON.stringify(result, null, 2));
-
-        // Update reference ID with actual server-generated ID (UUID)
-        if (result.data) {
-            console.log('Response data:', result.data);
-            console.log('Response data.id:', result.data.id);
-
-            // Check if data.id exists and is valid
-            if (result.data.id && result.data.id !== 'NaN') {
-                console.log(`✓ Updating reference ID to server-generated UUID: ${result.data.id}`);
-                UI.refIdDisplay.textContent = result.data.id;
-            } else {
-                console.warn('⚠️ Server did not return a valid ID, keeping client-generated reference:', referenceId);
-            }
-        } else {
-            console.warn('⚠️ No data object in response, keeping client-generated reference:', referenceId);
+        await Outbox.remove(referenceId);
+        Logger.debug('Lead submitted securely:', result.requestId);
+
+        // The edge stores the lead under its reference ID; anything else means an old edge
+        if (result.data?.id && result.data.id !== referenceId) {
+            Logger.warn('⚠️ Edge stored the lead under a different ID:', result.data.id);
         }
+        if (result.data?.duplicate) {
+            Logger.debug('Edge already had this lead (idempotent retry)');
+        }
+        if (result.data?.updated) {
+            Logger.debug('Edge updated the stored lead');
+        }
+
+        Telemetry.track('lead_delivered', { via: result.endpointType });
+        SubmissionLedger.confirm(referenceId);
+        FormDraft.clear();
+        UI.confirmSubmission();
+        HostEvents.emit('delivered', { referenceId, endpointType: result.endpointType, source: 'form' });
+        resumeReplay();
+        return outcome('delivered', result.endpointType);
     } catch (error) {
-        // Log error but don't show user (optimistic UI already shown)
-        console.error('Background submission failed:', error.message);
+        Logger.error('Background submission failed:', error.message);
+        Telemetry.track('lead_failed');
+
+        // A lead the edge refused would only be refused again: it leaves the outbox
+        // (and the ledger) and the visitor corrects it. Anything else is replayed later.
+        const refused = isPermanentFailure(error);
+        if (refused) {
+            await Outbox.remove(referenceId);
+            SubmissionLedger.forget(referenceId);
+        } else {
+            await Outbox.markFailed(referenceId, error);
+        }
+        UI.failSubmission(refused);
+        HostEvents.emit('failed', { referenceId, error: error.message });
+        resumeReplay();
+        return outcome('failed');
     }
 }
 
-// Debounced form handler to prevent rapid-fire spam
-const debouncedFormHandler = debounce(handleFormSubmit, CONFIG.debounceDelay);
+/**
+ * Run an outbox replay that waited for the visitor's submission now that it is over
+ */
+function resumeReplay() {
+    if (UI.replayTimer) {
+        replayOutbox();
+    }
+}
 
-// ============================================================================
-// CLOUDFLARE TURNSTILE CALLBACKS
-// ============================================================================
+/**
+ * Record of the consent given in the form
+ *
+ * @returns {object} { version, acceptedAt (ISO, when the box was ticked), locale (of the text shown) }
+ */
+function consentRecord() {
+    return {
+        version: CONFIG.consent.version,
+        acceptedAt: new Date(UI.consentAt || Date.now()).toISOString(),
+        locale: I18n.locale
+    };
+}
 
 /**
- * Cloudflare Turnstile success callback
- * Called when user completes the challenge
+ * Let the host page adjust or veto a lead before delivery (js/host-events.js)
+ * Hooks see a copy without the Turnstile token, consent record and update
+ * flag; the reference ID, token, consent, update flag, attribution and
+ * security block cannot be changed. Edited contact fields are sanitized and
+ * checked again like typed ones (email policy included), and an edited
+ * qualification against the wizard options, so the edge does not refuse them.
  *
- * @param {string} token - Turnstile token
+ * @param {object} payload - Lead data payload
+ * @returns {Promise<object|null>} Payload to send, or null if vetoed
  */
-window.turnstileCallback = function(token) {
-    // Store token globally for form submission
-    window.turnstileToken = token;
+async function applySubmitHooks(payload) {
+    const { turnstileToken, security, consent, update, ...visible } = payload;
+    const result = await HostEvents.filter(structuredClone(visible), { referenceId: payload.referenceId });
+    if (!result) {
+        return null;
+    }
+
+    const filtered = {
+        ...payload,
+        ...result,
+        referenceId: payload.referenceId,
+        turnstileToken,
+        security,
+        consent,
+        update,
+        attribution: payload.attribution
+    };
 
-    // Enable submit button and update text
-    if (UI.submitBtn) {
-        UI.submitBtn.disabled = false;
-        const buttonText = UI.submitBtn.querySelector('.button-text');
-        if (buttonText) {
-            buttonText.textContent = 'Request Access';
+    for (const [key, maxLength] of [['company', 100], ['email', CONFIG.maxEmailLength], ['gpuScale', 20]]) {
+        if (filtered[key] !== payload[key]) {
+            filtered[key] = Security.sanitizeString(String(filtered[key] ?? ''), maxLength);
         }
-        console.debug('✓ Turnstile verified - Submit button enabled');
     }
-};
+    const invalid = [['company', 'company'], ['email', 'email'], ['gpuScale', 'gpu-scale']]
+        .find(([key, field]) => filtered[key] !== payload[key] && Security.validateField(field, filtered[key]));
+    if (invalid) {
+        Logger.error(`Submit hook set an invalid ${invalid[0]}, lead not sent`);
+        return null;
+    }
+
+    filtered.qualification = filtered.qualification ?? null;
+    if (JSON.stringify(filtered.qualification) !== JSON.stringify(payload.qualification) &&
+        !Wizard.isValidQualification(filtered.qualification)) {
+        Logger.error('Submit hook set an invalid qualification, lead not sent');
+        return null;
+    }
+
+    return filtered;
+}
 
 /**
- * Cloudflare Turnstile error callback
- * Called when Turnstile encounters an error
+ * Deliver a lead from the outbox
+ * If it is the lead this page just failed to send, the panel flips to confirmed
  *
- * @param {string} error - Error code
+ * @param {object} payload - Queued lead payload
+ * @returns {Promise<object>} racePatternSubmit result
  */
-window.turnstileErrorCallback = function(error) {
-    console.error('✗ Turnstile error:', error);
+async function replayQueuedLead(payload) {
+    // The queued token was spent (or expired) on the first attempt; a fresh one is
+    // only taken here, for an entry that is due and about to be sent
+    let result;
+    try {
+        result = await racePatternSubmit({ ...payload, turnstileToken: await TurnstileController.take() });
+    } catch (error) {
+        // Refused by the edge: replaying it again would not change that
+        if (isPermanentFailure(error)) {
+            Logger.error('Outbox: the edge refused a queued lead:', error.message);
+            await Outbox.remove(payload.referenceId);
+        }
+        throw error;
+    }
+    Telemetry.track('lead_delivered', { via: result.endpointType, source: 'outbox' });
+    SubmissionLedger.confirm(payload.referenceId);
 
-    // Keep button disabled on error
-    if (UI.submitBtn) {
-        UI.submitBtn.disabled = true;
+    if (UI.submissionState === 'failed' && UI.submissionRef === payload.referenceId) {
+        FormDraft.clear();
+        UI.confirmSubmission();
     }
+    HostEvents.emit('delivered', { referenceId: payload.referenceId, endpointType: result.endpointType, source: 'outbox' });
+
+    return result;
+}
+
+/**
+ * Replay the outbox once the visitor does not need the Turnstile token: each
+ * replayed lead takes one, and in render mode that is the token the visitor
+ * solved for the form. The replay waits until the form was left alone for
+ * CONFIG.outbox.idleDelay or the visitor's own submission is over, and stops
+ * before the next lead if they start using the form meanwhile.
+ */
+function replayOutbox() {
+    clearTimeout(UI.replayTimer);
+    UI.replayTimer = null;
 
-    // Show user-friendly error
-    if (typeof UI !== 'undefined' && UI.showError) {
-        UI.showError('Security verification failed. Please refresh the page.');
+    const wait = replayWait();
+    if (wait > 0) {
+        UI.replayTimer = setTimeout(replayOutbox, wait);
+        return;
     }
-};
+
+    Outbox.replay(replayQueuedLead, () => replayWait() > 0).then(finished => {
+        if (finished === false) {
+            replayOutbox();
+        }
+    });
+}
+
+/**
+ * Time an outbox replay still has to wait for the visitor (see replayOutbox)
+ *
+ * @returns {number} ms, 0 if it may run now
+ */
+function replayWait() {
+    if (UI.isSubmitting) {
+        // Started again once the submission is over (handleFormSubmit)
+        return CONFIG.outbox.idleDelay;
+    }
+    if (UI.submissionState !== 'idle') {
+        return 0;
+    }
+    return Math.max(0, UI.lastActivityAt + CONFIG.outbox.idleDelay - Date.now());
+}
+
+/**
+ * Validate wizard step 1 (the lead itself) before moving on to the optional steps
+ *
+ * @param {HTMLFormElement} form - Lead form
+ * @returns {object[]} Problems: [{ field, message }]
+ */
+function validateContactStep(form) {
+    const formData = new FormData(form);
+
+    return ['company', 'email', 'gpu-scale']
+        .map(field => ({ field, message: Security.validateField(field, formData.get(field)) }))
+        .filter(error => error.message);
+}
+
+/**
+ * Revalidate one field and update its inline error
+ *
+ * @param {string} name - Field name
+ */
+function revalidateField(name) {
+    const message = Wizard.validateField(name);
+    if (message) {
+        UI.setFieldError(name, message);
+    } else {
+        UI.clearFieldError(name);
+    }
+}
+
+/**
+ * Offer a correction for a mistyped email domain, or the free-mail hint
+ * (warn-free mode). Neither blocks submission.
+ */
+function updateEmailHint() {
+    const email = Wizard.value('email');
+    UI.clearFieldHint('email');
+
+    if (!Security.validateEmail(email)) {
+        return;
+    }
+
+    const suggestion = EmailPolicy.suggest(email);
+    if (suggestion) {
+        UI.setFieldHint('email', I18n.t('email.suggestion', { email: suggestion }), {
+            label: I18n.t('email.useSuggestion'),
+            onClick: () => {
+                UI.form.elements.namedItem('email').value = suggestion;
+                Telemetry.track('email_suggestion_accepted');
+                revalidateField('email');
+                updateEmailHint();
+                UI.form.elements.namedItem('email').focus();
+            }
+        });
+        Telemetry.track('email_suggestion_shown');
+        return;
+    }
+
+    const policy = EmailPolicy.evaluate(email);
+    if (policy.verdict === 'warn') {
+        UI.setFieldHint('email', policy.message);
+    }
+}
+
+// Debounced form handler to prevent rapid-fire spam
+const debouncedFormHandler = debounce(event => {
+    handleFormSubmit(event).catch(reportSubmitError);
+}, CONFIG.debounceDelay);
+
+/**
+ * Submit listener: the page never navigates, also while the debounce holds the
+ * event back, and a submission that throws is reported instead of lost
+ *
+ * @param {SubmitEvent} event - Form submit event
+ */
+function onFormSubmit(event) {
+    event.preventDefault();
+    debouncedFormHandler(event);
+}
+
+/**
+ * A submission threw (a bug: delivery failures are handled in handleFormSubmit)
+ * A lead already handed to the outbox shows as failed, with retry, and is
+ * replayed; otherwise the form is usable again.
+ *
+ * @param {Error} error - What handleFormSubmit threw
+ */
+function reportSubmitError(error) {
+    Logger.error('Form submission failed unexpectedly:', error);
+    Telemetry.track('lead_failed');
+
+    if (UI.submissionState === 'submitting') {
+        UI.failSubmission();
+        HostEvents.emit('failed', { referenceId: UI.submissionRef, error: error?.message || 'unexpected_error' });
+        return;
+    }
+    UI.hideLoading();
+    UI.showError(I18n.t('error.unexpected'));
+}
 
 // ============================================================================
 // INITIALIZATION
@@ -694,87 +1495,146 @@ window.turnstileErrorCallback = function(error) {
 
 function init() {
     // Attach debounced form handler
-    UI.form.addEventListener('submit', debouncedFormHandler);
-
-    // Wait for Turnstile to load and explicitly render invisible widget
-    let attempts = 0;
-    const maxAttempts = 100; // 10 seconds max
-    let widgetRendered = false;
-
-    const checkTurnstile = setInterval(() => {
-        attempts++;
-
-        if (typeof turnstile !== 'undefined') {
-            const widgetDiv = document.getElementById('turnstile-widget');
-
-            if (widgetDiv && !widgetRendered) {
-                // Only render once
-                console.debug(`Turnstile API loaded. Rendering widget (attempt ${attempts})...`);
-                widgetRendered = true;
-                clearInterval(checkTurnstile);
-
-                try {
-                    turnstile.render(widgetDiv, {
-                        sitekey: '0x4AAAAAACNkgGWXXZi6sAmT',
-                        theme: 'light',
-                        callback: (token) => {
-                            console.log('✓ Turnstile callback fired! Token received:', token.substring(0, 20) + '...');
-                            window.turnstileCallback(token);
-                        },
-                        'error-callback': (error) => {
-                            console.error('Turnstile error:', error);
-                            window.turnstileErrorCallback(error);
-                        }
-                    });
-                    console.debug('✓ Turnstile render() called successfully');
-                } catch (e) {
-                    console.error('Failed to render Turnstile:', e);
-                }
-            } else if (widgetDiv && widgetRendered) {
-                // Already rendered, stop checking
-                clearInterval(checkTurnstile);
-                console.debug('Turnstile already rendered');
-            } else {
-                console.warn('Turnstile container not found in DOM');
+    UI.form.addEventListener('submit', onFormSubmit);
+
+    // cx:* lifecycle events bubble from the form to the host page
+    HostEvents.init(UI.form);
+
+    // Bot signals from this render on (renames the honeypot)
+    BotSignals.init(UI.form);
+
+    // First and last marketing touch, sent with the lead (js/attribution.js)
+    Attribution.capture();
+
+    // Qualification wizard: step 1 must be valid before the optional steps
+    Wizard.init(UI.form, {
+        validators: { contact: validateContactStep },
+        onError: (message, field) => UI.showFieldErrors({ [field]: message })
+    });
+
+    // Draft autosave: what was typed survives a reload (js/form-draft.js)
+    if (CONFIG.features.saveDraft) {
+        FormDraft.init(UI.form);
+        const restored = FormDraft.restore();
+        if (restored.length > 0) {
+            // Values this render did not see typed
+            restored.forEach(name => BotSignals.markPrefilled(name));
+            // Restored answers on the optional steps are sent like ones given on this page
+            Wizard.markReached(restored);
+            UI.draftNotice.hidden = false;
+            Telemetry.track('draft_restored');
+        }
+    }
+    document.getElementById('draft-clear').addEventListener('click', () => {
+        UI.resetSubmission();
+        scrollToForm();
+    });
+
+    // Progress text rendered before the locale bundle arrived is re-rendered
+    I18n.ready.then(() => Wizard.show(Wizard.current, { focus: false }));
+
+    // Revalidate a field when it loses focus (once it has a value or is marked invalid)
+    UI.form.addEventListener('focusout', event => {
+        const field = event.target;
+        if (!field.name || !field.classList.contains('input-field')) {
+            return;
+        }
+        // Moving to the hint's own button must not rebuild the hint under the click
+        if (field.name === 'email' && !event.relatedTarget?.closest('.field-hint')) {
+            updateEmailHint();
+        }
+        if (!field.value && field.getAttribute('aria-invalid') !== 'true') {
+            return;
+        }
+
+        revalidateField(field.name);
+    });
+
+    // Consent: remember when it was given, and drop its error once it is
+    UI.form.elements.namedItem('consent').addEventListener('change', event => {
+        UI.consentAt = event.target.checked ? Date.now() : null;
+        if (event.target.checked) {
+            UI.clearFieldError('consent');
+        }
+    });
+
+    // Turnstile: tokens are taken per submission attempt (js/turnstile-controller.js)
+    TurnstileController.init(document.getElementById('turnstile-widget'), {
+        onReadyChange: ready => {
+            if (!UI.isSubmitting) {
+                UI.submitBtn.disabled = !ready;
+            }
+            if (ready) {
+                // "Please complete the security verification" no longer applies
+                UI.clearFormError();
             }
+        },
+        onError: message => UI.showError(message)
+    });
+
+    // "Could not deliver" → restore the form; the resubmission replaces the queued copy
+    UI.retryBtn.addEventListener('click', () => {
+        // Not a repeat of itself (an update stays one and is sent as an update again);
+        // the failed lead stays queued until the retry replaces it
+        if (UI.submissionIsUpdate) {
+            UI.updateOf = UI.submissionRef;
+        } else {
+            UI.retryOf = UI.submissionRef;
         }
+        UI.retrySubmission();
+    });
 
-        if (attempts >= maxAttempts) {
-            clearInterval(checkTurnstile);
-            console.error('Turnstile failed to load after 10 seconds');
+    // "Already on the waitlist": send this form as an update of the earlier lead
+    document.getElementById('duplicate-update').addEventListener('click', () => {
+        UI.updateOf = UI.duplicateNotice.dataset.reference;
+        UI.form.requestSubmit();
+    });
+    UI.form.elements.namedItem('email').addEventListener('input', () => {
+        if (!UI.duplicateNotice.hidden) {
+            UI.hideDuplicate();
         }
-    }, 100);
+    });
 
-    // Track page view (privacy-friendly)
-    console.debug('AI Compute Exchange initialized (Zero-Trust Mode)');
+    // Replay leads that were never delivered (failed race, closed tab, offline),
+    // while the visitor leaves the form alone
+    UI.lastActivityAt = Date.now();
+    for (const type of ['input', 'focusin']) {
+        UI.form.addEventListener(type, () => {
+            UI.lastActivityAt = Date.now();
+        });
+    }
+    Outbox.registerTriggers(replayOutbox);
+    replayOutbox();
+
+    // Funnel: form viewed, then first interaction with any field
+    Telemetry.track('form_view');
+    UI.form.addEventListener('focusin', () => Telemetry.track('form_start'), { once: true });
+
+    // Analytics opt-in switch (only offered when the visitor could be counted)
+    const consentSwitch = document.getElementById('analytics-consent');
+    if (consentSwitch && CONFIG.analytics.enabled && CONFIG.analytics.requireConsent && !Telemetry.isOptedOut()) {
+        const consentInput = consentSwitch.querySelector('input');
+        consentInput.checked = Telemetry.getConsent() === 'granted';
+        consentInput.addEventListener('change', () => Telemetry.setConsent(consentInput.checked));
+        consentSwitch.hidden = false;
+    }
+
+    Logger.debug('AI Compute Exchange initialized (Zero-Trust Mode)');
 
     // Monitor performance
     if ('performance' in window) {
         window.addEventListener('load', () => {
             const perfData = performance.getEntriesByType('navigation')[0];
             const loadTime = Math.round(perfData.loadEventEnd - perfData.fetchStart);
-            console.debug('Page load time:', loadTime, 'ms');
+            Logger.debug('Page load time:', loadTime, 'ms');
 
             // Warn if load time is slow
             if (loadTime > 2000) {
-                console.warn('Page load time exceeds 2s - consider optimization');
+                Logger.warn('Page load time exceeds 2s - consider optimization');
             }
         });
     }
 
-    // Configure edge endpoints from environment if available
-    if (window.CX_CONFIG?.edgeEndpoints) {
-        CONFIG.edgeEndpoints = window.CX_CONFIG.edgeEndpoints;
-    }
-
-    // Configure Turnstile site key if available
-    if (window.CX_CONFIG?.turnstileSiteKey) {
-        const turnstileContainer = document.querySelector('.cf-turnstile');
-        if (turnstileContainer) {
-            turnstileContainer.setAttribute('data-sitekey', window.CX_CONFIG.turnstileSiteKey);
-        }
-    }
-
     // Security: Disable right-click on sensitive elements (optional)
     // This is security by obscurity and not a real security measure
     // Uncomment if desired:
@@ -792,42 +1652,6 @@ if (document.readyState === 'loading') {
     init();
 }
 
-// ============================================================================
-// TELEMETRY (Privacy-First)
-// ============================================================================
-
-const Telemetry = {
-    metrics: {
-        formViews: 0,
-        formSubmissions: 0,
-        turnstileVerifications: 0,
-        botRejections: 0
-    },
-
-    trackFormView() {
-        this.metrics.formViews++;
-    },
-
-    trackSubmission() {
-        this.metrics.formSubmissions++;
-    },
-
-    trackTurnstileSuccess() {
-        this.metrics.turnstileVerifications++;
-    },
-
-    trackBotRejection() {
-        this.metrics.botRejections++;
-    },
-
-    getMetrics() {
-        return { ...this.metrics };
-    }
-};
-
-// Track form view
-Telemetry.trackFormView();
-
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -844,3 +1668,87 @@ function scrollToForm() {
 
 // Expose globally
 window.scrollToForm = scrollToForm;
+
+// ============================================================================
+// PUBLIC API (window.CX)
+// ============================================================================
+
+// Never set from the host page: the honeypot (under its original name here,
+// under its current one through BotSignals), the Turnstile token and the
+// consent box (only the visitor can agree)
+const PREFILL_BLOCKED = ['website-url', 'cf-turnstile-response', 'consent'];
+
+window.CX = Object.freeze({
+    /**
+     * Fill form fields, e.g. CX.prefill({ company: 'Acme', email: 'ops@acme.io' })
+     *
+     * @param {object} fields - { [form field name]: value }
+     * @returns {string[]} Names of the fields that took the value
+     */
+    prefill(fields) {
+        const applied = [];
+
+        for (const [name, value] of Object.entries(fields || {})) {
+            const field = PREFILL_BLOCKED.includes(name) ? null : UI.form.elements.namedItem(name);
+            if (!field || BotSignals.isHoneypot(field)) {
+                Logger.warn('CX.prefill: unknown field', name);
+                continue;
+            }
+
+            field.value = String(value ?? '');
+            if (field.value !== String(value ?? '')) {
+                Logger.warn('CX.prefill: value not accepted for', name);
+                continue;
+            }
+
+            applied.push(name);
+            BotSignals.markPrefilled(name);
+            if (field.getAttribute?.('aria-invalid') === 'true') {
+                revalidateField(name);
+            }
+        }
+
+        if (applied.includes('email')) {
+            updateEmailHint();
+        }
+        return applied;
+    },
+
+    /**
+     * Prefill and submit, as if the visitor pressed the button
+     *
+     * @param {object} data - Fields for prefill()
+     * @returns {Promise<object>} { outcome, referenceId, endpointType } (see handleFormSubmit)
+     */
+    async submit(data = {}) {
+        if (UI.submissionState !== 'idle') {
+            return { outcome: 'busy', referenceId: UI.submissionRef, endpointType: null };
+        }
+
+        this.prefill(data);
+        return handleFormSubmit({ preventDefault() {}, target: UI.form });
+    },
+
+    /**
+     * Clear the form and leave the success or failure panel
+     *
+     * @returns {boolean} False while a submission is in flight
+     */
+    reset() {
+        if (UI.isSubmitting) {
+            return false;
+        }
+
+        UI.resetSubmission();
+        return true;
+    },
+
+    /**
+     * @param {string} name - validate | submit | turnstile | delivered | failed ("cx:" prefix optional)
+     * @param {Function} handler - See js/host-events.js
+     * @returns {Function} Removes the handler again
+     */
+    on(name, handler) {
+        return HostEvents.on(name, handler);
+    }
+});
@@ -0,0 +1,184 @@
+/**
+ * AI Compute Exchange - Fallback Lead Decryptor
+ *
+ * In privacy mode (CONFIG.privacy.encryptLeads) the Formspree fallback only
+ * receives reference_id and sealed. This opens an export of those
+ * submissions offline, with the private key(s) from
+ * scripts/generate-lead-key.mjs.
+ *
+ * Usage (Node 18+, run from the repository root):
+ *
+ *   node scripts/decrypt-leads.mjs --key .local/lead-private-key.txt export.csv
+ *   node scripts/decrypt-leads.mjs --key new.txt --key old.txt export.json --out leads.json
+ *   LEAD_PRIVATE_KEYS=<base64>,<base64> node scripts/decrypt-leads.mjs export.csv
+ *
+ * Accepts the CSV export from the Formspree dashboard or the JSON from its
+ * submissions API ({ submissions: [...] } or a plain array). Writes a JSON
+ * array of { reference_id, submitted_at, email, company, gpuScale,
+ * qualification, consent } to stdout or --out. Rows that do not open are
+ * reported on stderr and the exit code is 2; the other rows are still written.
+ * The output holds contact data in clear: keep it off shared drives.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { createLeadDecryptor } from '../edge/lead-crypto.mjs';
+
+/**
+ * @param {string[]} argv - Command line arguments
+ * @returns {object} { keyFiles, input, out }
+ */
+function parseArgs(argv) {
+    const options = { keyFiles: [], input: null, out: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--key') {
+            options.keyFiles.push(argv[++i]);
+        } else if (argv[i] === '--out') {
+            options.out = argv[++i];
+        } else if (!argv[i].startsWith('--') && !options.input) {
+            options.input = argv[i];
+        } else {
+            throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+
+    if (!options.input) {
+        throw new Error('Usage: node scripts/decrypt-leads.mjs [--key file]... [--out file] <export.csv|export.json>');
+    }
+    return options;
+}
+
+/**
+ * @param {string[]} keyFiles - Files holding one base64 PKCS#8 key each
+ * @returns {Promise<string[]>} Keys (from LEAD_PRIVATE_KEYS without --key)
+ */
+async function readKeys(keyFiles) {
+    if (keyFiles.length === 0) {
+        const keys = (process.env.LEAD_PRIVATE_KEYS || '').split(',').filter(key => key.trim());
+        if (keys.length === 0) {
+            throw new Error('No private key: pass --key <file> or set LEAD_PRIVATE_KEYS');
+        }
+        return keys;
+    }
+
+    return Promise.all(keyFiles.map(async file => (await readFile(file, 'utf8')).trim()));
+}
+
+/**
+ * Parse RFC 4180 CSV (quoted fields may hold commas, quotes and newlines)
+ *
+ * @param {string} text - CSV file contents
+ * @returns {object[]} One object per row, keyed by the header row
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell !== ''));
+    const names = header.map(name => name.replace(/^﻿/, '').trim());
+    return records.map(cells => Object.fromEntries(names.map((name, index) => [name, cells[index] ?? ''])));
+}
+
+/**
+ * @param {string} file - Export file name
+ * @param {string} text - Its contents
+ * @returns {object[]} Submissions
+ */
+function parseExport(file, text) {
+    if (!file.endsWith('.json')) {
+        return parseCsv(text);
+    }
+
+    const data = JSON.parse(text);
+    const submissions = Array.isArray(data) ? data : data.submissions;
+    if (!Array.isArray(submissions)) {
+        throw new Error(`${file}: expected an array or { submissions: [...] }`);
+    }
+    return submissions;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const decryptor = createLeadDecryptor(await readKeys(options.keyFiles));
+    const submissions = parseExport(options.input, await readFile(options.input, 'utf8'));
+
+    const leads = [];
+    const failures = [];
+    for (const submission of submissions) {
+        const reference = submission.reference_id;
+        if (!submission.sealed) {
+            // Sent before privacy mode was switched on
+            continue;
+        }
+
+        try {
+            const fields = await decryptor.open(submission.sealed, reference);
+            leads.push({
+                reference_id: reference,
+                submitted_at: submission._date || submission['Submitted At'] || submission.created_at || null,
+                ...fields,
+                // Sent in clear next to the envelope
+                consent: submission.consent_version ? {
+                    version: submission.consent_version,
+                    acceptedAt: submission.consent_at,
+                    locale: submission.consent_locale
+                } : null
+            });
+        } catch (error) {
+            failures.push(`${reference || '(no reference_id)'}: ${error.message}`);
+        }
+    }
+
+    const output = `${JSON.stringify(leads, null, 2)}\n`;
+    if (options.out) {
+        await writeFile(options.out, output, { mode: 0o600 });
+        console.error(`Wrote ${leads.length} leads to ${options.out}`);
+    } else {
+        process.stdout.write(output);
+    }
+
+    if (failures.length > 0) {
+        console.error(`${failures.length} submission(s) did not open:\n  ${failures.join('\n  ')}`);
+        process.exitCode = 2;
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
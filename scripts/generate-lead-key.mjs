@@ -0,0 +1,65 @@
+/**
+ * AI Compute Exchange - Lead Key Generator
+ *
+ * Creates the P-256 key pair for privacy mode (CONFIG.privacy.encryptLeads).
+ *
+ * Usage (Node 18+, run from the repository root):
+ *
+ *   node scripts/generate-lead-key.mjs
+ *   node scripts/generate-lead-key.mjs --out .local/lead-key-2026.txt
+ *
+ * Prints the public key for config.js (privacy.publicKey) and writes the
+ * private key to --out (default .local/lead-private-key.txt, readable by the
+ * owner only). Store the private key as the Worker secret:
+ *
+ *   wrangler secret put LEAD_PRIVATE_KEYS
+ *
+ * and keep an offline copy for scripts/decrypt-leads.mjs: without it,
+ * leads that went to the fallback cannot be read. To rotate, publish the new
+ * public key and set LEAD_PRIVATE_KEYS to "<new>,<old>" until the outbox
+ * replay window (outbox.maxAgeMs) has passed.
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { generateLeadKeyPair } from '../edge/lead-crypto.mjs';
+
+/**
+ * @param {string[]} argv - Command line arguments
+ * @returns {object} { out }
+ */
+function parseArgs(argv) {
+    const options = { out: '.local/lead-private-key.txt' };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--out') {
+            options.out = argv[++i];
+        } else {
+            throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+
+    if (!options.out) {
+        throw new Error('--out needs a file path');
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const { publicKey, privateKey, kid } = await generateLeadKeyPair();
+
+    await mkdir(dirname(options.out), { recursive: true });
+    // 'wx' never overwrites an existing key (leads sealed to it would be lost)
+    await writeFile(options.out, `${privateKey}\n`, { mode: 0o600, flag: 'wx' });
+
+    console.log(`Key ID: ${kid}`);
+    console.log(`Private key written to ${options.out}`);
+    console.log('\nconfig.js:');
+    console.log(`    privacy: {\n        encryptLeads: true,\n        publicKey: '${publicKey}'\n    }`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,157 @@
+/**
+ * AI Compute Exchange - Disposable Domain List Updater
+ *
+ * Regenerates js/disposable-domains.js from a plain-text blocklist (one domain
+ * per line, # comments). Defaults to the community-maintained list at
+ * github.com/disposable-email-domains/disposable-email-domains.
+ *
+ * Usage (Node 18+, run from the repository root):
+ *
+ *   node scripts/update-disposable-domains.mjs
+ *   node scripts/update-disposable-domains.mjs --source ./my-list.txt
+ *   node scripts/update-disposable-domains.mjs --source https://example.com/list.txt
+ *   node scripts/update-disposable-domains.mjs --source ./blocklist.conf \
+ *       --label 'github.com/disposable-email-domains/disposable-email-domains (via a local copy)'
+ *
+ * --label replaces the source in the generated header, e.g. to name the
+ * upstream list a local copy was taken from.
+ *
+ * Domains that js/email-policy.js treats as free mail, or that are listed with
+ * --keep (comma-separated), are never written, so a bad upstream entry cannot
+ * block gmail.com. Review the diff before committing.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+
+const DEFAULT_SOURCE = 'https://raw.githubusercontent.com/disposable-email-domains/disposable-email-domains/main/disposable_email_blocklist.conf';
+const OUTPUT = new URL('../js/disposable-domains.js', import.meta.url);
+const POLICY = new URL('../js/email-policy.js', import.meta.url);
+const DOMAIN_PATTERN = /^([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/;
+
+/**
+ * @param {string[]} argv - Command line arguments
+ * @returns {object} { source, label, keep }
+ */
+function parseArgs(argv) {
+    const options = { source: DEFAULT_SOURCE, label: null, keep: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--source') {
+            options.source = argv[++i];
+        } else if (argv[i] === '--label') {
+            options.label = argv[++i];
+        } else if (argv[i] === '--keep') {
+            options.keep = argv[++i].split(',').map(domain => domain.trim().toLowerCase());
+        } else {
+            throw new Error(`Unknown argument: ${argv[i]}`);
+        }
+    }
+
+    if (!options.source) {
+        throw new Error('--source needs a file path or URL');
+    }
+    if (options.label !== null && !options.label?.trim()) {
+        throw new Error('--label needs a description of the source');
+    }
+    return options;
+}
+
+/**
+ * @param {string} source - File path or http(s) URL
+ * @returns {Promise<string>} List contents
+ */
+async function readSource(source) {
+    if (!/^https?:\/\//.test(source)) {
+        return readFile(source, 'utf8');
+    }
+
+    const response = await fetch(source, { signal: AbortSignal.timeout(30000) });
+    if (!response.ok) {
+        throw new Error(`${source}: HTTP ${response.status}`);
+    }
+    return response.text();
+}
+
+/**
+ * Free mail domains from js/email-policy.js (never treated as disposable)
+ *
+ * @returns {Promise<string[]>}
+ */
+async function readFreeMailDomains() {
+    const policy = await readFile(POLICY, 'utf8');
+    const list = policy.match(/const FREE_MAIL_DOMAINS = \[([\s\S]*?)\];/);
+    return list ? [...list[1].matchAll(/'([^']+)'/g)].map(match => match[1]) : [];
+}
+
+/**
+ * @param {string[]} domains - Sorted domains
+ * @param {string} source - Where they came from
+ * @returns {string} Contents of js/disposable-domains.js
+ */
+function render(domains, source) {
+    const lines = [];
+    let line = '   ';
+
+    for (const domain of domains) {
+        const item = ` '${domain}',`;
+        if (line.length + item.length > 100) {
+            lines.push(line);
+            line = '   ';
+        }
+        line += item;
+    }
+    lines.push(line.replace(/,$/, ''));
+
+    return `/**
+ * AI Compute Exchange - Disposable Email Domains
+ *
+ * Domains of throwaway inbox services, matched exactly and as parents of
+ * subdomains by js/email-policy.js. This file is generated; refresh it from
+ * the community-maintained blocklist with:
+ *
+ *   node scripts/update-disposable-domains.mjs
+ *
+ * Source: ${source}
+ * Count: ${domains.length}
+ */
+
+const DISPOSABLE_DOMAINS = [
+${lines.join('\n')}
+];
+`;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const keep = new Set([...(await readFreeMailDomains()), ...options.keep]);
+
+    const domains = new Set();
+    const rejected = [];
+    for (const raw of (await readSource(options.source)).split('\n')) {
+        const domain = raw.replace(/#.*/, '').trim().toLowerCase();
+        if (!domain || keep.has(domain)) {
+            continue;
+        }
+        if (DOMAIN_PATTERN.test(domain)) {
+            domains.add(domain);
+        } else {
+            rejected.push(domain);
+        }
+    }
+
+    if (domains.size === 0) {
+        throw new Error(`${options.source}: no domains found, keeping the current list`);
+    }
+
+    await writeFile(OUTPUT, render([...domains].sort(), options.label || options.source));
+
+    console.log(`Wrote ${domains.size} domains to js/disposable-domains.js`);
+    if (rejected.length > 0) {
+        console.warn(`Skipped ${rejected.length} malformed entries: ${rejected.slice(0, 5).join(', ')}${rejected.length > 5 ? ', ...' : ''}`);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -57,9 +57,10 @@ echo ""
 echo "1) Python HTTP Server (Port 8000)"
 echo "2) PHP Built-in Server (Port 8000)"
 echo "3) Node.js http-server (Port 8080) [requires npm]"
-echo "4) Skip server setup"
+echo "4) Local lead-capture edge (Port 8787) [requires Node.js 18+]"
+echo "5) Skip server setup"
 echo ""
-read -p "Enter choice [1-4]: " choice
+read -p "Enter choice [1-5]: " choice
 
 case $choice in
     1)
@@ -102,6 +103,20 @@ case $choice in
         fi
         ;;
     4)
+        if [ "$NODE_AVAILABLE" = true ]; then
+            echo ""
+            echo "🚀 Starting lead-capture edge on http://localhost:8787"
+            echo "   Set edgeEndpoints: ['http://localhost:8787/lead'] in config.js"
+            echo "   and serve the portal with option 1 or 3 in another terminal."
+            echo "   (No edge needed for a quick look: open index.html?cx-mock)"
+            echo "   Press Ctrl+C to stop"
+            echo ""
+            node edge/dev-server.mjs --port 8787
+        else
+            echo "❌ Node.js not found. Please install Node.js 18+ or choose another option."
+        fi
+        ;;
+    5)
         echo ""
         echo "⏭️  Skipping server setup"
         echo ""
@@ -110,6 +125,7 @@ case $choice in
         echo "  Python:   python3 -m http.server 8000"
         echo "  PHP:      php -S localhost:8000"
         echo "  Node.js:  npx http-server -p 8080"
+        echo "  Edge:     node edge/dev-server.mjs --port 8787"
         echo ""
         ;;
     *)